@@ -0,0 +1,140 @@
+const { sendError } = require('./i18n');
+const { coerce, resolve, validate } = require('./schema');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// '/api/genre/{slug}' -> regex dengan satu grup per parameter path
+const compilePath = (template) => {
+  const names = [];
+  const source = template.split('/').map((segment) => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(param[1]);
+    return '([^/]+)';
+  }).join('/');
+
+  // Sama seperti routing Express: tidak peka huruf besar dan boleh diakhiri "/"
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+};
+
+// Kode error untuk parameter tidak valid: x-error-code, lalu INVALID_OPTION untuk enum, lalu INVALID_PARAM
+const rejectParam = (res, param, schemas) => {
+  const schema = resolve(param.schema, schemas);
+
+  if (param['x-error-code']) {
+    return sendError(res, 400, param['x-error-code']);
+  }
+  if (schema.enum) {
+    return sendError(res, 400, 'INVALID_OPTION', { field: param.name, options: schema.enum.join(', ') });
+  }
+  return sendError(res, 400, 'INVALID_PARAM', { name: param.name });
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Middleware validasi berdasarkan dokumen OpenAPI. Parameter path dan query
+ * dicek dan query diganti nilai yang sudah bertipe (default ikut diisi),
+ * jadi route cukup membaca req.query. Dengan validateResponses, setiap
+ * res.json dicocokkan dengan schema response untuk status-nya dan
+ * ketidakcocokan dilaporkan ke onInvalidResponse; response tetap dikirim.
+ */
+const createApiValidator = (spec, { validateResponses = false, onInvalidResponse = () => {} } = {}) => {
+  const schemas = spec.components?.schemas || {};
+  const sharedResponses = spec.components?.responses || {};
+
+  // Response bersama: { $ref: '#/components/responses/<nama>' }
+  const resolveResponse = (response) =>
+    (response?.$ref ? sharedResponses[response.$ref.split('/').pop()] : response);
+
+  // Path tanpa parameter dicek lebih dulu supaya tidak tertutup oleh path berparameter
+  const operations = Object.entries(spec.paths)
+    .flatMap(([template, item]) => METHODS
+      .filter((method) => item[method])
+      .map((method) => ({ method, template, operation: item[method], ...compilePath(template) })))
+    .sort((a, b) => a.names.length - b.names.length);
+
+  const findOperation = (method, path) => {
+    for (const candidate of operations) {
+      if (candidate.method !== method) continue;
+      const match = path.match(candidate.regex);
+      if (match) {
+        const values = {};
+        candidate.names.forEach((name, idx) => {
+          values[name] = decode(match[idx + 1]);
+        });
+        return { ...candidate, pathValues: values };
+      }
+    }
+    return null;
+  };
+
+  const checkResponse = ({ template, method, operation }, status, body) => {
+    const response = resolveResponse(operation.responses[status] || operation.responses.default);
+    if (!response) {
+      return [`status ${status} tidak terdokumentasi`];
+    }
+
+    const schema = response.content?.['application/json']?.schema;
+    if (!schema) {
+      return [`status ${status} tidak terdokumentasi sebagai JSON`];
+    }
+    // Dicek dalam bentuk yang benar-benar dikirim (Date jadi string, undefined hilang)
+    return validate(schema, body === undefined ? null : JSON.parse(JSON.stringify(body)), { schemas })
+      .map((problem) => `${method.toUpperCase()} ${template} ${status}: ${problem}`);
+  };
+
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+    const found = findOperation(method, req.baseUrl + req.path);
+    if (!found) return next();
+
+    const query = { ...req.query };
+    for (const param of found.operation.parameters || []) {
+      if (param.in !== 'path' && param.in !== 'query') continue;
+
+      const raw = param.in === 'path' ? found.pathValues[param.name] : req.query[param.name];
+      // Query kosong (?page=) dianggap tidak diisi
+      if (raw === undefined || raw === '') {
+        if (param.required) return rejectParam(res, param, schemas);
+        delete query[param.name];
+        const { default: fallback } = resolve(param.schema, schemas);
+        if (param.in === 'query' && fallback !== undefined) query[param.name] = fallback;
+        continue;
+      }
+
+      // Escape % yang rusak bukan kesalahan isi parameter, jadi x-error-code (misal QUERY_TOO_SHORT) tidak dipakai
+      if (raw === null) {
+        return sendError(res, 400, 'INVALID_PARAM', { name: param.name });
+      }
+
+      const value = coerce(param.schema, raw, { schemas });
+      if (validate(param.schema, value, { schemas }).length > 0) {
+        return rejectParam(res, param, schemas);
+      }
+      if (param.in === 'query') query[param.name] = value;
+    }
+    req.query = query;
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const problems = checkResponse(found, res.statusCode, body);
+        if (problems.length > 0) {
+          onInvalidResponse({ operationId: found.operation.operationId, status: res.statusCode, problems });
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
+
+module.exports = { createApiValidator };
@@ -0,0 +1,111 @@
+const { normalize } = require('./fuzzy');
+
+const BROWSE_SORTS = ['latest', 'rating', 'title'];
+const BROWSE_STATUSES = ['ongoing', 'complete'];
+const BROWSE_TYPES = ['tv', 'movie', 'ova', 'ona', 'special'];
+const BROWSE_SEASONS = ['winter', 'spring', 'summer', 'fall'];
+
+// Nama musim dari upstream (Inggris/Indonesia) -> nilai filter season
+const SEASON_ALIASES = {
+  winter: 'winter',
+  dingin: 'winter',
+  spring: 'spring',
+  semi: 'spring',
+  summer: 'summer',
+  panas: 'summer',
+  fall: 'fall',
+  autumn: 'fall',
+  gugur: 'fall'
+};
+
+// "Slice of Life" -> "slice-of-life", sama dengan slug genre upstream
+const toSlug = (value) => normalize(value).replace(/ /g, '-');
+
+const parseRating = (rating) => {
+  const value = parseFloat(rating);
+  return Number.isNaN(value) ? 0 : value;
+};
+
+const seasonOf = (item) => {
+  const words = normalize(item.season).split(' ');
+  return words.map((word) => SEASON_ALIASES[word]).find(Boolean);
+};
+
+// Status dari listing asal atau teks status halaman detail ("Completed", "Ongoing")
+const statusOf = (item) => {
+  const listings = item.listings || [];
+  if (listings.includes('ongoing')) return 'ongoing';
+  if (listings.includes('complete')) return 'complete';
+
+  const status = normalize(item.status);
+  if (status.startsWith('complete') || status === 'tamat') return 'complete';
+  if (status.startsWith('ongoing') || status === 'airing') return 'ongoing';
+  return undefined;
+};
+
+const matchesFilters = (item, { genres = [], status, type, year, season, studio }) => {
+  if (genres.length > 0) {
+    const itemGenres = (item.genres || []).map(toSlug);
+    if (!genres.every((genre) => itemGenres.includes(genre))) return false;
+  }
+  if (status && statusOf(item) !== status) return false;
+  if (type && normalize(item.type) !== type) return false;
+  if (year && item.year !== year) return false;
+  if (season && seasonOf(item) !== season) return false;
+  if (studio && !(item.studios || []).some((name) => normalize(name).includes(normalize(studio)))) return false;
+  return true;
+};
+
+const SORTERS = {
+  latest: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0),
+  rating: (a, b) => parseRating(b.rating) - parseRating(a.rating),
+  title: (a, b) => a.title.localeCompare(b.title)
+};
+
+/**
+ * Filter gabungan (semua filter harus cocok, genres = AND) lalu urutkan
+ * dan potong per halaman.
+ */
+const browseItems = (items, filters = {}, { sort = 'latest', page = 1, limit = 20 } = {}) => {
+  const matched = items
+    .filter((item) => matchesFilters(item, filters))
+    .sort((a, b) => SORTERS[sort](a, b) || a.title.localeCompare(b.title));
+
+  const start = (page - 1) * limit;
+  return {
+    anime: matched.slice(start, start + limit),
+    total: matched.length,
+    page,
+    totalPages: Math.ceil(matched.length / limit)
+  };
+};
+
+const countValues = (values) => {
+  const counts = {};
+  values.filter((value) => value !== undefined && value !== '').forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+// Nilai filter yang tersedia di katalog beserta jumlah anime-nya, untuk panel filter
+const collectFacets = (items) => ({
+  genres: countValues(items.flatMap((item) => (item.genres || []).map(toSlug))),
+  statuses: countValues(items.map(statusOf)),
+  types: countValues(items.map((item) => normalize(item.type)).filter((type) => BROWSE_TYPES.includes(type))),
+  years: countValues(items.map((item) => item.year)).map((entry) => ({ ...entry, value: Number(entry.value) })),
+  seasons: countValues(items.map(seasonOf)),
+  studios: countValues(items.flatMap((item) => item.studios || [])).slice(0, 50)
+});
+
+module.exports = {
+  BROWSE_SEASONS,
+  BROWSE_SORTS,
+  BROWSE_STATUSES,
+  BROWSE_TYPES,
+  browseItems,
+  collectFacets,
+  toSlug
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Entry cache: { value, storedAt, ttl } dengan ttl dalam detik
+
+const createMemoryBackend = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: (key) => entries.get(key),
+    set: (key, entry) => { entries.set(key, entry); },
+    delete: (key) => entries.delete(key),
+    keys: () => [...entries.keys()],
+    clear: () => entries.clear()
+  };
+};
+
+/**
+ * Backend file: satu file JSON per key di dalam dir, semua entry dimuat ke
+ * memory saat start sehingga cache tetap hangat setelah server restart.
+ */
+const createFileBackend = (dir) => {
+  const memory = createMemoryBackend();
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith('.json'))
+      .forEach((file) => {
+        try {
+          const { key, ...entry } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          memory.set(key, entry);
+        } catch (error) {
+          console.error(`Gagal membaca cache ${file}, dilewati:`, error.message);
+        }
+      });
+  }
+
+  return {
+    ...memory,
+    name: 'file',
+    set: (key, entry) => {
+      memory.set(key, entry);
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(key);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ key, ...entry }));
+        fs.renameSync(tmpFile, file);
+      } catch (error) {
+        console.error(`Gagal menyimpan cache ${key}:`, error.message);
+      }
+    },
+    delete: (key) => {
+      fs.rmSync(fileFor(key), { force: true });
+      return memory.delete(key);
+    },
+    clear: () => {
+      memory.keys().forEach((key) => fs.rmSync(fileFor(key), { force: true }));
+      memory.clear();
+    }
+  };
+};
+
+const createCacheBackend = (type, { dir } = {}) => {
+  if (type === 'memory') return createMemoryBackend();
+  if (type === 'file') return createFileBackend(dir);
+  throw new Error(`Cache backend tidak dikenal: ${type}`);
+};
+
+/**
+ * Cache dengan stale-while-revalidate:
+ * - umur < ttl: dikembalikan langsung
+ * - ttl <= umur < ttl + staleTtl: dikembalikan sebagai stale, lalu diperbarui di background
+ * - lebih lama dari itu: loader dijalankan; jika gagal, salinan terakhir tetap dipakai (stale)
+ *
+ * Entry yang lewat ttl + staleTtl dibuang oleh sweep() (otomatis tiap
+ * sweepInterval detik, 0 = nonaktif) dan jumlah entry dibatasi maxEntries:
+ * saat penuh, entry yang paling lama disimpan dibuang lebih dulu.
+ */
+const createCache = ({
+  backend = createMemoryBackend(),
+  staleTtl = 3600,
+  maxEntries = 1000,
+  sweepInterval = 300,
+  now = Date.now
+} = {}) => {
+  const stats = { hits: 0, misses: 0, stale: 0, errors: 0, evicted: 0 };
+  const pending = new Map();
+  // Loader terakhir per key, dipakai untuk refresh paksa dari admin API
+  const loaders = new Map();
+
+  const ageOf = (entry) => (now() - entry.storedAt) / 1000;
+
+  const evict = (key) => {
+    loaders.delete(key);
+    backend.delete(key);
+    stats.evicted++;
+  };
+
+  const enforceLimit = () => {
+    const keys = backend.keys();
+    if (keys.length <= maxEntries) return;
+
+    keys
+      .map((key) => ({ key, storedAt: backend.get(key).storedAt }))
+      .sort((a, b) => a.storedAt - b.storedAt)
+      .slice(0, keys.length - maxEntries)
+      .forEach(({ key }) => evict(key));
+  };
+
+  // Buang entry yang sudah tidak boleh disajikan lagi, beserta loader untuk
+  // key yang tidak punya entry (misal loader yang mengembalikan null)
+  const sweep = () => {
+    const before = stats.evicted;
+    backend.keys()
+      .filter((key) => ageOf(backend.get(key)) >= backend.get(key).ttl + staleTtl)
+      .forEach(evict);
+    [...loaders.keys()]
+      .filter((key) => !backend.get(key) && !pending.has(key))
+      .forEach((key) => loaders.delete(key));
+    return stats.evicted - before;
+  };
+
+  let timer = null;
+  if (sweepInterval > 0) {
+    timer = setInterval(sweep, sweepInterval * 1000);
+    timer.unref();
+  }
+
+  // Loader yang mengembalikan null/undefined tidak disimpan (misal 404)
+  const load = (key, ttl, loader) => {
+    if (pending.has(key)) return pending.get(key);
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        if (value != null) {
+          backend.set(key, { value, storedAt: now(), ttl });
+          enforceLimit();
+        }
+        return value;
+      })
+      .finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    return promise;
+  };
+
+  const wrap = async (key, ttl, loader) => {
+    loaders.set(key, { ttl, loader });
+    const entry = backend.get(key);
+
+    if (entry) {
+      const age = ageOf(entry);
+      if (age < ttl) {
+        stats.hits++;
+        return { value: entry.value, stale: false };
+      }
+      if (age < ttl + staleTtl) {
+        stats.stale++;
+        load(key, ttl, loader).catch((error) => {
+          stats.errors++;
+          console.error(`Gagal revalidate cache ${key}:`, error.message);
+        });
+        return { value: entry.value, stale: true };
+      }
+    }
+
+    stats.misses++;
+    try {
+      return { value: await load(key, ttl, loader), stale: false };
+    } catch (error) {
+      if (!entry) throw error;
+
+      stats.errors++;
+      console.error(`Upstream gagal untuk ${key}, memakai cache lama:`, error.message);
+      return { value: entry.value, stale: true };
+    }
+  };
+
+  // Jalankan ulang loader terakhir untuk key tanpa melihat umur cache
+  const refresh = async (key) => {
+    const registered = loaders.get(key);
+    if (!registered) return undefined;
+    return load(key, registered.ttl, registered.loader);
+  };
+
+  const remove = (key) => {
+    loaders.delete(key);
+    return backend.delete(key);
+  };
+
+  // Hapus key yang sama persis atau berawalan prefix; mengembalikan key yang terhapus
+  const purge = ({ key, prefix } = {}) => {
+    const matches = backend.keys().filter((k) => (key !== undefined ? k === key : k.startsWith(prefix)));
+    matches.forEach(remove);
+    return matches;
+  };
+
+  const entries = () => backend.keys().map((key) => {
+    const entry = backend.get(key);
+    const age = Math.round(ageOf(entry));
+    return {
+      key,
+      age,
+      ttl: entry.ttl,
+      stale: age >= entry.ttl,
+      storedAt: new Date(entry.storedAt)
+    };
+  });
+
+  return {
+    backend,
+    wrap,
+    refresh,
+    purge,
+    sweep,
+    entries,
+    get: (key) => backend.get(key)?.value,
+    delete: remove,
+    keys: () => backend.keys(),
+    clear: () => {
+      loaders.clear();
+      backend.clear();
+    },
+    getStats: () => ({ ...stats, keys: backend.keys().length, backend: backend.name }),
+    stop: () => clearInterval(timer)
+  };
+};
+
+module.exports = {
+  createCache,
+  createCacheBackend,
+  createFileBackend,
+  createMemoryBackend
+};
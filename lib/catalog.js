@@ -0,0 +1,282 @@
+const { slugFromLink } = require('./utils');
+const { scoreName, tokenize } = require('./fuzzy');
+const { browseItems, collectFacets } = require('./browse');
+
+// Listing yang di-crawl untuk membangun katalog lokal
+const LISTINGS = ['ongoing', 'complete', 'unlimited'];
+
+// Bobot per jenis nama saat ranking
+const NAME_WEIGHTS = { title: 1, alt: 0.9, slug: 0.85 };
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Bentuk item katalog dari item listing/search upstream
+const toCatalogItem = (item, extra = {}) => {
+  const slug = item.slug || slugFromLink(item.link);
+  if (!slug || !item.title) return null;
+
+  return {
+    slug,
+    title: item.title,
+    altTitles: unique(item.altTitles || []),
+    image: item.image,
+    link: item.link,
+    type: item.type,
+    status: item.status,
+    rating: item.rating,
+    episode: item.episode,
+    genres: unique(extra.genre ? [extra.genre] : []),
+    listings: unique(extra.listing ? [extra.listing] : []),
+    updatedAt: extra.updatedAt
+  };
+};
+
+// Field dari parser detail yang disimpan di katalog untuk filter browse
+const fromDetail = (slug, detail, fetchedAt) => {
+  const year = parseInt(detail.year, 10);
+  return {
+    slug,
+    title: detail.title,
+    image: detail.image,
+    type: detail.type,
+    status: detail.status,
+    rating: detail.rating,
+    year: Number.isNaN(year) ? undefined : year,
+    season: detail.season,
+    studios: unique(detail.studios || []),
+    genres: unique(detail.genres || []),
+    detailFetchedAt: fetchedAt
+  };
+};
+
+/**
+ * Gabungkan item yang sama dari beberapa listing; data terbaru menang, array
+ * digabung. updatedAt hanya berubah saat episode terbaru berubah.
+ */
+const mergeItem = (current, incoming) => {
+  if (!current) return incoming;
+
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([key, value]) => {
+    if (Array.isArray(value)) merged[key] = unique([...(current[key] || []), ...value]);
+    else if (value) merged[key] = value;
+  });
+
+  const newEpisode = incoming.episode && incoming.episode !== current.episode;
+  merged.updatedAt = (newEpisode ? incoming.updatedAt : current.updatedAt) || incoming.updatedAt;
+  return merged;
+};
+
+/**
+ * Katalog anime lokal yang dibangun crawler dari listing upstream dan
+ * dipakai untuk fuzzy search tanpa menghubungi upstream.
+ * Data disimpan di JSON store: { items: { [slug]: item }, crawledAt }.
+ */
+const createCatalog = ({ store, sources, maxPages = 20, genrePages = 3, detailLimit = 50, now = Date.now }) => {
+  let crawling = null;
+  let timer = null;
+  let documents = null;
+
+  // Dokumen pencarian (kata-kata judul) dibangun ulang setelah katalog berubah
+  const getDocuments = () => {
+    if (!documents) {
+      documents = Object.values(store.read().items || {}).map((item) => ({
+        item,
+        names: [
+          { tokens: tokenize(item.title), weight: NAME_WEIGHTS.title },
+          ...item.altTitles.map((title) => ({ tokens: tokenize(title), weight: NAME_WEIGHTS.alt })),
+          { tokens: tokenize(item.slug.replace(/-/g, ' ')), weight: NAME_WEIGHTS.slug }
+        ]
+      }));
+    }
+    return documents;
+  };
+
+  const mergeItems = (data, items) => {
+    data.items = data.items || {};
+    items.forEach((item) => {
+      data.items[item.slug] = mergeItem(data.items[item.slug], item);
+    });
+  };
+
+  const addItems = (items) => {
+    if (items.length === 0) return 0;
+
+    store.update((data) => mergeItems(data, items));
+    documents = null;
+    return items.length;
+  };
+
+  // Ambil semua halaman sebuah listing sampai kosong, berulang, atau maxPages
+  const crawlListing = async (operation, args, pages, extra) => {
+    const found = [];
+    const seen = new Set();
+    // Listing urut dari update terbaru; selisih 1ms per posisi menjaga urutan itu
+    const crawledAt = now();
+
+    for (let page = 1; page <= pages; page++) {
+      let data;
+      try {
+        data = await sources.run(operation, ...args, page);
+      } catch (error) {
+        console.error(`Crawler gagal di ${[operation, ...args].join(' ')} halaman ${page}:`, error.message);
+        break;
+      }
+
+      const items = (data?.anime || [])
+        .map((item, idx) => toCatalogItem(item, { ...extra, updatedAt: crawledAt - found.length - idx }))
+        .filter(Boolean);
+      const fresh = items.filter((item) => !seen.has(item.slug));
+      if (fresh.length === 0) break;
+
+      fresh.forEach((item) => seen.add(item.slug));
+      found.push(...fresh);
+      if (data.hasNextPage === false) break;
+    }
+
+    return found;
+  };
+
+  const runCrawl = async () => {
+    const startedAt = now();
+    const found = [];
+
+    for (const listing of LISTINGS) {
+      found.push(...await crawlListing(listing, [], maxPages, { listing }));
+    }
+
+    let genres = [];
+    try {
+      ({ genres = [] } = (await sources.run('genres')) || {});
+    } catch (error) {
+      console.error('Crawler gagal mengambil daftar genre:', error.message);
+    }
+    for (const genre of genres) {
+      if (!genre.slug) continue;
+      found.push(...await crawlListing('genre', [genre.slug], genrePages, { genre: genre.name }));
+    }
+
+    if (found.length > 0) {
+      store.update((data) => {
+        mergeItems(data, found);
+        data.crawledAt = new Date(startedAt).toISOString();
+      });
+      documents = null;
+    }
+    await enrichDetails(detailLimit);
+
+    const total = Object.keys(store.read().items || {}).length;
+    console.log(`Crawler katalog selesai: ${found.length} item dari upstream, total ${total} anime`);
+    return { found: found.length, total };
+  };
+
+  const applyDetail = (data, slug, detail) => {
+    data.items = data.items || {};
+    const item = mergeItem(data.items[slug], fromDetail(slug, detail, now()));
+    data.items[slug] = { altTitles: [], listings: [], ...item };
+  };
+
+  const addDetail = (slug, detail) => {
+    if (!detail?.title) return;
+
+    store.update((data) => applyDetail(data, slug, detail));
+    documents = null;
+  };
+
+  // Lengkapi tahun/season/studio dari halaman detail, maksimal `limit` anime per crawl.
+  // Semua hasil ditulis ke store sekali di akhir, bukan per anime.
+  const enrichDetails = async (limit) => {
+    const pending = Object.values(store.read().items || {})
+      .filter((item) => !item.detailFetchedAt)
+      .slice(0, limit);
+    const fetched = [];
+
+    for (const { slug } of pending) {
+      try {
+        fetched.push({ slug, detail: await sources.run('detail', slug) });
+      } catch (error) {
+        console.error(`Crawler gagal mengambil detail ${slug}:`, error.message);
+      }
+    }
+    if (fetched.length === 0) return;
+
+    store.update((data) => {
+      fetched.forEach(({ slug, detail }) => {
+        if (detail?.title) {
+          applyDetail(data, slug, detail);
+        } else if (data.items[slug]) {
+          // Tandai supaya anime tanpa halaman detail tidak dicoba terus
+          data.items[slug].detailFetchedAt = now();
+        }
+      });
+    });
+    documents = null;
+  };
+
+  // Crawl yang sedang berjalan dipakai bersama, tidak pernah dobel
+  const crawl = () => {
+    if (!crawling) {
+      crawling = runCrawl().finally(() => {
+        crawling = null;
+      });
+    }
+    return crawling;
+  };
+
+  const search = (query, { page = 1, limit = 20 } = {}) => {
+    const queryTokens = tokenize(query);
+    const ranked = [];
+
+    getDocuments().forEach(({ item, names }) => {
+      const score = Math.max(...names.map(({ tokens, weight }) => scoreName(queryTokens, tokens) * weight));
+      if (score > 0) ranked.push({ item, score });
+    });
+
+    ranked.sort((a, b) => b.score - a.score || a.item.title.localeCompare(b.item.title));
+
+    const start = (page - 1) * limit;
+    return {
+      results: ranked.slice(start, start + limit).map(({ item, score }) => ({ ...item, score: Math.round(score * 100) / 100 })),
+      total: ranked.length,
+      page,
+      totalPages: Math.ceil(ranked.length / limit)
+    };
+  };
+
+  // Crawl berkala; crawl pertama langsung jika katalog kosong atau sudah kadaluarsa
+  const start = (intervalMs) => {
+    const { crawledAt } = store.read();
+    const age = crawledAt ? now() - Date.parse(crawledAt) : Infinity;
+    const run = () => crawl().catch((error) => console.error('Crawler katalog gagal:', error));
+
+    if (age >= intervalMs) run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const browse = (filters, options) => browseItems(Object.values(store.read().items || {}), filters, options);
+
+  return {
+    crawl,
+    search,
+    browse,
+    addDetail,
+    facets: () => collectFacets(Object.values(store.read().items || {})),
+    start,
+    stop,
+    // Hasil search upstream ikut disimpan supaya pencarian berikutnya cukup dari katalog
+    add: (items) => addItems(items.map((item) => toCatalogItem(item)).filter(Boolean)),
+    stats: () => ({
+      items: Object.keys(store.read().items || {}).length,
+      crawledAt: store.read().crawledAt || null,
+      crawling: crawling !== null
+    })
+  };
+};
+
+module.exports = { createCatalog, toCatalogItem };
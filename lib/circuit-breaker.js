@@ -0,0 +1,75 @@
+/**
+ * Circuit breaker sederhana:
+ * - closed: request jalan normal, kegagalan beruntun dihitung
+ * - open: setelah `failureThreshold` kegagalan, request langsung ditolak selama `resetTimeout` ms
+ * - half_open: setelah itu satu request percobaan boleh lewat; sukses menutup breaker, gagal membukanya lagi
+ */
+const createCircuitBreaker = ({
+  name,
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  isFailure = () => true,
+  now = Date.now
+} = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  const open = () => {
+    state = 'open';
+    openedAt = now();
+    console.warn(`Circuit breaker ${name} terbuka setelah ${failures} kegagalan`);
+  };
+
+  const reject = () => {
+    const error = new Error(`Circuit breaker ${name} terbuka, upstream sedang bermasalah`);
+    error.code = 'ECIRCUITOPEN';
+    return Promise.reject(error);
+  };
+
+  const exec = async (task) => {
+    if (state === 'open') {
+      if (now() - openedAt < resetTimeout) return reject();
+      state = 'half_open';
+    }
+    const isTrial = state === 'half_open';
+    if (isTrial) {
+      if (trialRunning) return reject();
+      trialRunning = true;
+    }
+
+    try {
+      const result = await task();
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures++;
+        if (state === 'half_open' || failures >= failureThreshold) open();
+      } else if (state === 'half_open') {
+        // Host merespons (misal 404), berarti sudah pulih
+        state = 'closed';
+        failures = 0;
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialRunning = false;
+    }
+  };
+
+  return {
+    name,
+    exec,
+    status: () => ({
+      name,
+      state: state === 'open' && now() - openedAt >= resetTimeout ? 'half_open' : state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt) : null
+    })
+  };
+};
+
+module.exports = { createCircuitBreaker };
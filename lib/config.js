@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PROFILES = ['development', 'production', 'test'];
+
+// TTL bawaan per route (detik); route yang tidak ada di sini memakai CACHE_TTL
+const ROUTE_TTLS = {
+  home: null,
+  schedule: 1800,
+  genres: 86400,
+  genre: 900,
+  complete: 1800,
+  ongoing: null,
+  search: 300,
+  anime: 1800
+};
+
+// Default yang berbeda per profile, tetap bisa ditimpa lewat env
+const PROFILE_DEFAULTS = {
+  development: { VALIDATE_RESPONSES: 'true' },
+  production: {},
+  test: { CACHE_BACKEND: 'memory', CATALOG_CRAWL: 'false', EPISODE_CHECK: 'false', VALIDATE_RESPONSES: 'true' }
+};
+
+// Variabel yang wajib diisi per profile
+const PROFILE_REQUIRED = {
+  development: [],
+  production: ['FRONTEND_URL'],
+  test: []
+};
+
+const int = (options = {}) => ({ type: 'int', ...options });
+
+const SCHEMA = {
+  NODE_ENV: { type: 'enum', values: PROFILES, default: 'development' },
+  PORT: int({ default: 3000, min: 1, max: 65535 }),
+  DATA_DIR: { type: 'string', default: path.join(ROOT_DIR, 'data') },
+
+  API_BASE_URL: { type: 'url', default: 'https://www.sankavollerei.com' },
+  API_TIMEOUT: int({ default: 8000, min: 1000 }),
+  SOURCES: { type: 'list', default: ['sankavollerei'] },
+  UPSTREAM_MODE: { type: 'enum', values: ['live', 'record', 'replay'], default: 'live' },
+  UPSTREAM_CONCURRENCY: int({ default: 4, min: 1 }),
+  UPSTREAM_RETRIES: int({ default: 2, min: 0, max: 10 }),
+  UPSTREAM_RETRY_DELAY: int({ default: 300, min: 0 }),
+  BREAKER_THRESHOLD: int({ default: 5, min: 1 }),
+  BREAKER_RESET_TIMEOUT: int({ default: 30000, min: 1000 }),
+
+  CACHE_BACKEND: { type: 'enum', values: ['memory', 'file'], default: 'file' },
+  CACHE_DIR: { type: 'string', default: '' },
+  CACHE_TTL: int({ default: 600, min: 1 }),
+  CACHE_STALE_TTL: int({ default: 3600, min: 0 }),
+  CACHE_MAX_ENTRIES: int({ default: 1000, min: 1 }),
+  CACHE_SWEEP_INTERVAL: int({ default: 300, min: 0 }),
+  ...Object.fromEntries(Object.entries(ROUTE_TTLS).map(([route, ttl]) => [
+    `CACHE_TTL_${route.toUpperCase()}`,
+    int({ default: ttl, min: 1 })
+  ])),
+
+  CATALOG_CRAWL: { type: 'bool', default: true },
+  CATALOG_CRAWL_INTERVAL: int({ default: 6 * 60 * 60, min: 60 }),
+  CATALOG_MAX_PAGES: int({ default: 20, min: 1 }),
+  CATALOG_GENRE_PAGES: int({ default: 3, min: 0 }),
+  CATALOG_DETAIL_LIMIT: int({ default: 50, min: 0 }),
+
+  IMAGE_ALLOWED_HOSTS: { type: 'list', default: [] },
+  IMAGE_CACHE_TTL: int({ default: 7 * 24 * 60 * 60, min: 60 }),
+  IMAGE_CACHE_MAX_MB: int({ default: 200, min: 1 }),
+
+  EPISODE_CHECK: { type: 'bool', default: true },
+  EPISODE_CHECK_INTERVAL: int({ default: 15 * 60, min: 60 }),
+
+  RATE_LIMIT_WINDOW_MS: int({ default: 15 * 60 * 1000, min: 1000 }),
+  RATE_LIMIT_MAX_REQUESTS: int({ default: 30, min: 1 }),
+  SEARCH_RATE_LIMIT_WINDOW_MS: int({ default: 60 * 1000, min: 1000 }),
+  SEARCH_RATE_LIMIT_MAX_REQUESTS: int({ default: 10, min: 1 }),
+  SUGGEST_RATE_LIMIT_WINDOW_MS: int({ default: 60 * 1000, min: 1000 }),
+  SUGGEST_RATE_LIMIT_MAX_REQUESTS: int({ default: 120, min: 1 }),
+  LISTING_RATE_LIMIT_WINDOW_MS: int({ default: 60 * 1000, min: 1000 }),
+  LISTING_RATE_LIMIT_MAX_REQUESTS: int({ default: 120, min: 1 }),
+  FEED_RATE_LIMIT_WINDOW_MS: int({ default: 15 * 60 * 1000, min: 1000 }),
+  FEED_RATE_LIMIT_MAX_REQUESTS: int({ default: 60, min: 1 }),
+  IMAGE_RATE_LIMIT_WINDOW_MS: int({ default: 60 * 1000, min: 1000 }),
+  IMAGE_RATE_LIMIT_MAX_REQUESTS: int({ default: 300, min: 1 }),
+
+  VALIDATE_RESPONSES: { type: 'bool', default: false },
+
+  FRONTEND_URL: { type: 'urlList', default: [] },
+  ADMIN_TOKEN: { type: 'string', default: '', minLength: 16 }
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Konfigurasi tidak valid:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Mengembalikan [value, pesanError]
+const parseValue = (name, raw, spec) => {
+  const value = raw.trim();
+
+  switch (spec.type) {
+    case 'int': {
+      const number = Number(value);
+      if (!/^-?\d+$/.test(value) || !Number.isSafeInteger(number)) {
+        return [null, `${name} harus bilangan bulat (didapat "${raw}")`];
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        return [null, `${name} minimal ${spec.min} (didapat ${number})`];
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        return [null, `${name} maksimal ${spec.max} (didapat ${number})`];
+      }
+      return [number];
+    }
+    case 'enum':
+      return spec.values.includes(value)
+        ? [value]
+        : [null, `${name} harus salah satu dari: ${spec.values.join(', ')} (didapat "${raw}")`];
+    case 'bool':
+      if (['true', '1', 'yes'].includes(value.toLowerCase())) return [true];
+      if (['false', '0', 'no'].includes(value.toLowerCase())) return [false];
+      return [null, `${name} harus true atau false (didapat "${raw}")`];
+    case 'url':
+      return isUrl(value) ? [value.replace(/\/+$/, '')] : [null, `${name} harus URL http(s) (didapat "${raw}")`];
+    case 'list':
+      return [value.split(',').map((item) => item.trim()).filter(Boolean)];
+    case 'urlList': {
+      const urls = value.split(',').map((item) => item.trim()).filter(Boolean);
+      const invalid = urls.filter((url) => !isUrl(url));
+      return invalid.length > 0
+        ? [null, `${name} berisi URL tidak valid: ${invalid.join(', ')}`]
+        : [urls.map((url) => url.replace(/\/+$/, ''))];
+    }
+    default:
+      if (spec.minLength && value.length > 0 && value.length < spec.minLength) {
+        return [null, `${name} minimal ${spec.minLength} karakter`];
+      }
+      return [value];
+  }
+};
+
+/**
+ * Muat file .env ke env tanpa menimpa variabel yang sudah ada.
+ * .env.<profile> dimuat lebih dulu sehingga nilainya menang atas .env.
+ */
+const loadEnvFiles = (env, profile, dir) => {
+  [`.env.${profile}`, '.env'].forEach((file) => {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return;
+
+    Object.entries(dotenv.parse(fs.readFileSync(filePath))).forEach(([name, value]) => {
+      if (env[name] === undefined) env[name] = value;
+    });
+  });
+};
+
+const detectProfile = (env, dir) => {
+  if (env.NODE_ENV) return env.NODE_ENV;
+
+  const envFile = path.join(dir, '.env');
+  const fromFile = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)).NODE_ENV : undefined;
+  return fromFile || 'development';
+};
+
+/**
+ * Baca, validasi, dan bentuk konfigurasi server. Semua error dikumpulkan
+ * lalu dilempar sekaligus sebagai ConfigError.
+ * Profile test tidak membaca file .env supaya hasil test tidak bergantung pada mesin.
+ */
+const loadConfig = ({ env = process.env, dir = ROOT_DIR } = {}) => {
+  const profile = detectProfile(env, dir);
+  if (profile !== 'test') {
+    loadEnvFiles(env, profile, dir);
+  }
+
+  const errors = [];
+  const defaults = PROFILE_DEFAULTS[profile] || {};
+  const values = {};
+
+  Object.entries(SCHEMA).forEach(([name, spec]) => {
+    const raw = env[name] !== undefined && env[name] !== '' ? env[name] : defaults[name];
+    if (raw === undefined) {
+      values[name] = spec.default;
+      return;
+    }
+
+    const [value, error] = parseValue(name, String(raw), spec);
+    if (error) errors.push(error);
+    values[name] = value;
+  });
+
+  (PROFILE_REQUIRED[values.NODE_ENV] || []).forEach((name) => {
+    const value = values[name];
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      errors.push(`${name} wajib diisi untuk profile ${values.NODE_ENV}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const ttls = {};
+  Object.keys(ROUTE_TTLS).forEach((route) => {
+    ttls[route] = values[`CACHE_TTL_${route.toUpperCase()}`] || values.CACHE_TTL;
+  });
+
+  return {
+    profile: values.NODE_ENV,
+    port: values.PORT,
+    dataDir: values.DATA_DIR,
+    upstream: {
+      baseUrl: values.API_BASE_URL,
+      timeout: values.API_TIMEOUT,
+      sources: values.SOURCES,
+      mode: values.UPSTREAM_MODE,
+      concurrency: values.UPSTREAM_CONCURRENCY,
+      retries: values.UPSTREAM_RETRIES,
+      retryDelay: values.UPSTREAM_RETRY_DELAY,
+      breakerThreshold: values.BREAKER_THRESHOLD,
+      breakerResetTimeout: values.BREAKER_RESET_TIMEOUT
+    },
+    cache: {
+      backend: values.CACHE_BACKEND,
+      dir: values.CACHE_DIR || path.join(values.DATA_DIR, 'cache'),
+      staleTtl: values.CACHE_STALE_TTL,
+      maxEntries: values.CACHE_MAX_ENTRIES,
+      sweepInterval: values.CACHE_SWEEP_INTERVAL,
+      ttls
+    },
+    catalog: {
+      crawl: values.CATALOG_CRAWL,
+      interval: values.CATALOG_CRAWL_INTERVAL,
+      maxPages: values.CATALOG_MAX_PAGES,
+      genrePages: values.CATALOG_GENRE_PAGES,
+      detailLimit: values.CATALOG_DETAIL_LIMIT
+    },
+    images: {
+      dir: path.join(values.DATA_DIR, 'images'),
+      // Kosong = domain API_BASE_URL beserta subdomainnya (www.example.com -> example.com, cdn.example.com)
+      allowedHosts: values.IMAGE_ALLOWED_HOSTS.length > 0
+        ? values.IMAGE_ALLOWED_HOSTS.map((host) => host.toLowerCase())
+        : [new URL(values.API_BASE_URL).hostname.replace(/^www\./, '')],
+      ttl: values.IMAGE_CACHE_TTL,
+      maxBytes: values.IMAGE_CACHE_MAX_MB * 1024 * 1024
+    },
+    notifications: {
+      check: values.EPISODE_CHECK,
+      interval: values.EPISODE_CHECK_INTERVAL
+    },
+    rateLimit: {
+      windowMs: values.RATE_LIMIT_WINDOW_MS,
+      max: values.RATE_LIMIT_MAX_REQUESTS
+    },
+    searchRateLimit: {
+      windowMs: values.SEARCH_RATE_LIMIT_WINDOW_MS,
+      max: values.SEARCH_RATE_LIMIT_MAX_REQUESTS
+    },
+    suggestRateLimit: {
+      windowMs: values.SUGGEST_RATE_LIMIT_WINDOW_MS,
+      max: values.SUGGEST_RATE_LIMIT_MAX_REQUESTS
+    },
+    listingRateLimit: {
+      windowMs: values.LISTING_RATE_LIMIT_WINDOW_MS,
+      max: values.LISTING_RATE_LIMIT_MAX_REQUESTS
+    },
+    feedRateLimit: {
+      windowMs: values.FEED_RATE_LIMIT_WINDOW_MS,
+      max: values.FEED_RATE_LIMIT_MAX_REQUESTS
+    },
+    imageRateLimit: {
+      windowMs: values.IMAGE_RATE_LIMIT_WINDOW_MS,
+      max: values.IMAGE_RATE_LIMIT_MAX_REQUESTS
+    },
+    // Cek response /api/* terhadap dokumen OpenAPI (aktif di development dan test)
+    validateResponses: values.VALIDATE_RESPONSES,
+    cors: {
+      // Kosong = semua origin diizinkan
+      origins: values.FRONTEND_URL
+    },
+    adminToken: values.ADMIN_TOKEN
+  };
+};
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  loadConfig
+};
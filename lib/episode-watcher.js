@@ -0,0 +1,167 @@
+const { EventEmitter } = require('events');
+const { slugFromLink } = require('./utils');
+
+// Notifikasi lama dibuang setelah melewati batas ini
+const MAX_NOTIFICATIONS = 100;
+
+// Halaman detail tetap dicek sesekali walau label episode di ongoing tidak berubah
+const DETAIL_MAX_AGE = 6 * 60 * 60 * 1000;
+
+const episodesOf = (detail) => (detail?.episodes || [])
+  .map((episode) => ({ slug: slugFromLink(episode.link), title: episode.title }))
+  .filter((episode) => episode.slug);
+
+/**
+ * Job berkala yang membandingkan episode anime yang diikuti dengan daftar
+ * episode terakhir yang diketahui, lalu membuat notifikasi untuk episode baru.
+ * Store: { known: { [slug]: { episodes, latest, checkedAt } }, notifications, checkedAt }.
+ * Event 'episode' (notifikasi baru) dan 'read' (jumlah unread) dipakai SSE.
+ */
+const createEpisodeWatcher = ({ store, sources, getFollowed, now = Date.now }) => {
+  const events = new EventEmitter();
+  // Satu listener per tab yang membuka stream
+  events.setMaxListeners(0);
+
+  let checking = null;
+  let timer = null;
+
+  const unreadCount = () => (store.read().notifications || []).filter((item) => !item.read).length;
+
+  // Label episode terbaru per slug dari listing ongoing halaman pertama
+  const fetchOngoingLabels = async () => {
+    const labels = new Map();
+    try {
+      const { anime = [] } = (await sources.run('ongoing', 1)) || {};
+      anime.forEach((item) => {
+        const slug = item.slug || slugFromLink(item.link);
+        if (slug && item.episode) labels.set(slug, item.episode);
+      });
+    } catch (error) {
+      console.error('Pengecekan episode gagal mengambil ongoing:', error.message);
+    }
+    return labels;
+  };
+
+  const shouldFetchDetail = (known, label) => !known
+    || (label && label !== known.latest)
+    || now() - known.checkedAt >= DETAIL_MAX_AGE;
+
+  const runCheck = async () => {
+    const followed = getFollowed();
+    const created = [];
+    if (followed.length === 0) return { checked: 0, created };
+
+    const labels = await fetchOngoingLabels();
+    let checked = 0;
+
+    for (const anime of followed) {
+      const label = labels.get(anime.slug);
+      const known = store.read().known?.[anime.slug];
+      if (!shouldFetchDetail(known, label)) continue;
+
+      let detail;
+      try {
+        detail = await sources.run('detail', anime.slug);
+      } catch (error) {
+        console.error(`Pengecekan episode gagal untuk ${anime.slug}:`, error.message);
+        continue;
+      }
+      if (!detail) continue;
+      checked++;
+
+      const episodes = episodesOf(detail);
+      // Anime yang baru diikuti hanya dicatat, belum ada yang dianggap baru
+      const fresh = known ? episodes.filter((episode) => !known.episodes.includes(episode.slug)) : [];
+
+      store.update((data) => {
+        data.known = data.known || {};
+        data.known[anime.slug] = {
+          episodes: [...new Set([...(known?.episodes || []), ...episodes.map((episode) => episode.slug)])],
+          latest: label || known?.latest || null,
+          checkedAt: now()
+        };
+
+        data.notifications = data.notifications || [];
+        fresh.forEach((episode) => {
+          const notification = {
+            id: `${anime.slug}:${episode.slug}`,
+            slug: anime.slug,
+            title: detail.title || anime.title,
+            image: detail.image || anime.image || null,
+            episodeSlug: episode.slug,
+            episodeTitle: episode.title,
+            createdAt: now(),
+            read: false
+          };
+          data.notifications.unshift(notification);
+          created.push(notification);
+        });
+        data.notifications = data.notifications.slice(0, MAX_NOTIFICATIONS);
+      });
+    }
+
+    store.update((data) => {
+      data.checkedAt = now();
+    });
+    created.forEach((notification) => events.emit('episode', notification));
+    if (created.length > 0) {
+      console.log(`Pengecekan episode: ${created.length} episode baru dari ${checked} anime`);
+    }
+    return { checked, created };
+  };
+
+  // Pengecekan yang sedang berjalan dipakai bersama, tidak pernah dobel
+  const check = () => {
+    if (!checking) {
+      checking = runCheck().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  };
+
+  // ids kosong = tandai semua; mengembalikan jumlah unread setelahnya
+  const markRead = (ids) => {
+    const targets = ids ? new Set(ids) : null;
+    store.update((data) => {
+      (data.notifications || []).forEach((item) => {
+        if (!targets || targets.has(item.id)) item.read = true;
+      });
+    });
+
+    const unread = unreadCount();
+    events.emit('read', { unread });
+    return unread;
+  };
+
+  const start = (intervalMs) => {
+    const run = () => check().catch((error) => console.error('Pengecekan episode gagal:', error));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    check,
+    markRead,
+    start,
+    stop,
+    list: () => ({ notifications: store.read().notifications || [], unread: unreadCount() }),
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener),
+    stats: () => ({
+      tracked: Object.keys(store.read().known || {}).length,
+      unread: unreadCount(),
+      checkedAt: store.read().checkedAt ? new Date(store.read().checkedAt) : null,
+      checking: checking !== null,
+      listeners: events.listenerCount('episode')
+    })
+  };
+};
+
+module.exports = { createEpisodeWatcher };
@@ -0,0 +1,123 @@
+// Batas entry tanggal yang disimpan; yang paling lama dibuang lebih dulu
+const MAX_DATES = 5000;
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const imageType = (url) => {
+  const ext = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[ext] || 'image/jpeg';
+};
+
+// Feed tanpa item memakai waktu data diambil (feed.updatedAt)
+const lastUpdated = (feed) => Math.max(0, ...feed.items.map((item) => item.date)) || feed.updatedAt;
+
+// "Episode 1120" -> "episode-1120", dipakai di GUID
+const toGuidPart = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Upstream tidak memberi tanggal rilis, jadi tanggal item feed adalah saat
+ * GUID-nya pertama kali terlihat. Disimpan di JSON store supaya tetap sama
+ * antar request dan setelah restart: { [guid]: timestamp }.
+ */
+const createFeedDates = ({ store, now = Date.now }) => (guids) => {
+  const known = store.read();
+  const missing = guids.filter((guid) => !known[guid]);
+
+  if (missing.length > 0) {
+    store.update((data) => {
+      const seenAt = now();
+      missing.forEach((guid) => {
+        data[guid] = seenAt;
+      });
+
+      const entries = Object.entries(data);
+      if (entries.length > MAX_DATES) {
+        entries
+          .sort((a, b) => a[1] - b[1])
+          .slice(0, entries.length - MAX_DATES)
+          .forEach(([guid]) => delete data[guid]);
+      }
+    });
+  }
+
+  const data = store.read();
+  return Object.fromEntries(guids.map((guid) => [guid, data[guid]]));
+};
+
+/**
+ * Feed ke RSS 2.0. Bentuk feed:
+ * { id, title, description, link, selfUrl, updatedAt, items: [{ guid, title, link, summary, date, image }] }
+ */
+const toRss = (feed) => {
+  const updated = lastUpdated(feed);
+  const items = feed.items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+    `      <pubDate>${new Date(item.date).toUTCString()}</pubDate>`,
+    ...(item.summary ? [`      <description>${escapeXml(item.summary)}</description>`] : []),
+    ...(item.image ? [`      <enclosure url="${escapeXml(item.image)}" type="${imageType(item.image)}" length="0"/>`] : []),
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>id</language>',
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const toAtom = (feed) => {
+  const updated = lastUpdated(feed);
+  const entries = feed.items.map((item) => [
+    '  <entry>',
+    `    <id>${escapeXml(item.guid)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(item.link)}"/>`,
+    `    <updated>${new Date(item.date).toISOString()}</updated>`,
+    ...(item.summary ? [`    <summary>${escapeXml(item.summary)}</summary>`] : []),
+    ...(item.image ? [`    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>`] : []),
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="id">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    '  <author><name>AnimeStream</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  createFeedDates,
+  escapeXml,
+  toAtom,
+  toGuidPart,
+  toRss
+};
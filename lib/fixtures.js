@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'upstream');
+
+const getFixturesDir = () => process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+/**
+ * Path fixture untuk sebuah URL upstream, contoh:
+ * https://host/anime/genre/action?page=2 -> <dir>/host/anime__genre__action--page=2.html
+ */
+const fixturePath = (url) => {
+  const { host, pathname, search } = new URL(url);
+  const name = `${pathname.replace(/^\/+/, '')}${search ? `--${search.slice(1)}` : ''}`
+    .replace(/\//g, '__')
+    .replace(/[^a-zA-Z0-9._=&%-]/g, '_');
+  return path.join(getFixturesDir(), host, `${name || 'index'}.html`);
+};
+
+const readFixture = (url) => {
+  const file = fixturePath(url);
+  if (!fs.existsSync(file)) {
+    const error = new Error(`Fixture tidak ada untuk ${url} (${path.relative(process.cwd(), file)})`);
+    error.code = 'ENOFIXTURE';
+    error.response = { status: 404 };
+    throw error;
+  }
+  return fs.readFileSync(file, 'utf8');
+};
+
+const writeFixture = (url, body) => {
+  const file = fixturePath(url);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof body === 'string' ? body : JSON.stringify(body));
+  return file;
+};
+
+module.exports = {
+  fixturePath,
+  readFixture,
+  writeFixture
+};
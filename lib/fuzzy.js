@@ -0,0 +1,110 @@
+// Partikel romaji yang sering ditulis berbeda ("Kimi wo" / "Kimi o")
+const PARTICLES = { wo: 'o' };
+
+/**
+ * Samakan ejaan romaji: vokal panjang ditulis tunggal (ō, ou, uu -> o/u),
+ * sehingga "Shippuuden", "Shippūden" dan "Shippuden" dianggap sama.
+ */
+const foldRomaji = (token) => {
+  const folded = token
+    .replace(/ou/g, 'o')
+    .replace(/([aeiou])\1+/g, '$1');
+  return PARTICLES[folded] || folded;
+};
+
+const normalize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean).map(foldRomaji);
+
+// Damerau-Levenshtein (optimal string alignment), berhenti lebih awal jika melewati max
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+// Toleransi typo berdasarkan panjang kata query
+const maxEditsFor = (token) => {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Skor satu kata query terhadap satu kata judul (0 = tidak cocok):
+ * sama persis 1, awalan 0.8, typo 0.6 / 0.4 (termasuk typo pada awalan).
+ */
+const scoreToken = (queryToken, titleToken) => {
+  if (queryToken === titleToken) return 1;
+  if (queryToken.length >= 2 && titleToken.startsWith(queryToken)) return 0.8;
+
+  const maxEdits = maxEditsFor(queryToken);
+  if (maxEdits === 0) return 0;
+
+  const distance = Math.min(
+    editDistance(queryToken, titleToken, maxEdits),
+    editDistance(queryToken, titleToken.slice(0, queryToken.length), maxEdits) + 0.5
+  );
+  if (distance > maxEdits) return 0;
+  return distance <= 1 ? 0.6 : 0.4;
+};
+
+/**
+ * Skor query terhadap satu nama (judul atau judul alternatif). Setiap kata
+ * query wajib cocok dengan salah satu kata nama; nama yang sama persis atau
+ * diawali query mendapat bonus.
+ */
+const scoreName = (queryTokens, nameTokens) => {
+  if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  let total = 0;
+  for (const queryToken of queryTokens) {
+    const best = Math.max(...nameTokens.map((nameToken) => scoreToken(queryToken, nameToken)));
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  const query = queryTokens.join(' ');
+  const name = nameTokens.join(' ');
+  let score = total / queryTokens.length;
+  if (name === query) score += 0.5;
+  else if (name.startsWith(query)) score += 0.25;
+  // Nama pendek yang tercakup penuh oleh query lebih relevan
+  score += 0.1 * Math.min(1, queryTokens.length / nameTokens.length);
+
+  return score;
+};
+
+module.exports = {
+  editDistance,
+  foldRomaji,
+  normalize,
+  scoreName,
+  scoreToken,
+  tokenize
+};
@@ -0,0 +1,173 @@
+// Bahasa default API (dan jika Accept-Language tidak cocok dengan bahasa mana pun)
+const DEFAULT_LOCALE = 'id';
+
+/**
+ * Katalog pesan API per bahasa, dikunci dengan kode error yang stabil.
+ * Kode ikut dikirim di body error ({ error, code }) supaya client bisa
+ * bercabang tanpa membaca teks pesan. Placeholder: {nama}.
+ */
+const MESSAGES = {
+  id: {
+    RATE_LIMITED: 'Terlalu banyak request dari IP ini, silahkan coba lagi nanti',
+    SEARCH_RATE_LIMITED: 'Terlalu banyak pencarian, silahkan coba lagi nanti',
+    SUGGEST_RATE_LIMITED: 'Terlalu banyak permintaan saran, silahkan coba lagi nanti',
+    IMAGE_RATE_LIMITED: 'Terlalu banyak permintaan gambar, silahkan coba lagi nanti',
+    LISTING_RATE_LIMITED: 'Terlalu banyak permintaan halaman daftar, silahkan coba lagi nanti',
+    FEED_RATE_LIMITED: 'Terlalu banyak permintaan feed, silahkan coba lagi nanti',
+
+    HOME_FAILED: 'Gagal mengambil data home',
+    SCHEDULE_FAILED: 'Gagal mengambil jadwal',
+    CALENDAR_FAILED: 'Gagal membuat kalender jadwal',
+    GENRES_FAILED: 'Gagal mengambil genre',
+    GENRE_ANIME_FAILED: 'Gagal mengambil anime berdasarkan genre',
+    COMPLETE_FAILED: 'Gagal mengambil anime lengkap',
+    ONGOING_FAILED: 'Gagal mengambil anime berlanjut',
+    SEARCH_FAILED: 'Gagal mencari anime',
+    SUGGEST_FAILED: 'Gagal mengambil saran pencarian',
+    BROWSE_FAILED: 'Gagal mengambil daftar anime',
+    ANIME_FAILED: 'Gagal mengambil detail anime',
+    BATCH_FAILED: 'Gagal mengambil batch anime',
+    EPISODE_FAILED: 'Gagal mengambil episode',
+    STREAM_FAILED: 'Gagal mengambil stream',
+    UNLIMITED_FAILED: 'Gagal mengambil unlimited',
+    FEED_ONGOING_FAILED: 'Gagal membuat feed ongoing',
+    FEED_GENRE_FAILED: 'Gagal membuat feed genre',
+    FEED_ANIME_FAILED: 'Gagal membuat feed anime',
+    IMAGE_FAILED: 'Gagal mengambil gambar',
+
+    INVALID_SLUG: 'Slug tidak valid',
+    INVALID_GENRE_SLUG: 'Slug genre tidak valid',
+    INVALID_ANIME_SLUG: 'Slug anime tidak valid',
+    INVALID_EPISODE_SLUG: 'Slug episode tidak valid',
+    INVALID_SERVER_ID: 'ID server tidak valid',
+    INVALID_OPTION: '{field} harus salah satu dari: {options}',
+    QUERY_TOO_SHORT: 'Query minimal 2 karakter',
+    INVALID_YEAR: 'year tidak valid',
+    STUDIO_TOO_LONG: 'studio maksimal 50 karakter',
+    INVALID_PARAM: 'Parameter {name} tidak valid',
+
+    ANIME_NOT_FOUND: 'Anime tidak ditemukan',
+    EPISODE_NOT_FOUND: 'Episode tidak ditemukan',
+    BATCH_NOT_FOUND: 'Batch anime tidak ditemukan',
+    STREAM_NOT_FOUND: 'Server stream tidak ditemukan',
+
+    INVALID_CLIENT_ID: 'Header X-Client-Id tidak valid',
+    INVALID_HISTORY_EPISODES: 'episodes harus berupa object',
+    HISTORY_NOT_FOUND: 'Riwayat tidak ditemukan',
+    LIBRARY_ITEM_NOT_FOUND: 'Anime tidak ada di daftar',
+    INVALID_NOTIFICATION_IDS: 'ids harus array string',
+
+    IMAGE_INVALID_URL: 'Parameter url harus URL gambar yang valid',
+    IMAGE_INVALID_WIDTH: 'Parameter w harus salah satu dari: {widths}',
+    IMAGE_HOST_NOT_ALLOWED: 'Host gambar tidak diizinkan: {host}',
+    IMAGE_UNSUPPORTED: 'Respons upstream bukan gambar yang didukung',
+    IMAGE_TOO_LARGE: 'Gambar upstream terlalu besar',
+
+    ADMIN_DISABLED: 'Admin API tidak aktif, set ADMIN_TOKEN terlebih dahulu',
+    ADMIN_UNAUTHORIZED: 'Token admin tidak valid',
+    CACHE_TARGET_REQUIRED: 'Isi salah satu dari query key atau prefix',
+    CACHE_KEY_REQUIRED: 'key wajib diisi',
+    CACHE_KEY_UNKNOWN: 'Key belum pernah di-request sejak server start',
+    CACHE_REFRESH_FAILED: 'Gagal refresh dari upstream',
+    INVALID_TTL: 'TTL harus bilangan bulat > 0 untuk route: {routes}',
+
+    HEALTH_OK: 'Server berjalan dengan baik',
+    HEALTH_DEGRADED: 'Upstream sedang bermasalah'
+  },
+  en: {
+    RATE_LIMITED: 'Too many requests from this IP, please try again later',
+    SEARCH_RATE_LIMITED: 'Too many searches, please try again later',
+    SUGGEST_RATE_LIMITED: 'Too many suggestion requests, please try again later',
+    IMAGE_RATE_LIMITED: 'Too many image requests, please try again later',
+    LISTING_RATE_LIMITED: 'Too many listing requests, please try again later',
+    FEED_RATE_LIMITED: 'Too many feed requests, please try again later',
+
+    HOME_FAILED: 'Failed to load home data',
+    SCHEDULE_FAILED: 'Failed to load the schedule',
+    CALENDAR_FAILED: 'Failed to build the schedule calendar',
+    GENRES_FAILED: 'Failed to load genres',
+    GENRE_ANIME_FAILED: 'Failed to load anime for this genre',
+    COMPLETE_FAILED: 'Failed to load completed anime',
+    ONGOING_FAILED: 'Failed to load ongoing anime',
+    SEARCH_FAILED: 'Failed to search anime',
+    SUGGEST_FAILED: 'Failed to load search suggestions',
+    BROWSE_FAILED: 'Failed to load the anime list',
+    ANIME_FAILED: 'Failed to load anime details',
+    BATCH_FAILED: 'Failed to load anime batch',
+    EPISODE_FAILED: 'Failed to load the episode',
+    STREAM_FAILED: 'Failed to load the stream',
+    UNLIMITED_FAILED: 'Failed to load the unlimited list',
+    FEED_ONGOING_FAILED: 'Failed to build the ongoing feed',
+    FEED_GENRE_FAILED: 'Failed to build the genre feed',
+    FEED_ANIME_FAILED: 'Failed to build the anime feed',
+    IMAGE_FAILED: 'Failed to load the image',
+
+    INVALID_SLUG: 'Invalid slug',
+    INVALID_GENRE_SLUG: 'Invalid genre slug',
+    INVALID_ANIME_SLUG: 'Invalid anime slug',
+    INVALID_EPISODE_SLUG: 'Invalid episode slug',
+    INVALID_SERVER_ID: 'Invalid server ID',
+    INVALID_OPTION: '{field} must be one of: {options}',
+    QUERY_TOO_SHORT: 'Query must be at least 2 characters',
+    INVALID_YEAR: 'Invalid year',
+    STUDIO_TOO_LONG: 'studio must be at most 50 characters',
+    INVALID_PARAM: 'Invalid parameter {name}',
+
+    ANIME_NOT_FOUND: 'Anime not found',
+    EPISODE_NOT_FOUND: 'Episode not found',
+    BATCH_NOT_FOUND: 'Anime batch not found',
+    STREAM_NOT_FOUND: 'Stream server not found',
+
+    INVALID_CLIENT_ID: 'Invalid X-Client-Id header',
+    INVALID_HISTORY_EPISODES: 'episodes must be an object',
+    HISTORY_NOT_FOUND: 'History entry not found',
+    LIBRARY_ITEM_NOT_FOUND: 'Anime is not in the library',
+    INVALID_NOTIFICATION_IDS: 'ids must be an array of strings',
+
+    IMAGE_INVALID_URL: 'The url parameter must be a valid image URL',
+    IMAGE_INVALID_WIDTH: 'The w parameter must be one of: {widths}',
+    IMAGE_HOST_NOT_ALLOWED: 'Image host is not allowed: {host}',
+    IMAGE_UNSUPPORTED: 'Upstream response is not a supported image',
+    IMAGE_TOO_LARGE: 'Upstream image is too large',
+
+    ADMIN_DISABLED: 'Admin API is disabled, set ADMIN_TOKEN first',
+    ADMIN_UNAUTHORIZED: 'Invalid admin token',
+    CACHE_TARGET_REQUIRED: 'Provide exactly one of the key or prefix query parameters',
+    CACHE_KEY_REQUIRED: 'key is required',
+    CACHE_KEY_UNKNOWN: 'Key has not been requested since the server started',
+    CACHE_REFRESH_FAILED: 'Failed to refresh from upstream',
+    INVALID_TTL: 'TTL must be an integer > 0 for routes: {routes}',
+
+    HEALTH_OK: 'Server is running normally',
+    HEALTH_DEGRADED: 'Upstream is having problems'
+  }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+
+// Pesan untuk kode di locale tertentu; kode tanpa terjemahan jatuh ke bahasa default
+const translate = (locale, code, params = {}) => {
+  const template = MESSAGES[locale]?.[code] ?? MESSAGES[DEFAULT_LOCALE][code] ?? code;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+// Bahasa dari header Accept-Language (q-value dihormati, "en-US" cocok dengan "en")
+const localeFor = (req) => (req?.get?.('Accept-Language') && req.acceptsLanguages(...LOCALES)) || DEFAULT_LOCALE;
+
+// Body error standar: pesan sesuai bahasa request + kode yang tidak ikut diterjemahkan
+const errorBody = (req, code, params) => ({ error: translate(localeFor(req), code, params), code });
+
+const sendError = (res, status, code, params) => {
+  res.vary('Accept-Language');
+  return res.status(status).json(errorBody(res.req, code, params));
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MESSAGES,
+  errorBody,
+  localeFor,
+  sendError,
+  translate
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// Lebar yang boleh diminta lewat ?w=; tanpa w gambar dikirim dengan ukuran asli
+const IMAGE_WIDTHS = [120, 240, 480];
+
+// Batas ukuran gambar sumber dari upstream
+const MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+
+// Redirect dari host poster diikuti paling banyak sekian kali, masing-masing dicek ulang
+const MAX_REDIRECTS = 3;
+
+// Setelah cache melewati maxBytes, file paling lama dibuang sampai tersisa 90%
+const PRUNE_TARGET = 0.9;
+
+// Tipe ditentukan dari isi file, bukan header upstream. SVG sengaja tidak diizinkan (bisa berisi script).
+const SIGNATURES = [
+  { type: 'image/jpeg', test: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { type: 'image/png', test: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', test: (buf) => buf.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', test: (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'image/avif', test: (buf) => buf.subarray(4, 12).toString('latin1') === 'ftypavif' }
+];
+
+const detectImageType = (buffer) => SIGNATURES.find(({ test }) => buffer.length >= 12 && test(buffer))?.type || null;
+
+// code = kode error di lib/i18n; pesan diterjemahkan ulang sesuai bahasa request oleh router
+class ImageProxyError extends Error {
+  constructor(code, status, params = {}) {
+    super(translate(DEFAULT_LOCALE, code, params));
+    this.name = 'ImageProxyError';
+    this.code = code;
+    this.status = status;
+    this.params = params;
+  }
+}
+
+// sharp bersifat opsional (binary native); tanpa sharp gambar dikirim dengan ukuran asli
+const loadResizer = () => {
+  try {
+    const sharp = require('sharp');
+    return async (buffer, width) => ({
+      data: await sharp(buffer).rotate().resize({ width, withoutEnlargement: true }).webp({ quality: 75 }).toBuffer(),
+      type: 'image/webp'
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+// Host cocok jika sama persis atau subdomain dari host yang diizinkan
+const isAllowedHost = (hostname, allowedHosts) =>
+  allowedHosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+
+/**
+ * Proxy gambar poster upstream: validasi host dan tipe, resize ke lebar
+ * preset, lalu simpan di disk (satu .bin + .json metadata per url+lebar).
+ * Jika upstream gagal, salinan lama yang sudah kedaluwarsa tetap dikirim.
+ */
+const createImageProxy = ({
+  dir,
+  allowedHosts,
+  fetchImage,
+  resize = loadResizer(),
+  ttl = 7 * 24 * 60 * 60,
+  maxBytes = 200 * 1024 * 1024,
+  now = Date.now
+}) => {
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, stale: 0, errors: 0 };
+  const filesFor = (key) => ({ data: path.join(dir, `${key}.bin`), meta: path.join(dir, `${key}.json`) });
+
+  // URL dari redirect upstream yang ditolak adalah kesalahan upstream (502), bukan request (400/403)
+  const parseUrl = (rawUrl, { redirect = false } = {}) => {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      throw new ImageProxyError('IMAGE_INVALID_URL', redirect ? 502 : 400);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ImageProxyError('IMAGE_INVALID_URL', redirect ? 502 : 400);
+    }
+    if (!isAllowedHost(url.hostname, allowedHosts)) {
+      throw new ImageProxyError('IMAGE_HOST_NOT_ALLOWED', redirect ? 502 : 403, { host: url.hostname });
+    }
+    return url;
+  };
+
+  // Ikuti redirect secara manual supaya host yang diizinkan tidak bisa mengarahkan proxy ke host lain
+  const fetchSource = async (url) => {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const source = await fetchImage(current.href, { maxBytes: MAX_SOURCE_BYTES });
+      if (!source.redirect) return source;
+      current = parseUrl(source.redirect, { redirect: true });
+    }
+    throw new ImageProxyError('IMAGE_FAILED', 502);
+  };
+
+  const readCached = (key) => {
+    const files = filesFor(key);
+    try {
+      const meta = JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+      return { ...meta, data: fs.readFileSync(files.data) };
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Ukuran file .bin per key, urut dari yang paling lama ditulis. Dibaca dari disk
+  // sekali saja; setelah itu total ukuran dihitung di memory tanpa scan direktori.
+  let sizes = null;
+  let totalBytes = 0;
+
+  const loadSizes = () => {
+    if (sizes) return sizes;
+    sizes = new Map();
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith('.bin')) : [];
+    files
+      .map((file) => {
+        const { size, mtimeMs } = fs.statSync(path.join(dir, file));
+        return { key: file.slice(0, -4), size, mtimeMs };
+      })
+      .sort((a, b) => a.mtimeMs - b.mtimeMs)
+      .forEach(({ key, size }) => {
+        sizes.set(key, size);
+        totalBytes += size;
+      });
+    return sizes;
+  };
+
+  const cachedBytes = () => {
+    loadSizes();
+    return totalBytes;
+  };
+
+  const track = (key, size) => {
+    loadSizes();
+    totalBytes += size - (sizes.get(key) || 0);
+    // Hapus dulu supaya key pindah ke urutan paling baru
+    sizes.delete(key);
+    sizes.set(key, size);
+  };
+
+  const prune = () => {
+    if (totalBytes <= maxBytes) return;
+
+    for (const [key, size] of sizes) {
+      if (totalBytes <= maxBytes * PRUNE_TARGET) break;
+      const files = filesFor(key);
+      fs.rmSync(files.data, { force: true });
+      fs.rmSync(files.meta, { force: true });
+      sizes.delete(key);
+      totalBytes -= size;
+    }
+  };
+
+  const store = (key, image) => {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const files = filesFor(key);
+      fs.writeFileSync(files.data, image.data);
+      fs.writeFileSync(files.meta, JSON.stringify({ url: image.url, width: image.width, type: image.type, etag: image.etag, storedAt: image.storedAt }));
+      track(key, image.data.length);
+      prune();
+    } catch (error) {
+      console.error(`Gagal menyimpan cache gambar ${image.url}:`, error.message);
+    }
+  };
+
+  const load = async (url, width) => {
+    const source = await fetchSource(url);
+    const sourceType = detectImageType(source.data);
+    if (!sourceType) {
+      throw new ImageProxyError('IMAGE_UNSUPPORTED', 502);
+    }
+    if (source.data.length > MAX_SOURCE_BYTES) {
+      throw new ImageProxyError('IMAGE_TOO_LARGE', 502);
+    }
+
+    // GIF tidak di-resize supaya animasinya tidak hilang
+    const resized = width && resize && sourceType !== 'image/gif' ? await resize(source.data, width) : null;
+    const data = resized ? resized.data : source.data;
+
+    return {
+      url: url.href,
+      width: resized ? width : null,
+      type: resized ? resized.type : sourceType,
+      etag: `"${hash(data).slice(0, 27)}"`,
+      storedAt: now(),
+      data
+    };
+  };
+
+  /**
+   * Ambil gambar untuk url (string dari query) dengan lebar opsional.
+   * Melempar ImageProxyError (status 400/403/502) untuk input atau respons tidak valid.
+   */
+  const get = async (rawUrl, width) => {
+    if (width !== undefined && !IMAGE_WIDTHS.includes(width)) {
+      throw new ImageProxyError('IMAGE_INVALID_WIDTH', 400, { widths: IMAGE_WIDTHS.join(', ') });
+    }
+
+    const url = parseUrl(rawUrl);
+    // Tanpa resizer semua lebar menghasilkan file yang sama, jadi cukup satu entry
+    const key = hash(`${url.href}|${(resize && width) || 'original'}`);
+    const cached = readCached(key);
+
+    if (cached && now() - cached.storedAt < ttl * 1000) {
+      stats.hits += 1;
+      return cached;
+    }
+
+    if (!inflight.has(key)) {
+      stats.misses += 1;
+      const promise = load(url, width)
+        .then((image) => {
+          store(key, image);
+          return image;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+    }
+
+    try {
+      return await inflight.get(key);
+    } catch (error) {
+      stats.errors += 1;
+      if (cached) {
+        stats.stale += 1;
+        return cached;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    get,
+    stats: () => ({ ...stats, resize: Boolean(resize), inflight: inflight.size, bytes: cachedBytes() })
+  };
+};
+
+module.exports = {
+  IMAGE_WIDTHS,
+  ImageProxyError,
+  createImageProxy,
+  detectImageType
+};
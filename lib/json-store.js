@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Penyimpanan JSON sederhana berbasis file. Data dibaca sekali lalu
+ * ditulis ulang secara atomik (file sementara + rename) setiap update.
+ *
+ * Dengan saveDelay > 0 penulisan dilakukan di background: update beruntun
+ * dalam saveDelay ms digabung jadi satu tulis. Perubahan yang belum tertulis
+ * disimpan lewat flush() dan otomatis pada event 'exit' (exit normal atau
+ * process.exit); sinyal seperti SIGINT/SIGTERM harus memanggil flush() sendiri.
+ */
+const createJsonStore = (filePath, { defaults = {}, saveDelay = 0 } = {}) => {
+  let data = null;
+  let timer = null;
+  let writing = Promise.resolve();
+  // Versi data di memory vs versi yang sudah ada di disk
+  let version = 0;
+  let savedVersion = 0;
+  let tmpCount = 0;
+
+  const load = () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Gagal membaca ${filePath}, mulai dengan data kosong:`, error.message);
+      }
+      data = JSON.parse(JSON.stringify(defaults));
+    }
+    return data;
+  };
+
+  const tmpFileFor = () => `${filePath}.${process.pid}.${tmpCount++}.tmp`;
+
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = tmpFileFor();
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, filePath);
+    savedVersion = version;
+  };
+
+  const saveLater = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      const snapshot = { json: JSON.stringify(data, null, 2), version, tmpFile: tmpFileFor() };
+      writing = writing
+        .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+        .then(() => fs.promises.writeFile(snapshot.tmpFile, snapshot.json))
+        .then(async () => {
+          // flush() sinkron bisa sudah menulis data yang lebih baru
+          if (savedVersion >= snapshot.version) {
+            await fs.promises.rm(snapshot.tmpFile, { force: true });
+            return;
+          }
+          await fs.promises.rename(snapshot.tmpFile, filePath);
+          savedVersion = snapshot.version;
+        })
+        .catch((error) => console.error(`Gagal menyimpan ${filePath}:`, error.message));
+    }, saveDelay);
+    timer.unref();
+  };
+
+  // Tulis perubahan yang tertunda sekarang juga (sinkron, aman dipanggil saat exit)
+  const flush = () => {
+    if (data && savedVersion !== version) save();
+  };
+
+  if (saveDelay > 0) process.once('exit', flush);
+
+  return {
+    filePath,
+    read: () => load(),
+    // fn menerima data dan boleh memutasinya; nilai return fn diteruskan
+    update: (fn) => {
+      const result = fn(load());
+      version++;
+      if (saveDelay > 0) saveLater();
+      else save();
+      return result;
+    },
+    flush,
+    // Selesai saat semua tulis di background yang sudah berjalan selesai
+    idle: () => writing
+  };
+};
+
+module.exports = { createJsonStore };
@@ -0,0 +1,38 @@
+/**
+ * Batasi jumlah task async yang berjalan bersamaan; sisanya menunggu
+ * di antrian FIFO sampai ada slot kosong.
+ */
+const createLimiter = (concurrency) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency tidak valid: ${concurrency}`);
+  }
+
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const run = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  return {
+    run,
+    stats: () => ({ concurrency, active, queued: queue.length })
+  };
+};
+
+module.exports = { createLimiter };
@@ -0,0 +1,736 @@
+const { version } = require('../package.json');
+const { BROWSE_SEASONS, BROWSE_SORTS, BROWSE_STATUSES, BROWSE_TYPES } = require('./browse');
+const { DAYS } = require('./schedule');
+const { IMAGE_WIDTHS } = require('./image-proxy');
+const { LIBRARY_STATUSES } = require('./routes/library');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const error = (description) => json(ref('Error'), description);
+
+// x-error-code: kode error (lib/i18n) yang dikirim jika parameter tidak valid; tanpa itu dipakai INVALID_PARAM
+const pathParam = (name, schema, extra = {}) => ({ name, in: 'path', required: true, schema, ...extra });
+const queryParam = (name, schema, extra = {}) => ({ name, in: 'query', required: false, schema, ...extra });
+
+const SLUG = string({ pattern: '^[a-z0-9-]+$', maxLength: 200 });
+const TIMESTAMP = string({ format: 'date-time' });
+const PAGE = queryParam('page', integer({ minimum: 1, maximum: 1000, default: 1 }));
+const LIMIT = queryParam('limit', integer({ minimum: 1, maximum: 50, default: 20 }));
+
+// Response yang bisa berasal dari salinan cache lama (upstream sedang gagal)
+const STALE = { stale: { type: 'boolean', description: 'true jika data diambil dari salinan cache yang sudah kedaluwarsa' } };
+
+const SCHEMAS = {
+  Error: object({
+    error: string({ description: 'Pesan dalam bahasa dari header Accept-Language' }),
+    code: string({ description: 'Kode error yang stabil, tidak ikut diterjemahkan', example: 'ANIME_NOT_FOUND' }),
+    invalid: arrayOf(string(), { description: 'Hanya untuk INVALID_TTL: route yang ditolak' })
+  }, ['error', 'code']),
+
+  // Field hasil scraping: teks yang tidak ditemukan menjadi "", atribut yang tidak ditemukan tidak dikirim
+  AnimeItem: object({
+    title: string(),
+    slug: string(),
+    link: string(),
+    image: string(),
+    type: string(),
+    status: string(),
+    rating: string(),
+    episode: string({ description: 'Episode terbaru, contoh "Episode 12"' }),
+    altTitles: arrayOf(string())
+  }, ['title']),
+
+  CatalogItem: object({
+    slug: string(),
+    title: string(),
+    altTitles: arrayOf(string()),
+    image: string(),
+    link: string(),
+    type: string(),
+    status: string(),
+    rating: string(),
+    episode: string(),
+    year: integer(),
+    season: string(),
+    studios: arrayOf(string()),
+    genres: arrayOf(string()),
+    listings: arrayOf(string()),
+    updatedAt: integer({ description: 'Epoch ms saat episode terbaru berubah' }),
+    detailFetchedAt: integer(),
+    score: { type: 'number', description: 'Hanya di hasil search: skor kecocokan 0-1' }
+  }, ['slug', 'title']),
+
+  ScheduleItem: object({
+    title: string(),
+    time: string({ description: 'Jam tayang WIB, contoh "22:30"; kosong jika tidak diketahui' }),
+    image: string(),
+    link: string(),
+    slug: string(),
+    airsAt: string({ format: 'date-time', nullable: true, description: 'Tayangan berikutnya (UTC)' })
+  }, ['title', 'airsAt']),
+
+  Genre: object({ name: string(), slug: string(), link: string(), count: integer() }, ['name', 'slug']),
+
+  EpisodeLink: object({ title: string(), link: string() }, ['title']),
+
+  AnimeDetail: object({
+    title: string(),
+    image: string(),
+    rating: string(),
+    type: string(),
+    status: string(),
+    synopsis: string(),
+    year: string(),
+    season: string(),
+    studios: arrayOf(string()),
+    genres: arrayOf(string()),
+    episodes: arrayOf(ref('EpisodeLink')),
+    link: string(),
+    ...STALE,
+    timestamp: TIMESTAMP
+  }, ['title', 'episodes', 'link', 'timestamp']),
+
+  Episode: object({
+    slug: string(),
+    number: integer({ nullable: true }),
+    title: string(),
+    animeSlug: string({ nullable: true }),
+    servers: arrayOf(object({
+      quality: string(),
+      servers: arrayOf(object({ name: string(), id: string() }, ['id']))
+    }, ['quality', 'servers'])),
+    downloads: arrayOf(object({
+      quality: string(),
+      size: string(),
+      links: arrayOf(object({ name: string(), url: string() }, ['url']))
+    }, ['quality', 'links'])),
+    prevEpisode: string({ nullable: true }),
+    nextEpisode: string({ nullable: true }),
+    timestamp: TIMESTAMP
+  }, ['slug', 'number', 'title', 'animeSlug', 'servers', 'downloads', 'prevEpisode', 'nextEpisode', 'timestamp']),
+
+  Stream: object({
+    id: string(),
+    title: string(),
+    description: string(),
+    players: arrayOf(object({ type: string(), source: string(), quality: arrayOf(string()) }, ['source'])),
+    // Kualitas yang diketahui dari halaman server; kosong jika tidak disebutkan
+    quality: arrayOf(string()),
+    timestamp: TIMESTAMP
+  }, ['id', 'players', 'quality', 'timestamp']),
+
+  AnimeListing: object({
+    type: string({ enum: ['complete', 'ongoing', 'unlimited'] }),
+    genre: string(),
+    page: integer(),
+    anime: arrayOf(ref('AnimeItem')),
+    hasNextPage: { type: 'boolean' },
+    ...STALE,
+    timestamp: TIMESTAMP
+  }, ['page', 'anime', 'timestamp']),
+
+  Suggestion: object({ slug: string(), title: string(), image: string(), type: string(), episode: string() }, ['slug', 'title']),
+
+  FacetCount: object({ value: string(), count: integer() }, ['value', 'count']),
+
+  EpisodeProgress: object({
+    number: integer({ nullable: true }),
+    title: string(),
+    position: { type: 'number', description: 'Detik' },
+    duration: { type: 'number' },
+    completed: { type: 'boolean' },
+    updatedAt: integer()
+  }, ['position', 'duration', 'completed', 'updatedAt']),
+
+  HistoryEntry: object({
+    slug: string(),
+    title: string(),
+    image: string(),
+    lastEpisode: string({ nullable: true }),
+    updatedAt: integer(),
+    episodes: { type: 'object', additionalProperties: ref('EpisodeProgress'), description: 'Per slug episode' }
+  }, ['slug', 'lastEpisode', 'updatedAt', 'episodes']),
+
+  LibraryItem: object({
+    slug: string(),
+    title: string(),
+    image: string({ nullable: true }),
+    type: string({ nullable: true }),
+    status: string({ enum: LIBRARY_STATUSES }),
+    addedAt: integer(),
+    updatedAt: integer(),
+    timestamp: TIMESTAMP
+  }, ['slug', 'title', 'status', 'addedAt', 'updatedAt']),
+
+  Notification: object({
+    id: string(),
+    slug: string(),
+    title: string(),
+    image: string({ nullable: true }),
+    episodeSlug: string(),
+    episodeTitle: string(),
+    createdAt: integer(),
+    read: { type: 'boolean' }
+  }, ['id', 'slug', 'title', 'episodeSlug', 'createdAt', 'read']),
+
+  CacheEntry: object({
+    key: string(),
+    age: integer({ description: 'Detik sejak disimpan' }),
+    ttl: integer(),
+    stale: { type: 'boolean' },
+    storedAt: TIMESTAMP
+  }, ['key', 'age', 'ttl', 'stale', 'storedAt']),
+
+  Deleted: object({ deleted: string({ description: 'Slug yang dihapus atau "all"' }) }, ['deleted'])
+};
+
+const TTLS = { type: 'object', additionalProperties: integer({ minimum: 1 }) };
+const ADMIN_ERRORS = {
+  401: error('Token admin tidak valid'),
+  503: error('ADMIN_TOKEN belum di-set')
+};
+// 429 dari apiLimiter (server.js), dipasang ke semua route yang dibatasinya di bawah PATHS
+const RATE_LIMITED = { $ref: '#/components/responses/RateLimited' };
+const LISTING_RATE_LIMITED = error('Terlalu banyak permintaan halaman daftar (LISTING_RATE_LIMITED)');
+// Route yang tidak dihitung apiLimiter: limiter sendiri atau tanpa limit (lihat skip di server.js)
+const NOT_API_LIMITED = ['/api/suggest', '/api/image', '/api/notifications/stream'];
+const CLIENT_ID = {
+  name: 'X-Client-Id',
+  in: 'header',
+  required: true,
+  schema: string({ pattern: '^[a-zA-Z0-9-]{8,64}$' }),
+  description: 'ID acak per browser untuk memisahkan riwayat'
+};
+
+const PATHS = {
+  '/api/home': {
+    get: {
+      operationId: 'getHome',
+      summary: 'Anime featured dan trending',
+      responses: {
+        200: json(object({ featured: arrayOf(ref('AnimeItem')), trending: arrayOf(ref('AnimeItem')), ...STALE, timestamp: TIMESTAMP },
+          ['featured', 'trending', 'timestamp'])),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/schedule': {
+    get: {
+      operationId: 'getSchedule',
+      summary: 'Jadwal rilis per hari',
+      responses: {
+        200: json(object({
+          schedule: object(Object.fromEntries(DAYS.map((day) => [day, arrayOf(ref('ScheduleItem'))])), DAYS),
+          timezone: string({ description: 'Zona waktu kolom time', example: 'Asia/Jakarta' }),
+          ...STALE,
+          timestamp: TIMESTAMP
+        }, ['schedule', 'timezone', 'timestamp'])),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/schedule.ics': {
+    get: {
+      operationId: 'getScheduleCalendar',
+      summary: 'Jadwal rilis sebagai iCalendar',
+      parameters: [queryParam('followed', { type: 'boolean', default: false }, { description: 'Hanya anime di library yang diikuti' })],
+      responses: {
+        200: { description: 'OK', content: { 'text/calendar': { schema: string() } } },
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/genres': {
+    get: {
+      operationId: 'getGenres',
+      summary: 'Daftar genre',
+      responses: {
+        200: json(object({ genres: arrayOf(ref('Genre')), ...STALE, timestamp: TIMESTAMP }, ['genres', 'timestamp'])),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/genre/{slug}': {
+    get: {
+      operationId: 'getGenreAnime',
+      summary: 'Anime per genre',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_GENRE_SLUG' }), PAGE],
+      responses: {
+        200: json(ref('AnimeListing')),
+        400: error('Parameter tidak valid'),
+        429: LISTING_RATE_LIMITED,
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/complete': {
+    get: {
+      operationId: 'getCompleteAnime',
+      summary: 'Anime yang sudah tamat',
+      parameters: [PAGE],
+      responses: {
+        200: json(ref('AnimeListing')),
+        400: error('Parameter tidak valid'),
+        429: LISTING_RATE_LIMITED,
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/ongoing': {
+    get: {
+      operationId: 'getOngoingAnime',
+      summary: 'Anime yang sedang tayang',
+      parameters: [PAGE],
+      responses: {
+        200: json(ref('AnimeListing')),
+        400: error('Parameter tidak valid'),
+        429: LISTING_RATE_LIMITED,
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/unlimited': {
+    get: {
+      operationId: 'getUnlimitedAnime',
+      summary: 'Semua anime (listing upstream)',
+      parameters: [PAGE],
+      responses: {
+        200: json(ref('AnimeListing')),
+        400: error('Parameter tidak valid'),
+        429: LISTING_RATE_LIMITED,
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/search/{query}': {
+    get: {
+      operationId: 'searchAnime',
+      summary: 'Cari anime di katalog lokal, lalu upstream jika tidak ada hasil',
+      parameters: [pathParam('query', string({ minLength: 2 }), { 'x-error-code': 'QUERY_TOO_SHORT' }), PAGE, LIMIT],
+      responses: {
+        200: json(object({
+          query: string(),
+          results: arrayOf(ref('CatalogItem'), { description: 'Hasil upstream hanya berisi field AnimeItem' }),
+          count: integer(),
+          page: integer(),
+          totalPages: integer(),
+          hasNextPage: { type: 'boolean' },
+          source: string({ enum: ['catalog', 'upstream'] }),
+          ...STALE,
+          timestamp: TIMESTAMP
+        }, ['query', 'results', 'count', 'page', 'totalPages', 'hasNextPage', 'source', 'timestamp'])),
+        400: error('Query terlalu pendek'),
+        429: error('Terlalu banyak halaman hasil (LISTING_RATE_LIMITED) atau pencarian ke upstream (SEARCH_RATE_LIMITED)'),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/suggest': {
+    get: {
+      operationId: 'suggestTitles',
+      summary: 'Saran judul untuk dropdown pencarian (tanpa request ke upstream)',
+      parameters: [
+        queryParam('q', string({ minLength: 2 }), { required: true, 'x-error-code': 'QUERY_TOO_SHORT' }),
+        queryParam('limit', integer({ minimum: 1, maximum: 10, default: 8 }))
+      ],
+      responses: {
+        200: json(object({ query: string(), suggestions: arrayOf(ref('Suggestion')), timestamp: TIMESTAMP },
+          ['query', 'suggestions', 'timestamp'])),
+        400: error('Query terlalu pendek'),
+        429: error('Terlalu banyak permintaan saran (SUGGEST_RATE_LIMITED)'),
+        500: error('Gagal mengambil saran')
+      }
+    }
+  },
+  '/api/browse': {
+    get: {
+      operationId: 'browseCatalog',
+      summary: 'Filter gabungan di atas katalog lokal',
+      parameters: [
+        queryParam('genres', arrayOf(SLUG, { maxItems: 10, 'x-case-insensitive': true }), {
+          style: 'form',
+          explode: false,
+          description: 'Slug genre dipisah koma, semua harus cocok',
+          'x-error-code': 'INVALID_GENRE_SLUG'
+        }),
+        queryParam('status', string({ enum: BROWSE_STATUSES })),
+        queryParam('type', string({ enum: BROWSE_TYPES, 'x-case-insensitive': true })),
+        queryParam('year', integer({ minimum: 1900, maximum: 2100 }), { 'x-error-code': 'INVALID_YEAR' }),
+        queryParam('season', string({ enum: BROWSE_SEASONS })),
+        queryParam('studio', string({ maxLength: 50 }), { 'x-error-code': 'STUDIO_TOO_LONG' }),
+        queryParam('sort', string({ enum: BROWSE_SORTS, default: 'latest' })),
+        PAGE,
+        LIMIT
+      ],
+      responses: {
+        200: json(object({
+          filters: object({
+            genres: arrayOf(string()),
+            status: string(),
+            type: string(),
+            year: integer(),
+            season: string(),
+            studio: string()
+          }, ['genres']),
+          sort: string({ enum: BROWSE_SORTS }),
+          anime: arrayOf(ref('CatalogItem')),
+          total: integer(),
+          page: integer(),
+          totalPages: integer(),
+          hasNextPage: { type: 'boolean' },
+          facets: object({
+            genres: arrayOf(ref('FacetCount')),
+            statuses: arrayOf(ref('FacetCount')),
+            types: arrayOf(ref('FacetCount')),
+            years: arrayOf(object({ value: integer(), count: integer() }, ['value', 'count'])),
+            seasons: arrayOf(ref('FacetCount')),
+            studios: arrayOf(ref('FacetCount'))
+          }, ['genres', 'statuses', 'types', 'years', 'seasons', 'studios']),
+          timestamp: TIMESTAMP
+        }, ['filters', 'sort', 'anime', 'total', 'page', 'totalPages', 'hasNextPage', 'facets', 'timestamp'])),
+        400: error('Filter tidak valid'),
+        429: LISTING_RATE_LIMITED,
+        500: error('Gagal membaca katalog')
+      }
+    }
+  },
+  '/api/anime/{slug}': {
+    get: {
+      operationId: 'getAnime',
+      summary: 'Detail anime beserta daftar episode',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      responses: {
+        200: json(ref('AnimeDetail')),
+        400: error('Slug tidak valid'),
+        404: error('Anime tidak ditemukan'),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/batch/{slug}': {
+    get: {
+      operationId: 'getAnimeBatch',
+      summary: 'Halaman batch anime, bentuknya sama dengan detail anime',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      responses: {
+        200: json(ref('AnimeDetail')),
+        400: error('Slug tidak valid'),
+        404: error('Batch tidak ditemukan'),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/episode/{slug}': {
+    get: {
+      operationId: 'getEpisode',
+      summary: 'Server streaming dan link download satu episode',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_EPISODE_SLUG' })],
+      responses: {
+        200: json(ref('Episode')),
+        400: error('Slug tidak valid'),
+        404: error('Episode tidak ditemukan'),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/stream/{id}': {
+    get: {
+      operationId: 'getStream',
+      summary: 'Embed player untuk satu server',
+      parameters: [pathParam('id', string({ pattern: '^[A-Z0-9-]+$', maxLength: 100 }), { 'x-error-code': 'INVALID_SERVER_ID' })],
+      responses: {
+        200: json(ref('Stream')),
+        400: error('ID server tidak valid'),
+        404: error('Server tidak ditemukan'),
+        500: error('Upstream gagal')
+      }
+    }
+  },
+  '/api/history': {
+    get: {
+      operationId: 'listHistory',
+      summary: 'Riwayat tontonan client',
+      parameters: [CLIENT_ID],
+      responses: {
+        200: json(object({ history: arrayOf(ref('HistoryEntry')), count: integer(), timestamp: TIMESTAMP }, ['history', 'count', 'timestamp'])),
+        400: error('X-Client-Id tidak valid')
+      }
+    },
+    delete: {
+      operationId: 'clearHistory',
+      summary: 'Hapus semua riwayat client',
+      parameters: [CLIENT_ID],
+      responses: {
+        200: json(ref('Deleted')),
+        400: error('X-Client-Id tidak valid')
+      }
+    }
+  },
+  '/api/history/{slug}': {
+    put: {
+      operationId: 'updateHistory',
+      summary: 'Gabungkan progress anime; per episode data dengan updatedAt terbaru menang',
+      parameters: [CLIENT_ID, pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: object({
+              title: string(),
+              image: string(),
+              lastEpisode: string(),
+              updatedAt: integer(),
+              episodes: { type: 'object', additionalProperties: ref('EpisodeProgress') }
+            })
+          }
+        }
+      },
+      responses: {
+        200: json(ref('HistoryEntry')),
+        400: error('Body atau X-Client-Id tidak valid')
+      }
+    },
+    delete: {
+      operationId: 'deleteHistory',
+      summary: 'Hapus riwayat satu anime',
+      parameters: [CLIENT_ID, pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      responses: {
+        200: json(ref('Deleted')),
+        400: error('Slug atau X-Client-Id tidak valid'),
+        404: error('Riwayat tidak ditemukan')
+      }
+    }
+  },
+  '/api/library': {
+    get: {
+      operationId: 'listLibrary',
+      summary: 'Daftar tontonan',
+      parameters: [queryParam('status', string({ enum: LIBRARY_STATUSES }))],
+      responses: {
+        200: json(object({
+          status: string({ enum: ['all', ...LIBRARY_STATUSES] }),
+          items: arrayOf(ref('LibraryItem')),
+          counts: object(Object.fromEntries(LIBRARY_STATUSES.map((status) => [status, integer()])), LIBRARY_STATUSES),
+          total: integer(),
+          timestamp: TIMESTAMP
+        }, ['status', 'items', 'counts', 'total', 'timestamp'])),
+        400: error('Status tidak valid')
+      }
+    }
+  },
+  '/api/library/{slug}': {
+    get: {
+      operationId: 'getLibraryItem',
+      summary: 'Satu anime di daftar tontonan',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      responses: {
+        200: json(ref('LibraryItem')),
+        400: error('Slug tidak valid'),
+        404: error('Anime tidak ada di daftar')
+      }
+    },
+    put: {
+      operationId: 'putLibraryItem',
+      summary: 'Tambah anime atau ubah statusnya',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({ status: string({ enum: LIBRARY_STATUSES }), title: string(), image: string(), type: string() }, ['status'])
+          }
+        }
+      },
+      responses: {
+        200: json(ref('LibraryItem'), 'Status diubah'),
+        201: json(ref('LibraryItem'), 'Ditambahkan'),
+        400: error('Slug atau status tidak valid')
+      }
+    },
+    delete: {
+      operationId: 'deleteLibraryItem',
+      summary: 'Hapus anime dari daftar tontonan',
+      parameters: [pathParam('slug', SLUG, { 'x-error-code': 'INVALID_ANIME_SLUG' })],
+      responses: {
+        200: json(ref('Deleted')),
+        400: error('Slug tidak valid'),
+        404: error('Anime tidak ada di daftar')
+      }
+    }
+  },
+  '/api/notifications': {
+    get: {
+      operationId: 'listNotifications',
+      summary: 'Notifikasi episode baru untuk anime yang diikuti',
+      responses: {
+        200: json(object({ notifications: arrayOf(ref('Notification')), unread: integer(), total: integer(), timestamp: TIMESTAMP },
+          ['notifications', 'unread', 'total', 'timestamp']))
+      }
+    }
+  },
+  '/api/notifications/read': {
+    post: {
+      operationId: 'markNotificationsRead',
+      summary: 'Tandai notifikasi dibaca (tanpa ids = semua)',
+      requestBody: { content: { 'application/json': { schema: object({ ids: arrayOf(string()) }) } } },
+      responses: {
+        200: json(object({ unread: integer() }, ['unread'])),
+        400: error('ids tidak valid')
+      }
+    }
+  },
+  '/api/notifications/stream': {
+    get: {
+      operationId: 'streamNotifications',
+      summary: 'Server-Sent Events: event "episode" (Notification) dan "read" ({ unread })',
+      responses: {
+        200: { description: 'Stream event', content: { 'text/event-stream': { schema: string() } } }
+      }
+    }
+  },
+  '/api/image': {
+    get: {
+      operationId: 'getImage',
+      summary: 'Proxy poster upstream dengan resize dan cache',
+      parameters: [
+        queryParam('url', string({ minLength: 1 }), { required: true, 'x-error-code': 'IMAGE_INVALID_URL' }),
+        queryParam('w', integer({ enum: IMAGE_WIDTHS }), { description: 'Lebar preset; tanpa w dikirim ukuran asli' })
+      ],
+      responses: {
+        200: { description: 'Gambar', content: { 'image/*': { schema: string({ format: 'binary' }) } } },
+        304: { description: 'Tidak berubah (ETag)' },
+        400: error('url atau w tidak valid'),
+        403: error('Host gambar tidak diizinkan'),
+        429: error('Terlalu banyak permintaan gambar (IMAGE_RATE_LIMITED)'),
+        502: error('Upstream gagal, redirect ke host lain, atau bukan gambar')
+      }
+    }
+  },
+  '/api/cache-stats': {
+    get: {
+      operationId: 'getCacheStats',
+      summary: 'Statistik cache response upstream',
+      responses: {
+        200: json(object({ cached_items: integer(), stats: { type: 'object' }, timestamp: TIMESTAMP }, ['cached_items', 'stats', 'timestamp']))
+      }
+    }
+  },
+  '/api/admin/cache': {
+    get: {
+      operationId: 'listCacheEntries',
+      summary: 'Daftar entry cache',
+      security: [{ bearerAuth: [] }, { adminToken: [] }],
+      parameters: [queryParam('prefix', string())],
+      responses: {
+        200: json(object({ entries: arrayOf(ref('CacheEntry')), count: integer(), ttls: TTLS, stats: { type: 'object' }, timestamp: TIMESTAMP },
+          ['entries', 'count', 'ttls', 'stats', 'timestamp'])),
+        ...ADMIN_ERRORS
+      }
+    },
+    delete: {
+      operationId: 'purgeCache',
+      summary: 'Hapus entry cache per key atau prefix (boleh diakhiri *)',
+      security: [{ bearerAuth: [] }, { adminToken: [] }],
+      parameters: [queryParam('key', string({ maxLength: 200 })), queryParam('prefix', string({ maxLength: 200 }))],
+      responses: {
+        200: json(object({ purged: arrayOf(string()), count: integer() }, ['purged', 'count'])),
+        400: error('Isi tepat satu dari key atau prefix'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/cache/refresh': {
+    post: {
+      operationId: 'refreshCacheEntry',
+      summary: 'Ambil ulang satu key dari upstream',
+      security: [{ bearerAuth: [] }, { adminToken: [] }],
+      requestBody: { required: true, content: { 'application/json': { schema: object({ key: string() }, ['key']) } } },
+      responses: {
+        200: json(object({ key: string(), refreshed: { type: 'boolean' }, entry: { allOf: [ref('CacheEntry')], nullable: true } },
+          ['key', 'refreshed', 'entry'])),
+        400: error('key wajib diisi'),
+        404: error('Key belum pernah di-request'),
+        502: error('Upstream gagal'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/cache/ttls': {
+    put: {
+      operationId: 'updateCacheTtls',
+      summary: 'Ubah TTL per route saat runtime',
+      security: [{ bearerAuth: [] }, { adminToken: [] }],
+      requestBody: { required: true, content: { 'application/json': { schema: TTLS } } },
+      responses: {
+        200: json(object({ ttls: TTLS }, ['ttls'])),
+        400: error('Route atau TTL tidak valid'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Status server dan upstream',
+      responses: {
+        200: json(object({
+          status: string({ enum: ['ok', 'degraded'] }),
+          message: string(),
+          sources: arrayOf(object({ name: string(), rulesVersion: integer() }, ['name'])),
+          upstream: object({ breakers: arrayOf({ type: 'object' }) }, ['breakers']),
+          catalog: object({ items: integer(), crawledAt: string({ format: 'date-time', nullable: true }), crawling: { type: 'boolean' } },
+            ['items', 'crawledAt', 'crawling']),
+          notifications: { type: 'object' },
+          images: { type: 'object' },
+          timestamp: TIMESTAMP
+        }, ['status', 'message', 'sources', 'upstream', 'catalog', 'timestamp']))
+      }
+    }
+  },
+  '/api/docs': {
+    get: {
+      operationId: 'getOpenApiSpec',
+      summary: 'Dokumen OpenAPI ini',
+      responses: {
+        200: json({ type: 'object' })
+      }
+    }
+  }
+};
+
+Object.entries(PATHS)
+  .filter(([template]) => !NOT_API_LIMITED.includes(template))
+  .forEach(([, item]) => Object.values(item).forEach((operation) => {
+    operation.responses[429] = operation.responses[429] || RATE_LIMITED;
+  }));
+
+/**
+ * Dokumen OpenAPI 3 untuk semua route /api/*. Dipakai untuk /api/docs dan
+ * juga oleh lib/api-validator.js, jadi parameter dan response di sini adalah
+ * kontrak yang benar-benar dicek saat runtime.
+ */
+const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: {
+    title: 'AnimeStream API',
+    version,
+    description: 'Error selalu berbentuk { error, code }; bahasa error mengikuti header Accept-Language (id atau en).'
+  },
+  paths: PATHS,
+  components: {
+    schemas: SCHEMAS,
+    responses: {
+      RateLimited: error('Terlalu banyak request dari IP ini (RATE_LIMITED)')
+    },
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+      adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+    }
+  }
+};
+
+module.exports = { OPENAPI_SPEC };
@@ -0,0 +1,41 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+// Timeout, koneksi putus, dan 5xx layak dicoba ulang; 4xx tidak
+const isRetryableError = (error) => {
+  const status = error.response?.status;
+  if (status) return status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+// Exponential backoff dengan full jitter: acak antara 0 dan base * 2^attempt
+const backoffDelay = (attempt, { baseDelay, maxDelay }) =>
+  Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+
+/**
+ * Jalankan task, ulangi maksimal `retries` kali selama error masih
+ * retryable. Error terakhir dilempar jika semua percobaan gagal.
+ */
+const withRetry = async (task, {
+  retries = 2,
+  baseDelay = 300,
+  maxDelay = 5000,
+  shouldRetry = isRetryableError,
+  onRetry = () => {},
+  wait = sleep
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const delay = backoffDelay(attempt, { baseDelay, maxDelay });
+      onRetry(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+};
+
+module.exports = { backoffDelay, isRetryableError, withRetry };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const express = require('express');
+const { errorBody, sendError } = require('../i18n');
+
+const isKey = (value) => typeof value === 'string' && value.length > 0 && value.length <= 200;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Token dari header Authorization: Bearer <token> atau X-Admin-Token
+const readToken = (req) => {
+  const auth = req.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('X-Admin-Token') || '';
+};
+
+/**
+ * Endpoint admin cache. Tanpa ADMIN_TOKEN semua endpoint dimatikan
+ * supaya cache tidak pernah terbuka tanpa autentikasi.
+ */
+const createAdminRouter = ({ cache, ttls, token }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!token) {
+      return sendError(res, 503, 'ADMIN_DISABLED');
+    }
+    if (!safeEqual(readToken(req), token)) {
+      return sendError(res, 401, 'ADMIN_UNAUTHORIZED');
+    }
+    next();
+  });
+
+  router.get('/cache', (req, res) => {
+    const { prefix = '' } = req.query;
+    const entries = cache.entries()
+      .filter((entry) => entry.key.startsWith(prefix))
+      .sort((a, b) => a.key.localeCompare(b.key));
+
+    res.json({ entries, count: entries.length, ttls, stats: cache.getStats(), timestamp: new Date() });
+  });
+
+  // DELETE /cache?key=home atau /cache?prefix=genre- (prefix boleh diakhiri *, "*" = semua)
+  router.delete('/cache', (req, res) => {
+    const { key, prefix } = req.query;
+
+    if (isKey(key) === isKey(prefix)) {
+      return sendError(res, 400, 'CACHE_TARGET_REQUIRED');
+    }
+
+    const purged = key !== undefined
+      ? cache.purge({ key })
+      : cache.purge({ prefix: prefix.replace(/\*$/, '') });
+
+    res.json({ purged, count: purged.length });
+  });
+
+  router.post('/cache/refresh', async (req, res) => {
+    const { key } = req.body || {};
+
+    if (!isKey(key)) {
+      return sendError(res, 400, 'CACHE_KEY_REQUIRED');
+    }
+
+    try {
+      const value = await cache.refresh(key);
+      if (value === undefined) {
+        return sendError(res, 404, 'CACHE_KEY_UNKNOWN');
+      }
+      res.json({ key, refreshed: value !== null, entry: cache.entries().find((entry) => entry.key === key) || null });
+    } catch (error) {
+      console.error('Error in /api/admin/cache/refresh:', error);
+      sendError(res, 502, 'CACHE_REFRESH_FAILED');
+    }
+  });
+
+  // Ubah TTL per route saat runtime, contoh body: { "home": 60, "genre": 300 }
+  router.put('/cache/ttls', (req, res) => {
+    const updates = req.body || {};
+    const invalid = Object.entries(updates)
+      .filter(([route, ttl]) => !Object.prototype.hasOwnProperty.call(ttls, route) || !Number.isInteger(ttl) || ttl < 1)
+      .map(([route]) => route);
+
+    if (Object.keys(updates).length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        ...errorBody(req, 'INVALID_TTL', { routes: Object.keys(ttls).join(', ') }),
+        invalid
+      });
+    }
+
+    Object.assign(ttls, updates);
+    res.json({ ttls });
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
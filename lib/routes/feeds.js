@@ -0,0 +1,148 @@
+const express = require('express');
+const { toAtom, toGuidPart, toRss } = require('../feeds');
+const { slugFromLink } = require('../utils');
+const { sendError } = require('../i18n');
+
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+const FORMATS = {
+  rss: { render: toRss, type: 'application/rss+xml; charset=utf-8' },
+  atom: { render: toAtom, type: 'application/atom+xml; charset=utf-8' }
+};
+
+const episodeNumber = (title) => parseInt(String(title).match(/\d+/)?.[0], 10) || 0;
+
+/**
+ * Feed RSS 2.0 (default) atau Atom (?format=atom) dari data yang sama dengan
+ * /api/ongoing, /api/genre/:slug dan /api/anime/:slug. Link item menunjuk ke
+ * halaman frontend; tanggal item = saat GUID pertama kali terlihat (lib/feeds).
+ */
+const createFeedsRouter = ({ getOngoing, getGenre, getAnime, dates }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const format = req.query.format || 'rss';
+    if (!FORMATS[format]) {
+      return sendError(res, 400, 'INVALID_OPTION', { field: 'format', options: Object.keys(FORMATS).join(', ') });
+    }
+    req.feedFormat = format;
+    req.origin = `${req.protocol}://${req.get('host')}`;
+    next();
+  });
+
+  router.param('slug', (req, res, next, slug) => {
+    if (!SLUG_PATTERN.test(slug)) {
+      return sendError(res, 400, 'INVALID_SLUG');
+    }
+    next();
+  });
+
+  const send = (req, res, feed, items) => {
+    const seenAt = dates(items.map((item) => item.guid));
+    const dated = items
+      .map((item) => ({ ...item, date: seenAt[item.guid] }))
+      .sort((a, b) => b.date - a.date || (b.order || 0) - (a.order || 0));
+
+    const { render, type } = FORMATS[req.feedFormat];
+    res.type(type).send(render({
+      ...feed,
+      selfUrl: `${req.origin}${req.originalUrl}`,
+      items: dated
+    }));
+  };
+
+  router.get('/ongoing.xml', async (req, res) => {
+    try {
+      const { value } = await getOngoing(1);
+      const items = (value.anime || []).map((anime, idx) => {
+        const slug = anime.slug || slugFromLink(anime.link);
+        return {
+          guid: `urn:animestream:ongoing:${slug}:${toGuidPart(anime.episode) || 'latest'}`,
+          title: anime.episode ? `${anime.title} - ${anime.episode}` : anime.title,
+          link: `${req.origin}/#/anime/${slug}`,
+          summary: [anime.episode, anime.type, anime.rating && `⭐ ${anime.rating}`].filter(Boolean).join(' · '),
+          image: anime.image,
+          // Urutan listing (update terbaru di atas) untuk item yang terlihat bersamaan
+          order: -idx
+        };
+      });
+
+      send(req, res, {
+        id: 'urn:animestream:feed:ongoing',
+        title: 'AnimeStream - Anime Berlanjut',
+        description: 'Episode terbaru dari anime yang sedang tayang',
+        link: `${req.origin}/#/ongoing`,
+        updatedAt: Date.parse(value.timestamp)
+      }, items);
+    } catch (error) {
+      console.error('Error in /feeds/ongoing.xml:', error);
+      sendError(res, 500, 'FEED_ONGOING_FAILED');
+    }
+  });
+
+  router.get('/genre/:slug.xml', async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const { value } = await getGenre(slug, 1);
+      const items = (value.anime || []).map((anime, idx) => {
+        const animeSlug = anime.slug || slugFromLink(anime.link);
+        return {
+          guid: `urn:animestream:genre:${slug}:${animeSlug}`,
+          title: anime.title,
+          link: `${req.origin}/#/anime/${animeSlug}`,
+          summary: [anime.type, anime.status, anime.rating && `⭐ ${anime.rating}`].filter(Boolean).join(' · '),
+          image: anime.image,
+          order: -idx
+        };
+      });
+
+      send(req, res, {
+        id: `urn:animestream:feed:genre:${slug}`,
+        title: `AnimeStream - Genre ${slug}`,
+        description: `Anime terbaru di genre ${slug}`,
+        link: `${req.origin}/#/genre/${slug}`,
+        updatedAt: Date.parse(value.timestamp)
+      }, items);
+    } catch (error) {
+      console.error('Error in /feeds/genre/:slug.xml:', error);
+      sendError(res, 500, 'FEED_GENRE_FAILED');
+    }
+  });
+
+  router.get('/anime/:slug.xml', async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const { value: detail } = await getAnime(slug);
+
+      if (!detail) {
+        return sendError(res, 404, 'ANIME_NOT_FOUND');
+      }
+
+      const items = (detail.episodes || [])
+        .map((episode) => ({ ...episode, slug: slugFromLink(episode.link) }))
+        .filter((episode) => episode.slug)
+        .map((episode) => ({
+          guid: `urn:animestream:episode:${episode.slug}`,
+          title: `${detail.title} - ${episode.title}`,
+          link: `${req.origin}/#/episode/${episode.slug}`,
+          image: detail.image,
+          order: episodeNumber(episode.title)
+        }));
+
+      send(req, res, {
+        id: `urn:animestream:feed:anime:${slug}`,
+        title: `AnimeStream - ${detail.title}`,
+        description: detail.synopsis || `Episode terbaru ${detail.title}`,
+        link: `${req.origin}/#/anime/${slug}`,
+        updatedAt: Date.now()
+      }, items);
+    } catch (error) {
+      console.error('Error in /feeds/anime/:slug.xml:', error);
+      sendError(res, 500, 'FEED_ANIME_FAILED');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createFeedsRouter };
@@ -0,0 +1,138 @@
+const express = require('express');
+const { sendError } = require('../i18n');
+
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+const MAX_EPISODES = 500;
+
+// Hanya key milik object sendiri: slug/client ID seperti "constructor" lolos pattern
+// tapi ada di Object.prototype
+const own = (object, key) => (Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined);
+
+const clampString = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : undefined);
+const toNumber = (value) => (Number.isFinite(value) && value >= 0 ? value : 0);
+const toTimestamp = (value) => (Number.isFinite(value) && value > 0 ? value : Date.now());
+
+// Normalisasi progress satu episode dari body request
+const normalizeEpisode = (episode = {}) => ({
+  number: Number.isInteger(episode.number) ? episode.number : null,
+  title: clampString(episode.title),
+  position: toNumber(episode.position),
+  duration: toNumber(episode.duration),
+  completed: episode.completed === true,
+  updatedAt: toTimestamp(episode.updatedAt)
+});
+
+/**
+ * Gabungkan entry riwayat: per episode, data dengan updatedAt terbaru menang.
+ */
+const mergeEntry = (current, incoming) => {
+  const episodes = { ...(current?.episodes || {}) };
+  Object.entries(incoming.episodes || {}).forEach(([slug, episode]) => {
+    if (!episodes[slug] || episodes[slug].updatedAt <= episode.updatedAt) {
+      episodes[slug] = episode;
+    }
+  });
+
+  const newer = !current || current.updatedAt <= incoming.updatedAt;
+  const base = newer ? incoming : current;
+
+  return {
+    slug: incoming.slug,
+    title: base.title || current?.title,
+    image: base.image || current?.image,
+    lastEpisode: base.lastEpisode || current?.lastEpisode || null,
+    updatedAt: Math.max(current?.updatedAt || 0, incoming.updatedAt),
+    episodes
+  };
+};
+
+// Riwayat disimpan per client ID (header X-Client-Id) di JSON store
+const createHistoryRouter = ({ store }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const clientId = req.get('X-Client-Id');
+    if (!clientId || !CLIENT_ID_PATTERN.test(clientId)) {
+      return sendError(res, 400, 'INVALID_CLIENT_ID');
+    }
+    req.clientId = clientId;
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    const entries = Object.values(own(store.read(), req.clientId) || {})
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    res.json({ history: entries, count: entries.length, timestamp: new Date() });
+  });
+
+  router.put('/:slug', (req, res) => {
+    const { slug } = req.params;
+    const body = req.body || {};
+
+    if (!SLUG_PATTERN.test(slug)) {
+      return sendError(res, 400, 'INVALID_ANIME_SLUG');
+    }
+    if (body.episodes && typeof body.episodes !== 'object') {
+      return sendError(res, 400, 'INVALID_HISTORY_EPISODES');
+    }
+
+    const episodes = {};
+    Object.entries(body.episodes || {})
+      .filter(([episodeSlug]) => SLUG_PATTERN.test(episodeSlug))
+      .slice(0, MAX_EPISODES)
+      .forEach(([episodeSlug, episode]) => {
+        episodes[episodeSlug] = normalizeEpisode(episode);
+      });
+
+    const incoming = {
+      slug,
+      title: clampString(body.title),
+      image: clampString(body.image, 500),
+      lastEpisode: SLUG_PATTERN.test(body.lastEpisode || '') ? body.lastEpisode : null,
+      updatedAt: toTimestamp(body.updatedAt),
+      episodes
+    };
+
+    const entry = store.update((data) => {
+      const entries = own(data, req.clientId) || {};
+      entries[slug] = mergeEntry(own(entries, slug), incoming);
+      data[req.clientId] = entries;
+      return entries[slug];
+    });
+
+    res.json(entry);
+  });
+
+  router.delete('/:slug', (req, res) => {
+    const { slug } = req.params;
+
+    if (!SLUG_PATTERN.test(slug)) {
+      return sendError(res, 400, 'INVALID_ANIME_SLUG');
+    }
+
+    const deleted = store.update((data) => {
+      const entries = own(data, req.clientId) || {};
+      const exists = own(entries, slug) !== undefined;
+      if (exists) delete entries[slug];
+      return exists;
+    });
+
+    if (!deleted) {
+      return sendError(res, 404, 'HISTORY_NOT_FOUND');
+    }
+    res.json({ deleted: slug });
+  });
+
+  router.delete('/', (req, res) => {
+    store.update((data) => {
+      if (own(data, req.clientId)) delete data[req.clientId];
+    });
+    res.json({ deleted: 'all' });
+  });
+
+  return router;
+};
+
+module.exports = { createHistoryRouter, mergeEntry };
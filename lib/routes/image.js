@@ -0,0 +1,39 @@
+const express = require('express');
+const { ImageProxyError } = require('../image-proxy');
+const { sendError } = require('../i18n');
+
+/**
+ * GET /api/image?url=<url poster upstream>&w=<lebar preset>
+ * Gambar di-cache di browser selama maxAge dan divalidasi ulang lewat ETag.
+ */
+const createImageRouter = ({ proxy, maxAge }) => {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const width = req.query.w === undefined ? undefined : Number(req.query.w);
+      const image = await proxy.get(req.query.url, width);
+
+      res.set({
+        'Content-Type': image.type,
+        'Cache-Control': `public, max-age=${maxAge}, stale-while-revalidate=${maxAge}`,
+        ETag: image.etag
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.send(image.data);
+    } catch (error) {
+      if (error instanceof ImageProxyError) {
+        return sendError(res, error.status, error.code, error.params);
+      }
+      console.error('Error in /api/image:', error.message);
+      sendError(res, 502, 'IMAGE_FAILED');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createImageRouter };
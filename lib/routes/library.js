@@ -0,0 +1,110 @@
+const express = require('express');
+const { sendError } = require('../i18n');
+
+const LIBRARY_STATUSES = ['watching', 'plan_to_watch', 'completed', 'dropped'];
+// Anime dengan status ini dianggap "diikuti": masuk kalender dan dicek episode barunya
+const FOLLOWED_STATUSES = ['watching', 'plan_to_watch'];
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+// Hanya key milik data sendiri; "constructor" dkk. lolos SLUG_PATTERN tapi ada di Object.prototype
+const hasItem = (data, slug) => Object.prototype.hasOwnProperty.call(data, slug);
+
+const clampString = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : undefined);
+
+const countByStatus = (items) => {
+  const counts = {};
+  LIBRARY_STATUSES.forEach((status) => {
+    counts[status] = items.filter((item) => item.status === status).length;
+  });
+  return counts;
+};
+
+/**
+ * Daftar tontonan bersama untuk satu server (tidak per client), jadi
+ * semua perangkat yang memakai server yang sama melihat daftar yang sama.
+ */
+const createLibraryRouter = ({ store }) => {
+  const router = express.Router();
+
+  router.param('slug', (req, res, next, slug) => {
+    if (!SLUG_PATTERN.test(slug)) {
+      return sendError(res, 400, 'INVALID_ANIME_SLUG');
+    }
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    const { status } = req.query;
+
+    if (status && !LIBRARY_STATUSES.includes(status)) {
+      return sendError(res, 400, 'INVALID_OPTION', { field: 'status', options: LIBRARY_STATUSES.join(', ') });
+    }
+
+    const all = Object.values(store.read()).sort((a, b) => b.updatedAt - a.updatedAt);
+    const items = status ? all.filter((item) => item.status === status) : all;
+
+    res.json({
+      status: status || 'all',
+      items,
+      counts: countByStatus(all),
+      total: all.length,
+      timestamp: new Date()
+    });
+  });
+
+  router.get('/:slug', (req, res) => {
+    const data = store.read();
+    if (!hasItem(data, req.params.slug)) {
+      return sendError(res, 404, 'LIBRARY_ITEM_NOT_FOUND');
+    }
+    res.json({ ...data[req.params.slug], timestamp: new Date() });
+  });
+
+  router.put('/:slug', (req, res) => {
+    const { slug } = req.params;
+    const body = req.body || {};
+
+    if (!LIBRARY_STATUSES.includes(body.status)) {
+      return sendError(res, 400, 'INVALID_OPTION', { field: 'status', options: LIBRARY_STATUSES.join(', ') });
+    }
+
+    const { item, created } = store.update((data) => {
+      const current = hasItem(data, slug) ? data[slug] : undefined;
+      const now = Date.now();
+      data[slug] = {
+        slug,
+        title: clampString(body.title) || current?.title || slug,
+        image: clampString(body.image, 500) || current?.image || null,
+        type: clampString(body.type, 50) || current?.type || null,
+        status: body.status,
+        addedAt: current?.addedAt || now,
+        updatedAt: now
+      };
+      return { item: data[slug], created: !current };
+    });
+
+    res.status(created ? 201 : 200).json(item);
+  });
+
+  router.delete('/:slug', (req, res) => {
+    const { slug } = req.params;
+
+    const deleted = store.update((data) => {
+      const exists = hasItem(data, slug);
+      if (exists) delete data[slug];
+      return exists;
+    });
+
+    if (!deleted) {
+      return sendError(res, 404, 'LIBRARY_ITEM_NOT_FOUND');
+    }
+    res.json({ deleted: slug });
+  });
+
+  return router;
+};
+
+const followedItems = (store) => Object.values(store.read())
+  .filter((item) => FOLLOWED_STATUSES.includes(item.status));
+
+module.exports = { FOLLOWED_STATUSES, LIBRARY_STATUSES, createLibraryRouter, followedItems };
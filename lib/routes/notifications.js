@@ -0,0 +1,63 @@
+const express = require('express');
+const { sendError } = require('../i18n');
+
+// Komentar berkala supaya proxy tidak menutup koneksi stream yang diam
+const HEARTBEAT_INTERVAL = 25000;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Notifikasi episode baru (bersama untuk satu server, seperti library).
+ * Status dibaca/belum disimpan di server sehingga tetap ada setelah reload.
+ */
+const createNotificationsRouter = ({ watcher }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const { notifications, unread } = watcher.list();
+    res.json({ notifications, unread, total: notifications.length, timestamp: new Date() });
+  });
+
+  router.post('/read', (req, res) => {
+    const { ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string'))) {
+      return sendError(res, 400, 'INVALID_NOTIFICATION_IDS');
+    }
+
+    res.json({ unread: watcher.markRead(ids) });
+  });
+
+  // Server-Sent Events: 'episode' untuk notifikasi baru, 'read' saat tab lain menandai dibaca
+  router.get('/stream', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 10000\n\n');
+    writeEvent(res, 'read', { unread: watcher.list().unread });
+
+    const onEpisode = (notification) => writeEvent(res, 'episode', notification);
+    const onRead = (data) => writeEvent(res, 'read', data);
+    watcher.on('episode', onEpisode);
+    watcher.on('read', onRead);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      watcher.off('episode', onEpisode);
+      watcher.off('read', onRead);
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const { URL_ATTRS, sanitizeText, sanitizeUrl } = require('./sanitize');
+const { slugFromLink } = require('./utils');
+
+// Transform yang bisa dipakai field di file rules
+const TRANSFORMS = {
+  trim: (value) => (typeof value === 'string' ? value.trim() : value),
+  lowercase: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+  slug: (value) => slugFromLink(value),
+  int: (value) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+  },
+  // "One Piece Episode 1120 Sub Indo" -> 1120
+  episodeNumber: (value) => {
+    const match = typeof value === 'string' && value.match(/\b(?:episode|eps?)\.?\s*(\d+)/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+};
+
+// Ganti placeholder {nama} di selector dengan nilai dari vars
+const interpolate = (selector, vars = {}) =>
+  selector.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? vars[key] : match));
+
+const applyTransforms = (value, transforms = []) =>
+  transforms.reduce((current, name) => TRANSFORMS[name](current), value);
+
+// Setiap nilai mentah dinormalisasi sebelum transform: atribut URL lewat
+// sanitizeUrl (URL tidak aman dianggap kosong, attr berikutnya dicoba), sisanya sanitizeText
+const sanitizeAttr = (attr, value) => (URL_ATTRS.has(attr) ? sanitizeUrl(value) : sanitizeText(value));
+
+const readValue = ($, el, spec) => {
+  const attrs = Array.isArray(spec.attr) ? spec.attr : [spec.attr];
+  if (spec.attr) {
+    for (const attr of attrs) {
+      const value = sanitizeAttr(attr, $(el).attr(attr));
+      if (value) return value;
+    }
+    return undefined;
+  }
+  return sanitizeText($(el).text());
+};
+
+/**
+ * Ambil satu field dari scope (elemen item atau root dokumen).
+ * Field `multiple` menghasilkan array dari setiap elemen yang cocok,
+ * field `exists` menghasilkan boolean ada/tidaknya elemen, dan field
+ * `list` menghasilkan daftar item bersarang di dalam scope.
+ */
+const extractField = ($, scope, spec, vars) => {
+  if ('value' in spec) {
+    return spec.value;
+  }
+
+  if (spec.list) {
+    return extractList($, spec.list, vars, scope);
+  }
+
+  let target = spec.selector ? scope.find(interpolate(spec.selector, vars)) : scope;
+  if (spec.index !== undefined) {
+    target = target.eq(spec.index);
+  }
+
+  if (spec.exists) {
+    return target.length > 0;
+  }
+
+  if (spec.multiple) {
+    const values = [];
+    target.each((idx, el) => {
+      const value = applyTransforms(readValue($, el, spec), spec.transform);
+      if (value && (spec.limit === undefined || idx < spec.limit)) {
+        values.push(value);
+      }
+    });
+    return values;
+  }
+
+  // Tanpa attr, text() dari seluruh selection (sama seperti cheerio)
+  const raw = spec.attr ? readValue($, target.get(0), spec) : sanitizeText(target.text());
+  return applyTransforms(raw, spec.transform);
+};
+
+const extractFields = ($, scope, fields, vars) => {
+  const result = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    result[name] = extractField($, scope, spec, vars);
+  });
+  return result;
+};
+
+/**
+ * Ambil daftar item berdasarkan rule list. `limit` membatasi index elemen
+ * yang cocok, `required` berisi field yang wajib terisi.
+ */
+const extractList = ($, rule, vars = {}, scope = $.root()) => {
+  const items = [];
+  scope.find(interpolate(rule.selector, vars)).each((idx, el) => {
+    if (rule.limit !== undefined && idx >= rule.limit) return;
+
+    const item = extractFields($, $(el), rule.fields, vars);
+    const complete = (rule.required || []).every((name) => item[name]);
+    if (complete) {
+      items.push(item);
+    }
+  });
+  return items;
+};
+
+/**
+ * Ambil objek dari rule dokumen: `fields` dibaca dari root dan `lists`
+ * berisi rule list yang ditempelkan sebagai array.
+ */
+const extractDocument = ($, rule, vars = {}) => {
+  const root = $.root();
+  const result = extractFields($, root, rule.fields || {}, vars);
+  Object.entries(rule.lists || {}).forEach(([name, listRule]) => {
+    result[name] = extractList($, listRule, vars, root);
+  });
+  return result;
+};
+
+const validateField = (name, spec, where) => {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${where}: field "${name}" harus berupa object`);
+  }
+  if (spec.list) {
+    validateList(spec.list, `${where}.${name}`);
+  }
+  (spec.transform || []).forEach((transform) => {
+    if (!TRANSFORMS[transform]) {
+      throw new Error(`${where}: transform "${transform}" tidak dikenal pada field "${name}"`);
+    }
+  });
+};
+
+const validateList = (rule, where) => {
+  if (typeof rule.selector !== 'string' || !rule.selector) {
+    throw new Error(`${where}: selector wajib diisi`);
+  }
+  if (!rule.fields || typeof rule.fields !== 'object') {
+    throw new Error(`${where}: fields wajib diisi`);
+  }
+  Object.entries(rule.fields).forEach(([name, spec]) => validateField(name, spec, where));
+};
+
+// Validasi struktur file rules; lempar Error dengan pesan yang jelas
+const validateRules = (rules) => {
+  if (!rules || typeof rules !== 'object') {
+    throw new Error('Rules harus berupa object JSON');
+  }
+  if (!Number.isInteger(rules.version)) {
+    throw new Error('Rules wajib memiliki "version" berupa integer');
+  }
+
+  Object.entries(rules.lists || {}).forEach(([name, rule]) => validateList(rule, `lists.${name}`));
+  Object.entries(rules.documents || {}).forEach(([name, rule]) => {
+    Object.entries(rule.fields || {}).forEach(([field, spec]) =>
+      validateField(field, spec, `documents.${name}`));
+    Object.entries(rule.lists || {}).forEach(([list, listRule]) =>
+      validateList(listRule, `documents.${name}.lists.${list}`));
+  });
+  return rules;
+};
+
+const loadRulesFile = (filePath) =>
+  validateRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+/**
+ * Simpan rules dari file JSON dan muat ulang otomatis saat file berubah.
+ * Jika file baru tidak valid, rules terakhir yang valid tetap dipakai.
+ */
+const createRulesStore = (filePath, { watch = true, interval = 1000 } = {}) => {
+  let rules = loadRulesFile(filePath);
+  let watching = false;
+
+  const reload = () => {
+    try {
+      const next = loadRulesFile(filePath);
+      if (next.version !== rules.version) {
+        console.log(`Rules ${filePath} dimuat ulang (v${rules.version} -> v${next.version})`);
+      }
+      rules = next;
+    } catch (error) {
+      console.error(`Gagal memuat ulang rules ${filePath}, tetap memakai v${rules.version}:`, error.message);
+    }
+    return rules;
+  };
+
+  const onChange = (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  };
+
+  if (watch) {
+    fs.watchFile(filePath, { interval }, onChange).unref?.();
+    watching = true;
+  }
+
+  return {
+    filePath,
+    get: () => rules,
+    get version() {
+      return rules.version;
+    },
+    list: (name) => {
+      const rule = rules.lists?.[name];
+      if (!rule) throw new Error(`Rule list "${name}" tidak ada di ${filePath}`);
+      return rule;
+    },
+    document: (name) => {
+      const rule = rules.documents?.[name];
+      if (!rule) throw new Error(`Rule dokumen "${name}" tidak ada di ${filePath}`);
+      return rule;
+    },
+    reload,
+    close: () => {
+      if (watching) fs.unwatchFile(filePath, onChange);
+      watching = false;
+    }
+  };
+};
+
+module.exports = {
+  TRANSFORMS,
+  createRulesStore,
+  extractDocument,
+  extractList,
+  validateRules
+};
@@ -0,0 +1,56 @@
+// Atribut yang berisi URL; nilainya divalidasi sanitizeUrl, atribut lain sanitizeText
+const URL_ATTRS = new Set(['href', 'src', 'data-src', 'data-lazy-src', 'data-original', 'poster']);
+
+// Control character (kecuali tab/newline), zero-width dan bidi override yang bisa menyamarkan teks
+const INVISIBLE_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060\u2066-\u2069\uFEFF]/g;
+
+// Blok yang isinya ikut dibuang, bukan hanya tag-nya
+const DANGEROUS_BLOCKS = /<(script|style|iframe|object|embed|template|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Hanya nama elemen HTML yang dikenal, supaya judul seperti "<Oshi no Ko>" tidak ikut terhapus
+const HTML_TAGS = /<\/?(?:a|abbr|audio|b|base|body|br|button|code|details|div|em|embed|font|form|frame|frameset|h[1-6]|head|html|i|iframe|img|input|link|marquee|math|meta|noscript|object|p|picture|script|select|small|source|span|strong|style|sub|sup|svg|table|tbody|td|template|textarea|th|tr|u|ul|ol|li|video)\b[^<>]*>/gi;
+
+/**
+ * Normalisasi teks hasil scraping. Cheerio mengembalikan teks yang sudah
+ * di-decode, jadi "&lt;script&gt;" di sumber menjadi markup sungguhan di sini.
+ * Tag HTML dibuang, karakter tak terlihat dihapus dan spasi dirapikan.
+ * Escaping tetap tugas tempat teks ditampilkan (frontend, feed, iCalendar).
+ */
+const sanitizeText = (value) => {
+  if (typeof value !== 'string') return value;
+
+  return value
+    .normalize('NFC')
+    .replace(DANGEROUS_BLOCKS, '')
+    .replace(HTML_TAGS, '')
+    .replace(INVISIBLE_CHARS, '')
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n\s*\n\s*/g, '\n\n')
+    .trim();
+};
+
+/**
+ * URL hasil scraping hanya boleh http(s) atau relatif (di-resolve oleh
+ * pemakainya). Skema lain (javascript:, data:, vbscript:, ...) menjadi undefined.
+ * Tab/newline dihapus dulu karena browser juga mengabaikannya ("java\tscript:").
+ */
+const sanitizeUrl = (value) => {
+  if (typeof value !== 'string') return undefined;
+
+  const url = value
+    .replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '')
+    .replace(/[\t\n\r]/g, '');
+  if (!url) return undefined;
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) {
+    return undefined;
+  }
+  return url;
+};
+
+module.exports = {
+  URL_ATTRS,
+  sanitizeText,
+  sanitizeUrl
+};
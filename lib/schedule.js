@@ -0,0 +1,165 @@
+const { slugFromLink } = require('./utils');
+
+const DAYS = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
+
+// Hari jadwal upstream -> Date#getUTCDay()
+const DAY_INDEX = { minggu: 0, senin: 1, selasa: 2, rabu: 3, kamis: 4, jumat: 5, sabtu: 6 };
+
+// Jadwal upstream ditulis dalam WIB kecuali ada zona lain di teks jam (menit dari UTC)
+const SOURCE_TIMEZONE = 'Asia/Jakarta';
+const ZONE_OFFSETS = { wib: 420, wita: 480, wit: 540, jst: 540, utc: 0, gmt: 0 };
+const SOURCE_OFFSET = ZONE_OFFSETS.wib;
+
+// Perkiraan durasi satu episode; selama itu jadwal masih dianggap "sedang tayang"
+const EPISODE_MINUTES = 30;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEK = 7 * DAY;
+
+/**
+ * Ambil jam dari teks bebas: "22:30", "22.30 WIB", "Pukul 9:05", "00:00 JST".
+ * Mengembalikan { hour, minute, offset } atau null jika tidak ada jam yang valid.
+ */
+const parseTime = (text) => {
+  const match = String(text || '').match(/(\d{1,2})[:.](\d{2})(?:\s*(wita|wib|wit|jst|utc|gmt))?/i);
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+
+  const zone = match[3]?.toLowerCase();
+  return { hour, minute, offset: zone ? ZONE_OFFSETS[zone] : SOURCE_OFFSET };
+};
+
+// Tengah malam (UTC ms) hari `day` berikutnya menurut zona sumber, termasuk hari ini
+const nextDayStart = (day, now, offset) => {
+  const local = new Date(now + offset * MINUTE);
+  const diff = (DAY_INDEX[day] - local.getUTCDay() + 7) % 7;
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + diff) - offset * MINUTE;
+};
+
+/**
+ * Waktu tayang berikutnya (ms UTC) untuk jadwal mingguan. Episode yang baru
+ * mulai kurang dari EPISODE_MINUTES lalu masih dihitung minggu ini.
+ */
+const nextAiring = (day, time, now = Date.now()) => {
+  if (DAY_INDEX[day] === undefined || !time) return null;
+
+  // Dihitung dari hari sebelumnya supaya episode yang sedang tayang tidak terlewat
+  const start = nextDayStart(day, now - DAY, time.offset) + (time.hour * 60 + time.minute) * MINUTE;
+  let airsAt = start;
+  while (airsAt + EPISODE_MINUTES * MINUTE <= now) airsAt += WEEK;
+  return airsAt;
+};
+
+/**
+ * Tambahkan slug dan airsAt (ISO, UTC) ke setiap item jadwal. airsAt null
+ * jika teks jam kosong atau tidak bisa dibaca; frontend tetap memakai `time`.
+ */
+const withAirTimes = (schedule, now = Date.now()) => {
+  const result = {};
+  DAYS.forEach((day) => {
+    result[day] = (schedule[day] || []).map((item) => {
+      const airsAt = nextAiring(day, parseTime(item.time), now);
+      return {
+        ...item,
+        slug: item.slug || slugFromLink(item.link),
+        airsAt: airsAt === null ? null : new Date(airsAt).toISOString()
+      };
+    });
+  });
+  return result;
+};
+
+// ==================== iCalendar ====================
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545: baris maksimal 75 oktet, lanjutan diawali satu spasi
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDateTime = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatDate = (ms) => formatDateTime(ms).slice(0, 8);
+
+const toEvent = (day, item, now) => {
+  const time = parseTime(item.time);
+  const slug = item.slug || slugFromLink(item.link) || item.title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${slug}-${day}@animestream`,
+    `DTSTAMP:${formatDateTime(now)}`
+  ];
+
+  if (time) {
+    lines.push(`DTSTART:${formatDateTime(nextAiring(day, time, now))}`, `DURATION:PT${EPISODE_MINUTES}M`);
+  } else {
+    // Tanpa jam: acara sepanjang hari di hari tayangnya (menurut WIB)
+    const dayStart = nextDayStart(day, now, SOURCE_OFFSET) + SOURCE_OFFSET * MINUTE;
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(dayStart)}`, `DTEND;VALUE=DATE:${formatDate(dayStart + DAY)}`);
+  }
+
+  lines.push(
+    'RRULE:FREQ=WEEKLY',
+    `SUMMARY:${escapeText(item.title)}`,
+    ...(item.link ? [`URL:${item.link}`] : []),
+    ...(time ? [] : ['DESCRIPTION:Jam tayang belum diumumkan']),
+    'END:VEVENT'
+  );
+  return lines;
+};
+
+/**
+ * Jadwal mingguan sebagai file .ics; setiap anime menjadi acara berulang
+ * mingguan. `filter(item)` dipakai untuk kalender berisi anime yang diikuti saja.
+ */
+const toICalendar = (schedule, { name = 'Jadwal Anime', filter = () => true, now = Date.now() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AnimeStream//Jadwal Rilis//ID',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${SOURCE_TIMEZONE}`
+  ];
+
+  DAYS.forEach((day) => {
+    (schedule[day] || []).filter(filter).forEach((item) => {
+      lines.push(...toEvent(day, item, now));
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  DAYS,
+  SOURCE_TIMEZONE,
+  foldLine,
+  nextAiring,
+  parseTime,
+  toICalendar,
+  withAirTimes
+};
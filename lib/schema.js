@@ -0,0 +1,135 @@
+// Validator untuk subset JSON Schema yang dipakai di dokumen OpenAPI (lib/openapi.js)
+
+const REF_PREFIX = '#/components/schemas/';
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const resolve = (schema, schemas) => {
+  if (!schema?.$ref) return schema;
+
+  const name = schema.$ref.slice(REF_PREFIX.length);
+  if (!schema.$ref.startsWith(REF_PREFIX) || !schemas[name]) {
+    throw new Error(`Schema tidak dikenal: ${schema.$ref}`);
+  }
+  return resolve(schemas[name], schemas);
+};
+
+const describe = (value) => (typeOf(value) === 'string' ? `"${value}"` : typeOf(value));
+
+/**
+ * Cocokkan value dengan schema. Yang didukung: $ref, type, nullable, enum,
+ * pattern, minLength/maxLength, minimum/maximum, minItems/maxItems, items,
+ * properties, required, additionalProperties, allOf dan oneOf.
+ * Mengembalikan daftar pesan error (kosong jika valid), masing-masing diawali path.
+ */
+const validate = (schema, value, { schemas = {}, path = '$' } = {}) => {
+  // nullable dibaca sebelum $ref di-resolve: { allOf: [{ $ref }], nullable: true }
+  if (value === null && schema?.nullable) return [];
+
+  const spec = resolve(schema, schemas);
+  if (!spec) return [];
+
+  if (value === null) {
+    return spec.nullable || spec.type === undefined ? [] : [`${path}: tidak boleh null`];
+  }
+
+  if (spec.allOf) {
+    return spec.allOf.flatMap((part) => validate(part, value, { schemas, path }));
+  }
+  if (spec.oneOf) {
+    const matches = spec.oneOf.filter((option) => validate(option, value, { schemas, path }).length === 0);
+    return matches.length === 1 ? [] : [`${path}: harus cocok dengan tepat satu schema di oneOf (cocok ${matches.length})`];
+  }
+
+  if (spec.type && !matchesType(spec.type, value)) {
+    return [`${path}: harus ${spec.type} (didapat ${describe(value)})`];
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return [`${path}: harus salah satu dari ${spec.enum.join(', ')} (didapat ${describe(value)})`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) errors.push(`${path}: minimal ${spec.minLength} karakter`);
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) errors.push(`${path}: maksimal ${spec.maxLength} karakter`);
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) errors.push(`${path}: tidak cocok dengan pola ${spec.pattern}`);
+    if (spec.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${path}: bukan tanggal ISO 8601`);
+  }
+
+  if (typeof value === 'number') {
+    if (spec.minimum !== undefined && value < spec.minimum) errors.push(`${path}: minimal ${spec.minimum}`);
+    if (spec.maximum !== undefined && value > spec.maximum) errors.push(`${path}: maksimal ${spec.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) errors.push(`${path}: minimal ${spec.minItems} item`);
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) errors.push(`${path}: maksimal ${spec.maxItems} item`);
+    if (spec.items) {
+      value.forEach((item, idx) => errors.push(...validate(spec.items, item, { schemas, path: `${path}[${idx}]` })));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = spec.properties || {};
+    (spec.required || [])
+      .filter((name) => value[name] === undefined)
+      .forEach((name) => errors.push(`${path}.${name}: wajib ada`));
+
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        errors.push(...validate(properties[name], item, { schemas, path: `${path}.${name}` }));
+      } else if (spec.additionalProperties === false) {
+        errors.push(`${path}.${name}: properti tidak dikenal`);
+      } else if (typeof spec.additionalProperties === 'object') {
+        errors.push(...validate(spec.additionalProperties, item, { schemas, path: `${path}.${name}` }));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Ubah nilai mentah dari query/path (string) ke tipe di schema parameter.
+ * Array memakai style form tanpa explode: "a,b,c". Nilai yang tidak bisa
+ * diubah dikembalikan apa adanya supaya validate() yang melaporkan.
+ * Ekstensi x-case-insensitive: nilai string diubah ke huruf kecil dulu.
+ */
+const coerce = (schema, raw, { schemas = {} } = {}) => {
+  const spec = resolve(schema, schemas);
+  if (typeof raw !== 'string') return raw;
+
+  const value = spec['x-case-insensitive'] ? raw.trim().toLowerCase() : raw.trim();
+
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number': {
+      const number = Number(value);
+      return value !== '' && Number.isFinite(number) ? number : value;
+    }
+    case 'boolean':
+      if (['true', '1'].includes(value)) return true;
+      if (['false', '0'].includes(value)) return false;
+      return value;
+    case 'array':
+      return value.split(',')
+        .map((item) => coerce({ ...resolve(spec.items, schemas), 'x-case-insensitive': spec['x-case-insensitive'] }, item, { schemas }))
+        .filter((item) => item !== '');
+    default:
+      return value;
+  }
+};
+
+module.exports = { coerce, resolve, validate };
@@ -0,0 +1,81 @@
+const createSankavollereiSource = require('./sankavollerei');
+
+// Semua adapter yang tersedia, dipilih lewat env SOURCES (dipisah koma)
+const ADAPTERS = {
+  sankavollerei: createSankavollereiSource
+};
+
+const isEmptyList = (list) => !Array.isArray(list) || list.length === 0;
+
+// Hasil kosong dianggap gagal supaya route pindah ke provider berikutnya
+const EMPTY_CHECKS = {
+  home: (data) => isEmptyList(data.featured) && isEmptyList(data.trending),
+  schedule: (data) => Object.values(data.schedule || {}).every(isEmptyList),
+  genres: (data) => isEmptyList(data.genres),
+  genre: (data) => isEmptyList(data.anime),
+  complete: (data) => isEmptyList(data.anime),
+  ongoing: (data) => isEmptyList(data.anime),
+  search: (data) => isEmptyList(data.results),
+  detail: (data) => !data.title,
+  batch: (data) => !data.title,
+  episode: (data) => !data.title,
+  stream: (data) => isEmptyList(data.players),
+  unlimited: (data) => isEmptyList(data.anime)
+};
+
+const isEmptyResult = (operation, data) => {
+  if (data == null) return true;
+  const check = EMPTY_CHECKS[operation];
+  return check ? check(data) : false;
+};
+
+/**
+ * Jalankan operasi di setiap provider secara berurutan sampai ada yang
+ * berhasil dengan data tidak kosong. Jika semua provider kosong, hasil
+ * kosong terakhir dikembalikan; jika semua gagal, error terakhir dilempar.
+ */
+const createSourceManager = (sources) => {
+  const run = async (operation, ...args) => {
+    let lastError = null;
+    let lastEmpty;
+
+    for (const source of sources) {
+      if (typeof source[operation] !== 'function') continue;
+
+      try {
+        const data = await source[operation](...args);
+        if (!isEmptyResult(operation, data)) {
+          return data;
+        }
+        lastEmpty = data;
+        console.warn(`Source ${source.name} mengembalikan data kosong untuk ${operation}`);
+      } catch (error) {
+        lastError = error;
+        console.error(`Source ${source.name} gagal untuk ${operation}:`, error.message);
+      }
+    }
+
+    if (lastEmpty !== undefined) {
+      return lastEmpty;
+    }
+    throw lastError || new Error(`Tidak ada source untuk operasi ${operation}`);
+  };
+
+  return { sources, run };
+};
+
+// Buat daftar source dari nama adapter, dengan opsi per adapter
+const createSources = (names, options = {}) => names.map((name) => {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Source tidak dikenal: ${name}`);
+  }
+  return factory(options[name]);
+});
+
+module.exports = {
+  ADAPTERS,
+  createSourceManager,
+  createSources,
+  isEmptyResult
+};
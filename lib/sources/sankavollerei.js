@@ -0,0 +1,171 @@
+const path = require('path');
+const { fetchWithTimeout, parseHTML } = require('../utils');
+const { createRulesStore, extractDocument, extractList } = require('../rules');
+
+const DEFAULT_BASE_URL = 'https://www.sankavollerei.com';
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', '..', 'rules', 'sankavollerei.json');
+const DAYS = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
+
+// Adapter untuk sankavollerei.com; selector diambil dari file rules
+const createSankavollereiSource = ({
+  baseUrl = DEFAULT_BASE_URL,
+  timeout,
+  rulesFile = DEFAULT_RULES_FILE,
+  watchRules = true
+} = {}) => {
+  const rules = createRulesStore(rulesFile, { watch: watchRules });
+  const load = async (urlPath) => parseHTML(await fetchWithTimeout(`${baseUrl}${urlPath}`, { timeout }));
+
+  // Seperti load, tapi halaman yang tidak ada (404) menghasilkan null
+  const loadOptional = async (urlPath) => {
+    try {
+      return await load(urlPath);
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'sankavollerei',
+    baseUrl,
+    rules,
+
+    async home() {
+      const $ = await load('/anime/home');
+
+      return {
+        featured: extractList($, rules.list('home.featured')).slice(0, 5),
+        trending: extractList($, rules.list('home.trending')).slice(0, 12)
+      };
+    },
+
+    async schedule() {
+      const $ = await load('/anime/schedule');
+
+      const schedule = {};
+      DAYS.forEach((day) => {
+        schedule[day] = extractList($, rules.list('schedule.day'), { day });
+      });
+
+      return { schedule };
+    },
+
+    async genres() {
+      const $ = await load('/anime/genre');
+      return { genres: extractList($, rules.list('genres')) };
+    },
+
+    async genre(slug, page) {
+      const $ = await load(`/anime/genre/${slug}?page=${page}`);
+
+      const anime = extractList($, rules.list('genre'));
+      const { hasNextPage } = extractDocument($, rules.document('pagination'));
+
+      return { anime, hasNextPage };
+    },
+
+    async complete(page) {
+      const $ = await load(`/anime/complete-anime?page=${page}`);
+      const { hasNextPage } = extractDocument($, rules.document('pagination'));
+      return { anime: extractList($, rules.list('complete')), hasNextPage };
+    },
+
+    async ongoing(page) {
+      const $ = await load(`/anime/ongoing-anime?page=${page}`);
+      const { hasNextPage } = extractDocument($, rules.document('pagination'));
+      return { anime: extractList($, rules.list('ongoing')), hasNextPage };
+    },
+
+    async search(query) {
+      const $ = await load(`/anime/search/${encodeURIComponent(query)}`);
+      return { results: extractList($, rules.list('search')) };
+    },
+
+    // Mengembalikan null jika anime tidak ditemukan
+    async detail(slug) {
+      // Coba berbagai URL pattern
+      const urlPaths = [
+        `/anime/anime/${slug}`,
+        `/anime/batch/${slug}`,
+      ];
+
+      let $;
+      for (const urlPath of urlPaths) {
+        try {
+          $ = await load(urlPath);
+          break;
+        } catch (error) {
+          // Hanya 404 yang lanjut ke pattern berikutnya; error lain diteruskan
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+
+      if (!$) {
+        return null;
+      }
+
+      return {
+        ...extractDocument($, rules.document('detail')),
+        link: `${baseUrl}/anime/${slug}`
+      };
+    },
+
+    // Bentuknya sama dengan detail() supaya client bisa memakai tipe yang sama; null jika tidak ada (404)
+    async batch(slug) {
+      const $ = await loadOptional(`/anime/batch/${slug}`);
+      if (!$) return null;
+
+      return {
+        ...extractDocument($, rules.document('batch')),
+        link: `${baseUrl}/anime/${slug}`
+      };
+    },
+
+    // Mengembalikan null jika halaman episode tidak ditemukan (404)
+    async episode(slug) {
+      const $ = await loadOptional(`/anime/episode/${slug}`);
+      if (!$) return null;
+
+      const { title, number, animeSlug, prevEpisode, nextEpisode, servers, downloads } =
+        extractDocument($, rules.document('episode'));
+
+      return {
+        slug,
+        number,
+        title,
+        animeSlug: animeSlug || null,
+        servers,
+        downloads,
+        prevEpisode: prevEpisode || null,
+        nextEpisode: nextEpisode || null
+      };
+    },
+
+    // quality = kualitas yang benar-benar diketahui dari field quality player di rules
+    // ("auto" tidak dihitung); kosong jika halaman server tidak menyebutkannya.
+    // Mengembalikan null jika server tidak ditemukan (404)
+    async stream(id) {
+      const $ = await loadOptional(`/anime/server/${id}`);
+      if (!$) return null;
+      const { title, description, players } = extractDocument($, rules.document('stream'));
+      const quality = [...new Set(players.flatMap((player) => player.quality || []))]
+        .filter((value) => value && value !== 'auto');
+
+      return {
+        id,
+        title,
+        description,
+        players,
+        quality
+      };
+    },
+
+    async unlimited(page) {
+      const $ = await load(`/anime/unlimited?page=${page}`);
+      return { anime: extractList($, rules.list('unlimited')) };
+    }
+  };
+};
+
+module.exports = createSankavollereiSource;
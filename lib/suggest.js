@@ -0,0 +1,82 @@
+const { slugFromLink } = require('./utils');
+const { scoreName, tokenize } = require('./fuzzy');
+
+// Entry cache yang berisi daftar anime: hasil search upstream dan listing
+const CACHE_PREFIXES = ['search-', 'ongoing-', 'complete-', 'genre-', 'home'];
+
+// Field di value cache yang berisi array anime
+const LIST_FIELDS = ['results', 'anime', 'featured', 'trending'];
+
+// Field yang dikirim ke dropdown; sisanya tidak perlu untuk saran judul
+const toSuggestion = (item) => ({
+  slug: item.slug,
+  title: item.title,
+  image: item.image,
+  type: item.type,
+  episode: item.episode
+});
+
+// Kumpulkan item anime dari semua entry cache yang relevan, unik per slug
+const cachedItems = (cache) => {
+  const items = new Map();
+
+  cache.keys()
+    .filter((key) => CACHE_PREFIXES.some((prefix) => key.startsWith(prefix)))
+    .forEach((key) => {
+      const value = cache.get(key);
+      if (!value) return;
+
+      LIST_FIELDS.forEach((field) => {
+        (Array.isArray(value[field]) ? value[field] : []).forEach((item) => {
+          const slug = item?.slug || slugFromLink(item?.link);
+          if (slug && item.title && !items.has(slug)) items.set(slug, { ...item, slug });
+        });
+      });
+    });
+
+  return [...items.values()];
+};
+
+/**
+ * Saran judul untuk dropdown pencarian. Hanya memakai data lokal (katalog
+ * dan cache search/listing), tidak pernah menghubungi upstream, sehingga
+ * aman dipanggil setiap kali user mengetik.
+ */
+const createSuggester = ({ catalog, cache }) => (query, { limit = 8 } = {}) => {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return [];
+
+  // Slug yang sama dari beberapa sumber: skor tertinggi menang, field kosong diisi dari sumber lain
+  const ranked = new Map();
+  const add = (item, score) => {
+    const suggestion = toSuggestion(item);
+    const current = ranked.get(item.slug);
+    if (!current) {
+      ranked.set(item.slug, { item: suggestion, score });
+      return;
+    }
+
+    const [best, other] = score > current.score ? [suggestion, current.item] : [current.item, suggestion];
+    Object.keys(best).forEach((key) => {
+      best[key] = best[key] || other[key];
+    });
+    ranked.set(item.slug, { item: best, score: Math.max(score, current.score) });
+  };
+
+  catalog.search(query, { limit }).results.forEach(({ score, ...item }) => add(item, score));
+
+  cachedItems(cache).forEach((item) => {
+    const score = Math.max(
+      scoreName(queryTokens, tokenize(item.title)),
+      scoreName(queryTokens, tokenize(item.slug.replace(/-/g, ' '))) * 0.85
+    );
+    if (score > 0) add(item, score);
+  });
+
+  return [...ranked.values()]
+    .sort((a, b) => b.score - a.score || a.item.title.localeCompare(b.item.title))
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
+
+module.exports = { createSuggester };
@@ -0,0 +1,142 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fixtures = require('./fixtures');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { createLimiter } = require('./limiter');
+const { isRetryableError, withRetry } = require('./retry');
+
+const DEFAULT_TIMEOUT = 8000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Pengaturan koneksi upstream, diganti lewat configureUpstream() dari config server.
+// mode: live (request langsung), record (simpan response ke fixture), replay (baca dari fixture)
+let settings = {
+  mode: 'live',
+  concurrency: 4,
+  retries: 2,
+  retryDelay: 300,
+  breakerThreshold: 5,
+  breakerResetTimeout: 30000
+};
+
+// Semua request keluar ke upstream lewat satu antrian global
+let upstreamLimiter = createLimiter(settings.concurrency);
+
+// Fetch yang sedang berjalan per URL, dipakai bersama oleh request yang sama
+const inflight = new Map();
+
+// Satu circuit breaker per host upstream; hanya timeout/5xx yang dihitung gagal
+const breakers = new Map();
+const breakerFor = (url) => {
+  const { host } = new URL(url);
+  if (!breakers.has(host)) {
+    breakers.set(host, createCircuitBreaker({
+      name: host,
+      failureThreshold: settings.breakerThreshold,
+      resetTimeout: settings.breakerResetTimeout,
+      isFailure: isRetryableError
+    }));
+  }
+  return breakers.get(host);
+};
+
+// Ganti pengaturan upstream; limiter dan breaker dibuat ulang dengan nilai baru
+const configureUpstream = (options = {}) => {
+  settings = { ...settings, ...options };
+  upstreamLimiter = createLimiter(settings.concurrency);
+  breakers.clear();
+};
+
+const requestUpstream = async (url, { timeout, mode }) => {
+  try {
+    const response = await axios.get(url, {
+      timeout,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+    if (mode === 'record') {
+      fixtures.writeFixture(url, response.data);
+    }
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching ${url}:`, error.message);
+    throw error;
+  }
+};
+
+// Helper function untuk fetch dengan timeout
+// Mode record menyimpan response ke fixture, replay membacanya tanpa network
+const fetchWithTimeout = async (url, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  const { mode } = settings;
+  if (mode === 'replay') {
+    return fixtures.readFixture(url);
+  }
+
+  if (!inflight.has(url)) {
+    const attempt = () => upstreamLimiter.run(() => requestUpstream(url, { timeout, mode }));
+    const promise = breakerFor(url)
+      .exec(() => withRetry(attempt, {
+        retries: settings.retries,
+        baseDelay: settings.retryDelay,
+        onRetry: (error, retry, delay) => console.warn(`Retry ${retry} untuk ${url} dalam ${delay}ms (${error.message})`)
+      }))
+      .finally(() => inflight.delete(url));
+    inflight.set(url, promise);
+  }
+  return inflight.get(url);
+};
+
+/**
+ * Ambil gambar sebagai Buffer lewat antrian upstream yang sama. Redirect tidak
+ * diikuti: respons 3xx dikembalikan sebagai { redirect: url absolut } supaya
+ * pemanggil bisa memeriksa host tujuan dulu. Mode replay menolak request gambar.
+ */
+const fetchImage = async (url, { timeout = DEFAULT_TIMEOUT, maxBytes, referer } = {}) => {
+  if (settings.mode === 'replay') {
+    const error = new Error(`Gambar tidak diambil dalam mode replay: ${url}`);
+    error.code = 'ENOFIXTURE';
+    throw error;
+  }
+
+  const response = await breakerFor(url).exec(() => upstreamLimiter.run(() => axios.get(url, {
+    timeout,
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+    maxRedirects: 0,
+    validateStatus: (status) => status >= 200 && status < 400,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'image/avif,image/webp,image/*;q=0.8',
+      ...(referer ? { Referer: referer } : {})
+    }
+  })));
+
+  if (response.status >= 300) {
+    if (!response.headers.location) throw new Error(`Redirect tanpa Location dari ${url}`);
+    return { redirect: new URL(response.headers.location, url).href };
+  }
+  return { data: Buffer.from(response.data), type: response.headers['content-type'] };
+};
+
+const getUpstreamStats = () => ({
+  ...upstreamLimiter.stats(),
+  inflight: inflight.size,
+  breakers: [...breakers.values()].map((breaker) => breaker.status())
+});
+
+// Helper function untuk parse HTML
+const parseHTML = (html) => cheerio.load(html);
+
+// Ambil slug dari link upstream (segmen terakhir URL)
+const slugFromLink = (link) => link?.split('/').pop();
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  configureUpstream,
+  fetchImage,
+  fetchWithTimeout,
+  getUpstreamStats,
+  parseHTML,
+  slugFromLink
+};
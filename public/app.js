@@ -2,15 +2,89 @@
 const CONFIG = {
     API_BASE: '/api',
     CACHE_DURATION: 10 * 60 * 1000, // 10 menit
+    CACHE_MAX_ENTRIES: 60, // entry cache API yang disimpan di localStorage
     REQUEST_TIMEOUT: 8000,
     RATE_LIMIT_DELAY: 500, // 500ms antar request
+    PLAYER_LOAD_TIMEOUT: 15000, // 15 detik sebelum pindah ke server berikutnya
+    STORAGE_PREFIX: 'animestream',
+    HISTORY_TICK: 5000, // update progress tiap 5 detik
+    HISTORY_SYNC_DELAY: 15000, // kirim riwayat ke server paling cepat tiap 15 detik
+    HISTORY_COMPLETE_RATIO: 0.9, // dianggap selesai setelah 90% durasi
+    IMAGE_WIDTHS: [120, 240, 480], // lebar preset /api/image, sama dengan server
+    INFINITE_PRELOAD: 800, // muat halaman berikutnya 800px sebelum akhir grid
+    INFINITE_INITIAL_CARDS: 24, // kartu yang dirender sebelum ukuran grid diukur
+    VIRTUAL_BUFFER_ROWS: 4, // baris di atas/bawah viewport yang tetap dirender
+    LISTING_SNAPSHOTS: 5, // grid infinite yang diingat untuk tombol back
+    SUGGEST_DEBOUNCE: 200, // jeda setelah ketikan terakhir sebelum meminta saran
+    RECENT_SEARCHES: 8, // pencarian terakhir yang disimpan di localStorage
 };
 
+// ==================== I18N ====================
+// Katalog pesan ada di i18n.js (MESSAGES). Teks statis di index.html ditandai data-i18n
+// (textContent) atau data-i18n-<atribut>; teks yang dirender JS memakai t().
+const DEFAULT_LOCALE = 'id';
+const LOCALE_KEY = `${CONFIG.STORAGE_PREFIX}:locale`;
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+// Pilihan tersimpan, lalu bahasa browser, lalu bahasa default
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (MESSAGES[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language])
+        .map(language => String(language || '').slice(0, 2).toLowerCase());
+    return preferred.find(language => MESSAGES[language]) || DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+
+function getLocale() {
+    return currentLocale;
+}
+
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(currentLocale).select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function applyTranslations() {
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+        document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = currentLocale;
+}
+
+function setLocale(locale) {
+    if (!MESSAGES[locale]) return;
+
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_KEY, locale);
+    applyTranslations();
+}
+
 // ==================== STATE MANAGEMENT ====================
 const state = {
     currentPage: 'home',
     currentGenre: null,
     currentAnime: null,
+    libraryStatus: 'all',
+    browseFilters: null,
+    browseFacets: null,
+    scheduleTimer: null,
+    listing: null,
+    listings: new Map(),
+    player: null,
     cache: new Map(),
     requestQueue: [],
     isRequestPending: false,
@@ -66,17 +140,44 @@ class RateLimiter {
 const rateLimiter = new RateLimiter(CONFIG.RATE_LIMIT_DELAY);
 
 // ==================== CACHE SYSTEM ====================
+// Cache response API di memory, disalin ke localStorage supaya tetap ada setelah reload
 class CacheManager {
-    constructor(duration = CONFIG.CACHE_DURATION) {
+    constructor(duration = CONFIG.CACHE_DURATION, storageKey = `${CONFIG.STORAGE_PREFIX}:api-cache`) {
         this.duration = duration;
-        this.cache = new Map();
+        this.storageKey = storageKey;
+        this.cache = this.load();
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return new Map(entries.filter(([, item]) => Date.now() - item.timestamp <= this.duration));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    // Entry paling lama dibuang jika melewati batas atau kuota localStorage penuh
+    save() {
+        let entries = [...this.cache.entries()].slice(-CONFIG.CACHE_MAX_ENTRIES);
+        while (entries.length > 0) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+                return;
+            } catch (error) {
+                entries = entries.slice(Math.ceil(entries.length / 2));
+            }
+        }
+        localStorage.removeItem(this.storageKey);
     }
 
     set(key, value) {
+        this.cache.delete(key);
         this.cache.set(key, {
             value,
             timestamp: Date.now(),
         });
+        this.save();
     }
 
     get(key) {
@@ -85,6 +186,7 @@ class CacheManager {
 
         if (Date.now() - item.timestamp > this.duration) {
             this.cache.delete(key);
+            this.save();
             return null;
         }
 
@@ -93,6 +195,7 @@ class CacheManager {
 
     clear() {
         this.cache.clear();
+        localStorage.removeItem(this.storageKey);
     }
 
     has(key) {
@@ -102,36 +205,214 @@ class CacheManager {
 
 const cacheManager = new CacheManager();
 
+// ==================== WATCH HISTORY ====================
+function getClientId() {
+    const key = `${CONFIG.STORAGE_PREFIX}:client-id`;
+    let id = localStorage.getItem(key);
+    if (!id) {
+        id = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem(key, id);
+    }
+    return id;
+}
+
+class WatchHistory {
+    constructor(storageKey = `${CONFIG.STORAGE_PREFIX}:history`) {
+        this.storageKey = storageKey;
+        this.syncKey = `${storageKey}-sync`;
+        this.entries = this.load();
+        this.pendingSync = new Set();
+        this.syncTimer = null;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Error saving watch history:', error);
+        }
+    }
+
+    get(slug) {
+        return this.entries[slug] || null;
+    }
+
+    getEpisode(animeSlug, episodeSlug) {
+        return this.entries[animeSlug]?.episodes?.[episodeSlug] || null;
+    }
+
+    list() {
+        return Object.values(this.entries).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    updateProgress(anime, episode, progress = {}) {
+        const now = Date.now();
+        const entry = this.entries[anime.slug] || { slug: anime.slug, episodes: {} };
+        const current = entry.episodes[episode.slug] || {};
+
+        entry.title = anime.title || entry.title;
+        entry.image = anime.image || entry.image;
+        entry.lastEpisode = episode.slug;
+        entry.updatedAt = now;
+        entry.episodes[episode.slug] = {
+            number: episode.number ?? current.number ?? null,
+            title: episode.title || current.title,
+            position: progress.position ?? current.position ?? 0,
+            duration: progress.duration ?? current.duration ?? 0,
+            completed: progress.completed ?? current.completed ?? false,
+            updatedAt: now,
+        };
+
+        this.entries[anime.slug] = entry;
+        this.save();
+        this.scheduleSync(anime.slug);
+        return entry.episodes[episode.slug];
+    }
+
+    remove(slug) {
+        delete this.entries[slug];
+        this.save();
+
+        if (this.isSyncEnabled()) {
+            apiClient.deleteHistory(slug).catch(error => console.error('Error deleting history:', error));
+        }
+    }
+
+    // Gabungkan riwayat dari server: per episode, updatedAt terbaru menang
+    merge(remoteEntries) {
+        const newerLocally = [];
+
+        remoteEntries.forEach(remote => {
+            const local = this.entries[remote.slug];
+            if (!local) {
+                this.entries[remote.slug] = remote;
+                return;
+            }
+
+            Object.entries(remote.episodes || {}).forEach(([slug, episode]) => {
+                if (!local.episodes[slug] || local.episodes[slug].updatedAt < episode.updatedAt) {
+                    local.episodes[slug] = episode;
+                }
+            });
+
+            if (remote.updatedAt > local.updatedAt) {
+                Object.assign(local, {
+                    title: remote.title || local.title,
+                    image: remote.image || local.image,
+                    lastEpisode: remote.lastEpisode || local.lastEpisode,
+                    updatedAt: remote.updatedAt,
+                });
+            } else if (local.updatedAt > remote.updatedAt) {
+                newerLocally.push(remote.slug);
+            }
+        });
+
+        // Entry yang belum ada di server ikut dikirim
+        Object.keys(this.entries).forEach(slug => {
+            if (!remoteEntries.some(remote => remote.slug === slug)) newerLocally.push(slug);
+        });
+
+        this.save();
+        newerLocally.forEach(slug => this.scheduleSync(slug));
+    }
+
+    isSyncEnabled() {
+        return localStorage.getItem(this.syncKey) === 'true';
+    }
+
+    setSyncEnabled(enabled) {
+        localStorage.setItem(this.syncKey, String(enabled));
+        if (enabled) this.pull();
+    }
+
+    scheduleSync(slug) {
+        if (!this.isSyncEnabled()) return;
+
+        this.pendingSync.add(slug);
+        if (this.syncTimer) return;
+        this.syncTimer = setTimeout(() => this.flush(), CONFIG.HISTORY_SYNC_DELAY);
+    }
+
+    async flush() {
+        this.syncTimer = null;
+        const slugs = [...this.pendingSync];
+        this.pendingSync.clear();
+
+        for (const slug of slugs) {
+            if (!this.entries[slug]) continue;
+            try {
+                await apiClient.saveHistory(slug, this.entries[slug]);
+            } catch (error) {
+                console.error('Error syncing history:', error);
+            }
+        }
+    }
+
+    async pull() {
+        if (!this.isSyncEnabled()) return;
+
+        try {
+            const data = await apiClient.getHistory();
+            this.merge(data.history || []);
+        } catch (error) {
+            console.error('Error loading history from server:', error);
+        }
+    }
+}
+
+const watchHistory = new WatchHistory();
+
 // ==================== API CLIENT ====================
 class APIClient {
+    // silent: request latar belakang tanpa loading overlay dan toast
     async fetch(endpoint, options = {}) {
+        const { timeout = CONFIG.REQUEST_TIMEOUT, silent = false, headers = {}, ...fetchOptions } = options;
         const url = `${CONFIG.API_BASE}${endpoint}`;
-        const timeout = options.timeout || CONFIG.REQUEST_TIMEOUT;
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
 
         try {
-            showLoading(true);
+            if (!silent) showLoading(true);
 
+            // Pesan error dari server mengikuti bahasa UI
             const response = await fetch(url, {
-                ...options,
+                ...fetchOptions,
+                headers: { 'Accept-Language': getLocale(), ...headers },
                 signal: controller.signal,
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const body = await response.json().catch(() => ({}));
+                // Pesan server sudah diterjemahkan; kode dari service worker diterjemahkan di sini
+                const message = MESSAGES[DEFAULT_LOCALE][body.code] ? t(body.code) : body.error;
+                const error = new Error(message || `HTTP ${response.status}: ${response.statusText}`);
+                error.code = body.code;
+                error.status = response.status;
+                throw error;
             }
 
             const data = await response.json();
-            showLoading(false);
+            if (!silent) showLoading(false);
             return data;
         } catch (error) {
+            if (silent) throw error;
+
             showLoading(false);
-            if (error.name === 'AbortError') {
-                showToast('Request timeout. Silahkan coba lagi.', 'error');
+            if (!navigator.onLine) {
+                showToast(t('toast.offline'), 'error');
+            } else if (error.name === 'AbortError') {
+                showToast(t('toast.timeout'), 'error');
             } else {
-                showToast(`Error: ${error.message}`, 'error');
+                showToast(t('toast.error', { message: error.message }), 'error');
             }
             throw error;
         } finally {
@@ -217,13 +498,27 @@ class APIClient {
         return data;
     }
 
-    async searchAnime(query) {
-        const cacheKey = `search-${query}`;
+    async searchAnime(query, page = 1) {
+        const cacheKey = `search-${query}-${page}`;
+        const cached = cacheManager.get(cacheKey);
+        if (cached) return cached;
+
+        const data = await rateLimiter.execute(() =>
+            this.fetch(`/search/${encodeURIComponent(query)}?page=${page}`)
+        );
+
+        cacheManager.set(cacheKey, data);
+        return data;
+    }
+
+    async browseAnime(filters, page = 1) {
+        const query = browseQuery(filters, page);
+        const cacheKey = `browse-${query}`;
         const cached = cacheManager.get(cacheKey);
         if (cached) return cached;
 
         const data = await rateLimiter.execute(() =>
-            this.fetch(`/search/${encodeURIComponent(query)}`)
+            this.fetch(`/browse?${query}`)
         );
 
         cacheManager.set(cacheKey, data);
@@ -242,10 +537,284 @@ class APIClient {
         cacheManager.set(cacheKey, data);
         return data;
     }
+
+    async getEpisode(slug) {
+        const cacheKey = `episode-${slug}`;
+        const cached = cacheManager.get(cacheKey);
+        if (cached) return cached;
+
+        const data = await rateLimiter.execute(() =>
+            this.fetch(`/episode/${slug}`)
+        );
+
+        cacheManager.set(cacheKey, data);
+        return data;
+    }
+
+    async getLibrary() {
+        return rateLimiter.execute(() => this.fetch('/library'));
+    }
+
+    async getLibraryItem(slug) {
+        return rateLimiter.execute(() => this.fetch(`/library/${slug}`, { silent: true }));
+    }
+
+    async saveLibraryItem(slug, item) {
+        return rateLimiter.execute(() =>
+            this.fetch(`/library/${slug}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(item),
+            })
+        );
+    }
+
+    async deleteLibraryItem(slug) {
+        return rateLimiter.execute(() =>
+            this.fetch(`/library/${slug}`, { method: 'DELETE' })
+        );
+    }
+
+    async getNotifications() {
+        return rateLimiter.execute(() => this.fetch('/notifications', { silent: true }));
+    }
+
+    async markNotificationsRead(ids) {
+        return rateLimiter.execute(() =>
+            this.fetch('/notifications/read', {
+                silent: true,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(ids ? { ids } : {}),
+            })
+        );
+    }
+
+    async getHistory() {
+        return rateLimiter.execute(() =>
+            this.fetch('/history', {
+                silent: true,
+                headers: { 'X-Client-Id': getClientId() },
+            })
+        );
+    }
+
+    async saveHistory(slug, entry) {
+        return rateLimiter.execute(() =>
+            this.fetch(`/history/${slug}`, {
+                method: 'PUT',
+                silent: true,
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': getClientId() },
+                body: JSON.stringify(entry),
+            })
+        );
+    }
+
+    async deleteHistory(slug) {
+        return rateLimiter.execute(() =>
+            this.fetch(`/history/${slug}`, {
+                method: 'DELETE',
+                silent: true,
+                headers: { 'X-Client-Id': getClientId() },
+            })
+        );
+    }
+
+    // Tanpa rateLimiter: sudah di-debounce, dan tidak boleh mengantre di depan request halaman
+    async getSuggestions(query) {
+        return this.fetch(`/suggest?q=${encodeURIComponent(query)}`, { silent: true });
+    }
+
+    async getStream(id) {
+        const cacheKey = `stream-${id}`;
+        const cached = cacheManager.get(cacheKey);
+        if (cached) return cached;
+
+        const data = await rateLimiter.execute(() =>
+            this.fetch(`/stream/${encodeURIComponent(id)}`)
+        );
+
+        cacheManager.set(cacheKey, data);
+        return data;
+    }
 }
 
 const apiClient = new APIClient();
 
+// ==================== NOTIFICATIONS ====================
+// Notifikasi episode baru dari server; status dibaca disimpan di server jadi tetap ada setelah reload
+class NotificationCenter {
+    constructor() {
+        this.items = [];
+        this.unread = 0;
+        this.source = null;
+    }
+
+    async load() {
+        try {
+            const data = await apiClient.getNotifications();
+            this.items = data.notifications || [];
+            this.unread = data.unread || 0;
+            this.render();
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+        }
+    }
+
+    // EventSource otomatis menyambung ulang jika koneksi putus
+    connect() {
+        if (!window.EventSource || this.source) return;
+
+        this.source = new EventSource(`${CONFIG.API_BASE}/notifications/stream`);
+        this.source.addEventListener('episode', (e) => {
+            const notification = JSON.parse(e.data);
+            this.items = [notification, ...this.items.filter(item => item.id !== notification.id)];
+            this.unread++;
+            this.render();
+            showToast(t('notifications.toast', { title: notification.title, episode: notification.episodeTitle }), 'success');
+        });
+        this.source.addEventListener('read', (e) => {
+            const { unread } = JSON.parse(e.data);
+            if (unread !== this.unread) this.load();
+        });
+    }
+
+    async markRead(ids) {
+        this.items.forEach(item => {
+            if (!ids || ids.includes(item.id)) item.read = true;
+        });
+        this.unread = this.items.filter(item => !item.read).length;
+        this.render();
+
+        try {
+            const { unread } = await apiClient.markNotificationsRead(ids);
+            this.unread = unread;
+            this.render();
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+        }
+    }
+
+    open(notification) {
+        if (!notification.read) this.markRead([notification.id]);
+        toggleNotificationPanel(false);
+        navigate(`/episode/${notification.episodeSlug}`);
+    }
+
+    render() {
+        const badge = document.getElementById('notificationBadge');
+        const list = document.getElementById('notificationList');
+        if (!badge || !list) return;
+
+        badge.textContent = this.unread > 99 ? '99+' : this.unread;
+        badge.hidden = this.unread === 0;
+
+        list.innerHTML = '';
+        if (this.items.length === 0) {
+            setHtml(list, html`<div class="notification-empty">${t('notifications.empty')}</div>`);
+            return;
+        }
+
+        this.items.forEach(notification => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `notification-item${notification.read ? '' : ' unread'}`;
+            const image = imageUrl(notification.image, 120);
+            setHtml(item, html`
+                ${image && html`<img src="${image}" alt="${notification.title}" loading="lazy" decoding="async">`}
+                <div class="notification-content">
+                    <div class="notification-title">${notification.title}</div>
+                    <div class="notification-episode">${notification.episodeTitle || t('notifications.newEpisode')}</div>
+                    <div class="notification-time">${new Date(notification.createdAt).toLocaleString(getLocale())}</div>
+                </div>
+            `);
+            item.addEventListener('click', () => this.open(notification));
+            list.appendChild(item);
+        });
+    }
+}
+
+const notificationCenter = new NotificationCenter();
+
+function toggleNotificationPanel(open) {
+    const panel = document.getElementById('notificationPanel');
+    panel.hidden = open === undefined ? !panel.hidden : !open;
+}
+
+// ==================== TEMPLATING ====================
+// Semua teks dari upstream (judul, sinopsis, studio, URL gambar/embed) masuk ke DOM lewat html`...`:
+// nilai di dalamnya di-escape otomatis, hanya hasil html`` lain yang disisipkan apa adanya.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+const POSTER_PLACEHOLDER = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22200%22 height=%22300%22%3E%3Crect fill=%22%23222%22 width=%22200%22 height=%22300%22/%3E%3C/svg%3E';
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+function templateValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(templateValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, idx) => out + string + (idx < values.length ? templateValue(values[idx]) : ''), ''));
+}
+
+// Hanya http(s) atau path relatif; javascript:, data:, dll diganti fallback (fallback harus konstanta tepercaya)
+function safeUrl(url, fallback = '') {
+    if (typeof url !== 'string' || !url.trim()) return fallback;
+
+    try {
+        const parsed = new URL(url.trim(), window.location.origin);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Poster dari host lain lewat /api/image (cache + resize di server); gambar lokal dipakai langsung
+function imageUrl(url, width) {
+    const src = safeUrl(url);
+    if (!src || src.startsWith(`${window.location.origin}/`)) return src;
+
+    const params = new URLSearchParams({ url: src });
+    if (width) params.set('w', width);
+    return `${CONFIG.API_BASE}/image?${params}`;
+}
+
+function imageSrcset(url) {
+    const src = safeUrl(url);
+    if (!src || src.startsWith(`${window.location.origin}/`)) return '';
+    return CONFIG.IMAGE_WIDTHS.map(width => `${imageUrl(src, width)} ${width}w`).join(', ');
+}
+
+function setHtml(element, template) {
+    element.innerHTML = templateValue(template);
+}
+
+// Pengganti onerror inline (diblokir CSP): gambar rusak diganti data-fallback
+function handleImageError(event) {
+    const img = event.target;
+    if (img.tagName === 'IMG' && img.dataset.fallback && img.src !== img.dataset.fallback) {
+        // srcset menang atas src, jadi harus dihapus dulu
+        img.removeAttribute('srcset');
+        img.src = img.dataset.fallback;
+    }
+}
+
 // ==================== UI HELPERS ====================
 function showLoading(show = true) {
     const overlay = document.getElementById('loadingOverlay');
@@ -267,6 +836,15 @@ function showToast(message, type = 'error') {
 }
 
 function switchPage(pageName) {
+    // Hentikan video saat meninggalkan halaman player
+    if (state.currentPage === 'player' && pageName !== 'player') {
+        stopPlayer();
+    }
+    if (pageName !== 'schedule') {
+        clearInterval(state.scheduleTimer);
+    }
+    closeListing();
+
     // Hide semua page
     document.querySelectorAll('.page').forEach(page => {
         page.classList.remove('active');
@@ -295,14 +873,22 @@ function closeMobileMenu() {
     overlay.classList.remove('active');
 }
 
+function updateOnlineStatus() {
+    const offline = !navigator.onLine;
+    document.getElementById('offlineBanner').hidden = !offline;
+    document.body.classList.toggle('is-offline', offline);
+}
+
 // ==================== ANIME CARD RENDERING ====================
-function createAnimeCard(anime) {
+function createAnimeCard(anime, onClick = null) {
     const card = document.createElement('div');
     card.className = 'anime-card';
-    card.innerHTML = `
-        <div style="position: relative;">
-            <img src="${anime.image || 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22150%22%3E%3Crect fill=%22%23222%22 width=%22100%22 height=%22150%22/%3E%3C/svg%3E'}" 
-                 alt="${anime.title}" class="anime-card-image" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22150%22%3E%3Crect fill=%22%23222%22 width=%22100%22 height=%22150%22/%3E%3C/svg%3E'">
+    setHtml(card, html`
+        <div class="anime-card-poster">
+            <img src="${imageUrl(anime.image, 240) || POSTER_PLACEHOLDER}" srcset="${imageSrcset(anime.image)}"
+                 sizes="(max-width: 480px) 45vw, (max-width: 768px) 30vw, 200px"
+                 data-fallback="${POSTER_PLACEHOLDER}" alt="${anime.title}" class="anime-card-image"
+                 loading="lazy" decoding="async">
             <div class="anime-card-overlay">
                 <div class="play-button">▶</div>
             </div>
@@ -310,25 +896,72 @@ function createAnimeCard(anime) {
         <div class="anime-card-info">
             <div class="anime-card-title">${anime.title}</div>
             <div class="anime-card-meta">
-                <span>${anime.type || anime.status || 'Unknown'}</span>
-                ${anime.rating ? `<span class="anime-rating">⭐ ${anime.rating}</span>` : ''}
+                <span>${anime.type || anime.status || t('common.unknown')}</span>
+                ${anime.rating && html`<span class="anime-rating">⭐ ${anime.rating}</span>`}
             </div>
         </div>
-    `;
+    `);
 
     card.addEventListener('click', () => {
+        if (onClick) {
+            onClick(anime);
+            return;
+        }
+
         const slug = anime.slug || anime.link?.split('/').pop();
         if (slug) {
-            loadAnimeDetail(slug);
+            navigate(`/anime/${slug}`);
         }
     });
 
     return card;
 }
 
+function formatDuration(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function renderContinueWatching() {
+    const section = document.getElementById('continueSection');
+    const grid = document.getElementById('continueGrid');
+    const entries = watchHistory.list().filter(entry => entry.lastEpisode);
+
+    document.getElementById('historySyncToggle').checked = watchHistory.isSyncEnabled();
+    section.hidden = entries.length === 0;
+    grid.innerHTML = '';
+
+    entries.slice(0, 12).forEach(entry => {
+        const episode = entry.episodes[entry.lastEpisode] || {};
+        const card = createAnimeCard({
+            title: entry.title || entry.slug,
+            image: entry.image,
+            slug: entry.slug,
+            type: episode.number ? t('common.episode', { number: episode.number }) : t('home.continueCard'),
+        }, () => {
+            navigate(`/episode/${entry.lastEpisode}`);
+        });
+
+        const progress = document.createElement('div');
+        progress.className = 'watch-progress';
+        const ratio = episode.completed ? 1 : (episode.duration ? episode.position / episode.duration : 0);
+        const bar = document.createElement('div');
+        bar.className = 'watch-progress-bar';
+        bar.style.width = `${Math.min(100, Math.round(ratio * 100))}%`;
+        progress.appendChild(bar);
+        card.querySelector('.anime-card-info').appendChild(progress);
+
+        grid.appendChild(card);
+    });
+}
+
 // ==================== PAGE LOADERS ====================
 async function loadHome() {
     switchPage('home');
+    renderContinueWatching();
 
     try {
         const data = await apiClient.getHome();
@@ -347,7 +980,7 @@ async function loadHome() {
             ongoingGrid.appendChild(createAnimeCard(anime));
         });
 
-        showToast('Berhasil memuat home', 'success');
+        showToast(t('home.loaded'), 'success');
     } catch (error) {
         console.error('Error loading home:', error);
     }
@@ -357,16 +990,17 @@ async function loadOngoing(page = 1) {
     switchPage('ongoing');
 
     try {
-        const data = await apiClient.getOngoingAnime(page);
-
-        const list = document.getElementById('ongoingList');
-        list.innerHTML = '';
-        (data.anime || []).forEach(anime => {
-            list.appendChild(createAnimeCard(anime));
+        await renderListing({
+            key: 'ongoing',
+            listId: 'ongoingList',
+            paginationId: 'ongoingPagination',
+            page,
+            type: 'ongoing',
+            fetchPage: async (nextPage) => {
+                const data = await apiClient.getOngoingAnime(nextPage);
+                return { items: data.anime || [], hasNext: data.hasNextPage };
+            },
         });
-
-        // Pagination
-        updatePagination('ongoingPagination', page, data.anime?.length >= 20, 'ongoing');
     } catch (error) {
         console.error('Error loading ongoing:', error);
     }
@@ -374,63 +1008,251 @@ async function loadOngoing(page = 1) {
 
 async function loadComplete(page = 1) {
     switchPage('complete');
+    setCompleteTitle(t('complete.title'), t('complete.subtitle'));
+    loadFilterPanel();
 
     try {
-        const data = await apiClient.getCompleteAnime(page);
-
-        const list = document.getElementById('completeList');
-        list.innerHTML = '';
-        (data.anime || []).forEach(anime => {
-            list.appendChild(createAnimeCard(anime));
+        await renderListing({
+            key: 'complete',
+            listId: 'completeList',
+            paginationId: 'completePagination',
+            page,
+            type: 'complete',
+            fetchPage: async (nextPage) => {
+                const data = await apiClient.getCompleteAnime(nextPage);
+                return { items: data.anime || [], hasNext: data.hasNextPage };
+            },
         });
-
-        // Pagination
-        updatePagination('completePagination', page, data.anime?.length >= 20, 'complete');
     } catch (error) {
         console.error('Error loading complete:', error);
     }
 }
 
-async function loadGenres() {
-    switchPage('genres');
+// ==================== BROWSE FILTER ====================
+const DEFAULT_BROWSE_FILTERS = { genres: [], status: '', type: '', year: '', season: '', studio: '', sort: 'latest' };
+const BROWSE_FILTER_FIELDS = {
+    status: 'filterStatus',
+    type: 'filterType',
+    year: 'filterYear',
+    season: 'filterSeason',
+    studio: 'filterStudio',
+    sort: 'filterSort',
+};
 
-    try {
-        const data = await apiClient.getGenres();
+function getBrowseFilters() {
+    return state.browseFilters || { ...DEFAULT_BROWSE_FILTERS, genres: [] };
+}
 
-        const genresList = document.getElementById('genresList');
-        genresList.innerHTML = '';
+// Query string /api/browse; filter kosong dan sort bawaan tidak ditulis
+function browseQuery(filters, page = 1) {
+    const params = new URLSearchParams();
+    if (filters.genres?.length) params.set('genres', filters.genres.join(','));
+    Object.keys(BROWSE_FILTER_FIELDS).forEach(name => {
+        const value = filters[name];
+        if (value && !(name === 'sort' && value === DEFAULT_BROWSE_FILTERS.sort)) {
+            params.set(name, value);
+        }
+    });
+    if (page > 1) params.set('page', page);
+    return params.toString();
+}
 
-        (data.genres || []).forEach(genre => {
-            const card = document.createElement('div');
-            card.className = 'genre-card';
-            card.innerHTML = `<div class="genre-name">${genre.name}</div>`;
-            card.addEventListener('click', () => loadGenreAnime(genre.slug || genre.name.toLowerCase()));
-            genresList.appendChild(card);
-        });
-    } catch (error) {
-        console.error('Error loading genres:', error);
-    }
+function browsePath(filters, page = 1) {
+    const query = browseQuery(filters, page);
+    return query ? `/browse?${query}` : '/browse';
 }
 
-async function loadGenreAnime(slug, page = 1) {
-    switchPage('complete');
+function filtersFromQuery(query) {
+    const filters = { ...DEFAULT_BROWSE_FILTERS };
+    Object.keys(BROWSE_FILTER_FIELDS).forEach(name => {
+        filters[name] = query.get(name) || DEFAULT_BROWSE_FILTERS[name];
+    });
+    filters.genres = (query.get('genres') || '').split(',').filter(Boolean);
+    return filters;
+}
 
-    try {
-        const data = await apiClient.getGenreAnime(slug, page);
+function setCompleteTitle(title, subtitle) {
+    document.getElementById('completeTitle').textContent = title;
+    document.getElementById('completeSubtitle').textContent = subtitle;
+}
 
-        const list = document.getElementById('completeList');
-        list.innerHTML = '';
-        (data.anime || []).forEach(anime => {
-            list.appendChild(createAnimeCard(anime));
+function renderFilterPanel(facets) {
+    const genres = document.getElementById('filterGenres');
+    genres.innerHTML = '';
+    (facets.genres || []).forEach(({ value, count }) => {
+        const chip = document.createElement('label');
+        chip.className = 'filter-genre';
+        setHtml(chip, html`<input type="checkbox" value="${value}"> ${value.replace(/-/g, ' ')} (${count})`);
+        chip.querySelector('input').addEventListener('change', (e) => {
+            chip.classList.toggle('active', e.target.checked);
+        });
+        genres.appendChild(chip);
+    });
+
+    const years = document.getElementById('filterYear');
+    setHtml(years, html`
+        <option value="">${t('filter.allYears')}</option>
+        ${(facets.years || [])
+            .map(({ value }) => value)
+            .sort((a, b) => b - a)
+            .map(year => html`<option value="${year}">${year}</option>`)}
+    `);
+
+    setHtml(document.getElementById('filterStudios'), (facets.studios || [])
+        .map(({ value }) => html`<option value="${value}"></option>`));
+}
+
+// Isi panel dari state.browseFilters
+function syncFilterPanel() {
+    const filters = getBrowseFilters();
+
+    document.querySelectorAll('#filterGenres input').forEach(input => {
+        input.checked = filters.genres.includes(input.value);
+        input.parentElement.classList.toggle('active', input.checked);
+    });
+    Object.entries(BROWSE_FILTER_FIELDS).forEach(([name, id]) => {
+        document.getElementById(id).value = filters[name] || DEFAULT_BROWSE_FILTERS[name];
+    });
+}
+
+function readFilterPanel() {
+    const filters = { ...DEFAULT_BROWSE_FILTERS };
+    Object.entries(BROWSE_FILTER_FIELDS).forEach(([name, id]) => {
+        filters[name] = document.getElementById(id).value.trim();
+    });
+    filters.genres = [...document.querySelectorAll('#filterGenres input:checked')].map(input => input.value);
+    return filters;
+}
+
+// Facet dari katalog server dimuat sekali, panel disinkronkan tiap kali halaman dibuka
+async function loadFilterPanel() {
+    try {
+        if (!state.browseFacets) {
+            const data = await apiClient.browseAnime({ sort: 'latest' });
+            state.browseFacets = data.facets || {};
+            renderFilterPanel(state.browseFacets);
+        }
+        syncFilterPanel();
+    } catch (error) {
+        console.error('Error loading filter panel:', error);
+    }
+}
+
+async function loadBrowse(filters, page = 1) {
+    switchPage('complete');
+    setCompleteTitle(t('browse.title'), t('browse.subtitle'));
+    state.browseFilters = filters;
+    loadFilterPanel();
+
+    try {
+        await renderListing({
+            key: `browse?${browseQuery(filters)}`,
+            listId: 'completeList',
+            paginationId: 'completePagination',
+            page,
+            type: 'browse',
+            param: filters,
+            fetchPage: async (nextPage) => {
+                const data = await apiClient.browseAnime(filters, nextPage);
+                return { items: data.anime || [], hasNext: data.hasNextPage };
+            },
+            empty: html`<div class="library-empty">${t('browse.empty')}</div>`,
         });
+    } catch (error) {
+        console.error('Error loading browse:', error);
+    }
+}
 
+async function loadGenres() {
+    switchPage('genres');
+
+    try {
+        const data = await apiClient.getGenres();
+
+        const genresList = document.getElementById('genresList');
+        genresList.innerHTML = '';
+
+        (data.genres || []).forEach(genre => {
+            const card = document.createElement('div');
+            card.className = 'genre-card';
+            setHtml(card, html`<div class="genre-name">${genre.name}</div>`);
+            card.addEventListener('click', () => navigate(`/genre/${genre.slug || genre.name.toLowerCase()}`));
+            genresList.appendChild(card);
+        });
+    } catch (error) {
+        console.error('Error loading genres:', error);
+    }
+}
+
+async function loadGenreAnime(slug, page = 1) {
+    switchPage('complete');
+    setCompleteTitle(t('genre.title', { name: slug.replace(/-/g, ' ') }), t('genre.subtitle'));
+    state.browseFilters = { ...getBrowseFilters(), genres: [slug] };
+    loadFilterPanel();
+
+    try {
         state.currentGenre = slug;
-        updatePagination('completePagination', page, data.hasNextPage, 'genre', slug);
+        await renderListing({
+            key: `genre/${slug}`,
+            listId: 'completeList',
+            paginationId: 'completePagination',
+            page,
+            type: 'genre',
+            param: slug,
+            fetchPage: async (nextPage) => {
+                const data = await apiClient.getGenreAnime(slug, nextPage);
+                return { items: data.anime || [], hasNext: data.hasNextPage };
+            },
+        });
     } catch (error) {
         console.error('Error loading genre anime:', error);
     }
 }
 
+// Key hari dari upstream; nama yang ditampilkan ada di katalog pesan (schedule.day.<hari>)
+const SCHEDULE_DAYS = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
+// Date#getDay() -> nama hari jadwal
+const WEEKDAY_TO_DAY = ['minggu', 'senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu'];
+
+function formatCountdown(airsAt) {
+    const diff = new Date(airsAt).getTime() - Date.now();
+    if (diff <= 0) return t('schedule.airing');
+
+    const minutes = Math.ceil(diff / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return t('schedule.inDays', { days, hours });
+    if (hours > 0) return t('schedule.inHours', { hours, minutes: minutes % 60 });
+    return t('schedule.inMinutes', { minutes });
+}
+
+function updateScheduleCountdowns() {
+    document.querySelectorAll('#scheduleContainer [data-airs-at]').forEach(el => {
+        el.textContent = formatCountdown(el.dataset.airsAt);
+    });
+}
+
+// Kelompokkan ulang per hari di zona waktu viewer; jadwal tanpa jam tetap di hari aslinya
+function groupScheduleByLocalDay(schedule) {
+    const groups = Object.fromEntries(SCHEDULE_DAYS.map(day => [day, []]));
+    SCHEDULE_DAYS.forEach(day => {
+        (schedule[day] || []).forEach(anime => {
+            const localDay = anime.airsAt ? WEEKDAY_TO_DAY[new Date(anime.airsAt).getDay()] : day;
+            groups[localDay].push(anime);
+        });
+    });
+
+    const minuteOfDay = (anime) => {
+        if (!anime.airsAt) return Infinity;
+        const date = new Date(anime.airsAt);
+        return date.getHours() * 60 + date.getMinutes();
+    };
+    Object.values(groups).forEach(items => {
+        items.sort((a, b) => (minuteOfDay(a) === minuteOfDay(b) ? 0 : minuteOfDay(a) - minuteOfDay(b)));
+    });
+    return groups;
+}
+
 async function loadSchedule() {
     switchPage('schedule');
 
@@ -439,45 +1261,52 @@ async function loadSchedule() {
         const container = document.getElementById('scheduleContainer');
         container.innerHTML = '';
 
-        const days = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
-        const dayNames = {
-            senin: 'Senin',
-            selasa: 'Selasa',
-            rabu: 'Rabu',
-            kamis: 'Kamis',
-            jumat: 'Jumat',
-            sabtu: 'Sabtu',
-            minggu: 'Minggu'
-        };
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        document.getElementById('scheduleTimezone').textContent =
+            t('schedule.timezone', { timeZone });
+
+        // Hari ini di urutan pertama
+        const today = WEEKDAY_TO_DAY[new Date().getDay()];
+        const todayIndex = SCHEDULE_DAYS.indexOf(today);
+        const days = [...SCHEDULE_DAYS.slice(todayIndex), ...SCHEDULE_DAYS.slice(0, todayIndex)];
+        const groups = groupScheduleByLocalDay(data.schedule || {});
 
         days.forEach(day => {
-            const dayAnime = data.schedule[day] || [];
+            const dayAnime = groups[day];
             if (dayAnime.length === 0) return;
 
             const daySection = document.createElement('div');
-            daySection.className = 'schedule-day';
+            daySection.className = `schedule-day${day === today ? ' today' : ''}`;
 
             const title = document.createElement('div');
             title.className = 'schedule-day-title';
-            title.innerHTML = `📅 ${dayNames[day]}`;
+            setHtml(title, html`📅 ${t(`schedule.day.${day}`)}${day === today && html` <span class="schedule-today-badge">${t('schedule.today')}</span>`}`);
             daySection.appendChild(title);
 
             const items = document.createElement('div');
             items.className = 'schedule-items';
 
             dayAnime.forEach(anime => {
+                const time = anime.airsAt
+                    ? new Date(anime.airsAt).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' })
+                    : anime.time;
+
                 const item = document.createElement('div');
                 item.className = 'schedule-item';
-                item.innerHTML = `
-                    ${anime.image ? `<img src="${anime.image}" alt="${anime.title}" class="schedule-item-image">` : '<div style="width:60px;height:85px;background:#333;border-radius:6px;"></div>'}
+                const image = imageUrl(anime.image, 120);
+                setHtml(item, html`
+                    ${image
+                        ? html`<img src="${image}" data-fallback="${POSTER_PLACEHOLDER}" alt="${anime.title}" class="schedule-item-image" loading="lazy" decoding="async">`
+                        : html`<div class="schedule-item-placeholder"></div>`}
                     <div class="schedule-item-content">
                         <div class="schedule-item-title">${anime.title}</div>
-                        ${anime.time ? `<div class="schedule-item-time">⏰ ${anime.time}</div>` : ''}
+                        ${time && html`<div class="schedule-item-time">⏰ ${time}</div>`}
+                        ${anime.airsAt && html`<div class="schedule-item-countdown" data-airs-at="${anime.airsAt}">${formatCountdown(anime.airsAt)}</div>`}
                     </div>
-                `;
+                `);
                 item.addEventListener('click', () => {
-                    const slug = anime.link?.split('/').pop();
-                    if (slug) loadAnimeDetail(slug);
+                    const slug = anime.slug || anime.link?.split('/').pop();
+                    if (slug) navigate(`/anime/${slug}`);
                 });
                 items.appendChild(item);
             });
@@ -485,36 +1314,130 @@ async function loadSchedule() {
             daySection.appendChild(items);
             container.appendChild(daySection);
         });
+
+        clearInterval(state.scheduleTimer);
+        state.scheduleTimer = setInterval(updateScheduleCountdowns, 60 * 1000);
     } catch (error) {
         console.error('Error loading schedule:', error);
     }
 }
 
-async function searchAnime(query) {
-    if (query.length < 2) {
-        showToast('Minimal 2 karakter untuk pencarian', 'error');
-        return;
-    }
+// Label tiap status ada di katalog pesan (library.<status>)
+const LIBRARY_STATUSES = ['watching', 'plan_to_watch', 'completed', 'dropped'];
 
-    switchPage('search');
-    document.getElementById('searchTerm').textContent = query;
+async function loadLibrary(status = state.libraryStatus) {
+    switchPage('library');
+    state.libraryStatus = status;
+
+    document.querySelectorAll('#libraryTabs [data-status]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.status === status);
+    });
 
     try {
-        const data = await apiClient.searchAnime(query);
+        const data = await apiClient.getLibrary();
+
+        // Jumlah per status di setiap tab
+        document.querySelectorAll('#libraryTabs [data-status]').forEach(tab => {
+            const count = tab.dataset.status === 'all' ? data.total : data.counts[tab.dataset.status];
+            let badge = tab.querySelector('.library-count');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'library-count';
+                tab.appendChild(badge);
+            }
+            badge.textContent = `(${count || 0})`;
+        });
 
-        const results = document.getElementById('searchResults');
-        results.innerHTML = '';
+        const list = document.getElementById('libraryList');
+        list.innerHTML = '';
 
-        if (data.results.length === 0) {
-            results.innerHTML = '<div style="text-align:center;padding:2rem;color:#B0B5C1;">Tidak ada hasil yang ditemukan</div>';
+        const items = status === 'all' ? data.items : data.items.filter(item => item.status === status);
+        if (items.length === 0) {
+            setHtml(list, html`<div class="library-empty">${t('library.empty')}</div>`);
             return;
         }
 
-        data.results.forEach(anime => {
-            results.appendChild(createAnimeCard(anime));
+        items.forEach(item => {
+            list.appendChild(createAnimeCard({
+                title: item.title,
+                image: item.image,
+                slug: item.slug,
+                type: t(`library.${item.status}`),
+            }));
         });
+    } catch (error) {
+        console.error('Error loading library:', error);
+    }
+}
+
+async function renderLibraryActions(anime) {
+    const select = document.getElementById('libraryStatus');
+    if (!select) return;
+
+    const updatePlaceholder = () => {
+        select.options[0].textContent = select.value ? t('library.remove') : t('library.add');
+        // Sama dengan FOLLOWED_STATUSES di server: status ini mendapat notifikasi episode baru
+        document.getElementById('libraryFollowHint').textContent =
+            ['watching', 'plan_to_watch'].includes(select.value) ? t('library.followHint') : '';
+    };
+
+    try {
+        const item = await apiClient.getLibraryItem(anime.slug);
+        select.value = item.status;
+    } catch (error) {
+        // 404: belum ada di daftar
+        select.value = '';
+    }
+    updatePlaceholder();
+
+    select.addEventListener('change', async () => {
+        updatePlaceholder();
+        try {
+            if (select.value) {
+                await apiClient.saveLibraryItem(anime.slug, {
+                    status: select.value,
+                    title: anime.title,
+                    image: anime.image,
+                    type: anime.type,
+                });
+                showToast(t('library.added', { status: t(`library.${select.value}`) }), 'success');
+            } else {
+                await apiClient.deleteLibraryItem(anime.slug);
+                showToast(t('library.removed'), 'success');
+            }
+        } catch (error) {
+            console.error('Error updating library:', error);
+        }
+    });
+}
 
-        showToast(`Ditemukan ${data.count} hasil`, 'success');
+async function searchAnime(query, page = 1) {
+    if (query.length < 2) {
+        showToast(t('search.tooShort'), 'error');
+        return;
+    }
+
+    switchPage('search');
+    document.getElementById('searchTerm').textContent = query;
+    if (page === 1) searchSuggest.remember(query);
+
+    try {
+        await renderListing({
+            key: `search/${query}`,
+            listId: 'searchResults',
+            paginationId: 'searchPagination',
+            page,
+            type: 'search',
+            param: query,
+            fetchPage: async (nextPage) => {
+                const data = await apiClient.searchAnime(query, nextPage);
+                if (nextPage === page && data.results.length > 0) {
+                    showToast(t('search.found', { count: data.count }), 'success');
+                }
+                return { items: data.results, hasNext: data.hasNextPage };
+            },
+            empty: html`<div class="search-empty">${t('search.empty')}</div>`,
+        });
     } catch (error) {
         console.error('Error searching anime:', error);
     }
@@ -525,61 +1448,483 @@ async function loadAnimeDetail(slug) {
 
     try {
         const data = await apiClient.getAnimeDetail(slug);
+        state.currentAnime = { ...data, slug };
 
         const container = document.getElementById('detailContent');
-        container.innerHTML = `
+        const episodes = data.episodes || [];
+        setHtml(container, html`
             <div class="detail-header">
                 <div class="detail-poster">
-                    <img src="${data.image || 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22200%22 height=%22300%22%3E%3Crect fill=%22%23222%22 width=%22200%22 height=%22300%22/%3E%3C/svg%3E'}" 
-                         alt="${data.title}" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22200%22 height=%22300%22%3E%3Crect fill=%22%23222%22 width=%22200%22 height=%22300%22/%3E%3C/svg%3E'">
+                    <img src="${imageUrl(data.image, 480) || POSTER_PLACEHOLDER}" srcset="${imageSrcset(data.image)}"
+                         sizes="(max-width: 768px) 150px, 200px"
+                         data-fallback="${POSTER_PLACEHOLDER}" alt="${data.title}" decoding="async">
                 </div>
                 <div class="detail-info">
                     <h1>${data.title}</h1>
                     <div class="detail-meta">
-                        ${data.type ? `<div class="meta-item"><div class="meta-label">Tipe</div><div class="meta-value">${data.type}</div></div>` : ''}
-                        ${data.status ? `<div class="meta-item"><div class="meta-label">Status</div><div class="meta-value">${data.status}</div></div>` : ''}
-                        ${data.rating ? `<div class="meta-item"><div class="meta-label">Rating</div><div class="meta-value">⭐ ${data.rating}</div></div>` : ''}
-                        ${data.year ? `<div class="meta-item"><div class="meta-label">Tahun</div><div class="meta-value">${data.year}</div></div>` : ''}
+                        ${data.type && html`<div class="meta-item"><div class="meta-label">${t('detail.type')}</div><div class="meta-value">${data.type}</div></div>`}
+                        ${data.status && html`<div class="meta-item"><div class="meta-label">${t('detail.status')}</div><div class="meta-value">${data.status}</div></div>`}
+                        ${data.rating && html`<div class="meta-item"><div class="meta-label">${t('detail.rating')}</div><div class="meta-value">⭐ ${data.rating}</div></div>`}
+                        ${data.year && html`<div class="meta-item"><div class="meta-label">${t('detail.year')}</div><div class="meta-value">${data.year}</div></div>`}
+                    </div>
+                    <div class="library-actions">
+                        <select id="libraryStatus" aria-label="${t('library.statusLabel')}">
+                            <option value="">${t('library.add')}</option>
+                            ${LIBRARY_STATUSES.map(status => html`<option value="${status}">${t(`library.${status}`)}</option>`)}
+                        </select>
+                        <span class="library-follow-hint" id="libraryFollowHint"></span>
+                        <a class="feed-link" href="/feeds/anime/${encodeURIComponent(slug)}.xml" target="_blank" rel="noopener" title="${t('detail.rssTitle')}">📡 RSS</a>
                     </div>
-                    ${data.synopsis ? `<div class="detail-synopsis">${data.synopsis}</div>` : ''}
-                    ${data.genres?.length > 0 ? `
+                    ${data.synopsis && html`<div class="detail-synopsis">${data.synopsis}</div>`}
+                    ${data.genres?.length > 0 && html`
                         <div class="genres-list">
-                            ${data.genres.map(genre => `<span class="genre-tag">${genre}</span>`).join('')}
+                            ${data.genres.map(genre => html`<span class="genre-tag">${genre}</span>`)}
                         </div>
-                    ` : ''}
+                    `}
                 </div>
             </div>
 
-            ${data.episodes && data.episodes.length > 0 ? `
+            ${episodes.length > 0 && html`
                 <div class="episodes-section">
-                    <h2 style="margin-bottom:1rem;font-size:1.3rem;color:#FF006E;">Episodes</h2>
+                    <h2 class="episodes-title">${t('detail.episodes')}</h2>
                     <div class="episodes-grid">
-                        ${data.episodes.map((ep, idx) => `
-                            <div class="episode-item" onclick="playEpisode('${ep.link || ''}', ${idx + 1})">
+                        ${episodes.map((ep, idx) => {
+                            const progress = watchHistory.getEpisode(slug, getEpisodeSlugFromLink(ep.link));
+                            const status = progress?.completed ? 'watched' : (progress ? 'in-progress' : '');
+                            return html`
+                            <div class="episode-item ${status}" data-episode-index="${idx}">
                                 <div class="episode-number">${idx + 1}</div>
                                 <div class="episode-info">
-                                    <div class="episode-title">${ep.title || `Episode ${idx + 1}`}</div>
+                                    <div class="episode-title">${ep.title || t('common.episode', { number: idx + 1 })}</div>
+                                    ${progress?.completed && html`<div class="episode-date">${t('detail.watched')}</div>`}
+                                    ${progress && !progress.completed && html`<div class="episode-date">${t('detail.lastWatched', { time: formatDuration(progress.position) })}</div>`}
                                 </div>
                                 <div class="play-icon">▶</div>
                             </div>
-                        `).join('')}
+                        `;
+                        })}
                     </div>
                 </div>
-            ` : ''}
-        `;
+            `}
+        `);
+
+        // Link episode tidak pernah masuk ke markup; diambil dari data saat diklik
+        container.querySelectorAll('.episode-item').forEach(item => {
+            const idx = Number(item.dataset.episodeIndex);
+            item.addEventListener('click', () => playEpisode(episodes[idx].link || '', idx + 1));
+        });
 
-        window.scrollTo(0, 0);
+        renderLibraryActions(state.currentAnime);
     } catch (error) {
         console.error('Error loading anime detail:', error);
     }
 }
 
+// ==================== VIDEO PLAYER ====================
+// Server ID upstream berbentuk huruf besar, angka dan strip (lihat /api/stream/:id)
+function getServerIdFromLink(link) {
+    if (!link) return null;
+
+    const serverMatch = link.match(/\/server\/([A-Za-z0-9-]+)/);
+    const id = serverMatch ? serverMatch[1] : link.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+    return id ? id.toUpperCase() : null;
+}
+
+function getEpisodeSlugFromLink(link) {
+    return link ? link.split(/[?#]/)[0].split('/').filter(Boolean).pop() : null;
+}
+
+// Episode dengan slug valid dibuka lewat route #/episode/:slug
 function playEpisode(link, episodeNum) {
-    showToast(`Playing Episode ${episodeNum}`, 'success');
-    // Integrasi dengan player bisa ditambahkan di sini
-    if (link) {
-        console.log('Playing:', link);
+    const slug = getEpisodeSlugFromLink(link);
+    if (slug && slug.match(/^[a-z0-9-]+$/)) {
+        navigate(`/episode/${slug}`);
+        return;
+    }
+
+    // Fallback: link episode langsung menunjuk ke server
+    const serverId = getServerIdFromLink(link);
+    if (!serverId) {
+        showToast(t('player.noServer'), 'error');
+        return;
+    }
+
+    const anime = resolveAnimeInfo(state.currentAnime?.slug);
+    openPlayer({
+        title: [anime?.title, t('common.episode', { number: episodeNum })].filter(Boolean).join(' - '),
+        servers: [{ id: serverId, label: t('player.server', { number: 1 }) }],
+        anime,
+    });
+}
+
+// Info anime (judul & poster) dari halaman detail, player, atau riwayat
+function resolveAnimeInfo(slug) {
+    if (!slug) return null;
+
+    const sources = [state.currentAnime, state.player?.anime, watchHistory.get(slug)];
+    const match = sources.find(anime => anime?.slug === slug);
+    return { slug, title: match?.title, image: match?.image };
+}
+
+async function playEpisodeBySlug(slug) {
+    try {
+        const episode = await apiClient.getEpisode(slug);
+        if (episode.servers?.length > 0) {
+            openEpisode(episode);
+            return;
+        }
+    } catch (error) {
+        console.error('Error loading episode:', error);
+    }
+
+    // Slug episode bukan server ID; tampilkan player kosong dengan pesan tidak ada server
+    openPlayer({
+        title: slug,
+        servers: [],
+        episode: { slug },
+        anime: resolveAnimeInfo(state.currentAnime?.slug || state.player?.anime?.slug),
+    });
+}
+
+// Ratakan server per kualitas dari /api/episode/:slug menjadi daftar server player
+function openEpisode(episode) {
+    const servers = [];
+    (episode.servers || []).forEach(group => {
+        group.servers.forEach(server => {
+            servers.push({
+                id: server.id,
+                label: `${server.name || 'Server'} ${group.quality}`,
+                quality: group.quality,
+            });
+        });
+    });
+
+    const anime = resolveAnimeInfo(episode.animeSlug || state.currentAnime?.slug);
+    openPlayer({ title: episode.title, servers, episode, anime });
+}
+
+/**
+ * Buka halaman player. Setiap server di-resolve lewat /api/stream/:id saat
+ * dipilih; jika embed gagal dimuat, player otomatis pindah ke embed atau
+ * server berikutnya.
+ */
+function openPlayer({ title, servers, episode = null, anime = null }) {
+    stopPlayer();
+    switchPage('player');
+
+    state.player = {
+        title,
+        episode,
+        anime,
+        progress: null,
+        trackTimer: null,
+        hasPlayerTime: false,
+        servers: servers.map(server => ({ ...server, embeds: null, failed: false })),
+        quality: state.player?.quality || 'auto',
+        serverIndex: -1,
+        embeds: [],
+        embedIndex: -1,
+        loadTimer: null,
+    };
+
+    document.getElementById('playerTitle').textContent = title;
+    renderPlayerQualities();
+    renderPlayerEpisodeNav();
+    restoreWatchProgress();
+
+    const first = getPlayableServerIndexes()[0];
+    if (first === undefined) {
+        showPlayerStatus(t(servers.length === 0 ? 'player.noServer' : 'player.noQuality'));
+        renderPlayerServers();
+        return;
+    }
+    loadPlayerServer(first);
+}
+
+function stopPlayer() {
+    if (state.player) {
+        clearTimeout(state.player.loadTimer);
+        clearInterval(state.player.trackTimer);
+        state.player.trackTimer = null;
+    }
+
+    const frame = document.getElementById('playerFrame');
+    if (frame) {
+        frame.onload = null;
+        frame.removeAttribute('src');
+    }
+}
+
+function matchesQuality(qualities, wanted) {
+    if (wanted === 'auto' || !qualities || qualities.length === 0) return true;
+    return qualities.includes(wanted) || qualities.includes('auto');
+}
+
+function getPlayableServerIndexes() {
+    const player = state.player;
+    return player.servers
+        .map((server, idx) => idx)
+        .filter(idx => matchesQuality(player.servers[idx].quality && [player.servers[idx].quality], player.quality));
+}
+
+async function loadPlayerServer(index) {
+    const player = state.player;
+    const server = player.servers[index];
+
+    clearTimeout(player.loadTimer);
+    player.serverIndex = index;
+    player.embeds = [];
+    player.embedIndex = -1;
+    renderPlayerServers();
+    showPlayerStatus(t('player.loadingServer', { server: server.label }));
+
+    if (!server.embeds) {
+        try {
+            const stream = await apiClient.getStream(server.id);
+            server.embeds = stream.players || [];
+            server.qualities = stream.quality || [];
+        } catch (error) {
+            console.error(`Error loading stream ${server.id}:`, error);
+            server.embeds = [];
+        }
+    }
+
+    // Player sudah ditutup atau diganti selama request berjalan
+    if (state.player !== player || player.serverIndex !== index) return;
+
+    renderPlayerQualities();
+    player.embeds = server.embeds.filter(embed => matchesQuality(embed.quality, player.quality));
+    if (player.embeds.length === 0) {
+        fallbackPlayer();
+        return;
+    }
+
+    loadPlayerEmbed(0);
+}
+
+function loadPlayerEmbed(index) {
+    const player = state.player;
+    const embed = player.embeds[index];
+    const frame = document.getElementById('playerFrame');
+
+    player.embedIndex = index;
+    showPlayerStatus(t('player.loadingVideo'));
+
+    clearTimeout(player.loadTimer);
+    player.loadTimer = setTimeout(fallbackPlayer, CONFIG.PLAYER_LOAD_TIMEOUT);
+
+    frame.onload = () => {
+        clearTimeout(player.loadTimer);
+        showPlayerStatus(null);
+        startWatchTracking();
+    };
+    frame.onerror = fallbackPlayer;
+
+    const source = safeUrl(embed.source);
+    if (!source) {
+        fallbackPlayer();
+        return;
+    }
+    frame.src = source;
+}
+
+// Pindah ke embed berikutnya di server yang sama, lalu ke server berikutnya
+function fallbackPlayer() {
+    const player = state.player;
+    if (!player || state.currentPage !== 'player') return;
+
+    clearTimeout(player.loadTimer);
+
+    if (player.embedIndex + 1 < player.embeds.length) {
+        loadPlayerEmbed(player.embedIndex + 1);
+        return;
+    }
+
+    const current = player.servers[player.serverIndex];
+    current.failed = true;
+
+    const next = getPlayableServerIndexes().find(idx => idx > player.serverIndex && !player.servers[idx].failed);
+    if (next !== undefined) {
+        showToast(t('player.serverFailed', { failed: current.label, next: player.servers[next].label }), 'error');
+        loadPlayerServer(next);
+        return;
+    }
+
+    renderPlayerServers();
+    stopPlayer();
+    showPlayerStatus(t('player.allFailed'));
+}
+
+// ==================== WATCH PROGRESS ====================
+function canTrackProgress() {
+    const player = state.player;
+    return Boolean(player?.anime?.slug && player.episode?.slug);
+}
+
+function restoreWatchProgress() {
+    if (!canTrackProgress()) return;
+
+    const { anime, episode } = state.player;
+    const saved = watchHistory.getEpisode(anime.slug, episode.slug);
+    state.player.progress = saved ? { position: saved.position, duration: saved.duration } : { position: 0, duration: 0 };
+    watchHistory.updateProgress(anime, episode, {});
+
+    if (saved && !saved.completed && saved.position > 30) {
+        showToast(t('player.resume', { time: formatDuration(saved.position) }), 'success');
+    }
+}
+
+/**
+ * Embed lintas domain tidak bisa dibaca langsung, jadi posisi diperkirakan
+ * dari waktu menonton. Jika player mengirim postMessage timeupdate, posisi
+ * asli dari player yang dipakai.
+ */
+function startWatchTracking() {
+    const player = state.player;
+    if (!canTrackProgress() || player.trackTimer) return;
+
+    const saved = player.progress;
+    if (saved?.position > 30) {
+        const frame = document.getElementById('playerFrame');
+        frame.contentWindow?.postMessage({ event: 'seek', time: saved.position }, '*');
     }
+
+    player.trackTimer = setInterval(() => {
+        if (document.visibilityState !== 'visible' || player.hasPlayerTime) return;
+        recordWatchProgress({ position: (player.progress?.position || 0) + CONFIG.HISTORY_TICK / 1000 });
+    }, CONFIG.HISTORY_TICK);
+}
+
+function recordWatchProgress({ position, duration }) {
+    const player = state.player;
+    if (!canTrackProgress()) return;
+
+    const progress = {
+        position,
+        duration: duration || player.progress?.duration || 0,
+    };
+    if (progress.duration > 0 && position / progress.duration >= CONFIG.HISTORY_COMPLETE_RATIO) {
+        progress.completed = true;
+    }
+
+    player.progress = progress;
+    watchHistory.updateProgress(player.anime, player.episode, progress);
+}
+
+function markEpisodeCompleted() {
+    const player = state.player;
+    if (!canTrackProgress()) return;
+
+    watchHistory.updateProgress(player.anime, player.episode, { completed: true });
+    showToast(t('player.marked'), 'success');
+}
+
+function handlePlayerMessage(event) {
+    const frame = document.getElementById('playerFrame');
+    if (!state.player || event.source !== frame?.contentWindow) return;
+
+    let data = event.data;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+    }
+
+    const type = data?.event || data?.type;
+    const position = data?.currentTime ?? data?.time;
+    if (type !== 'timeupdate' || !Number.isFinite(position)) return;
+
+    state.player.hasPlayerTime = true;
+    recordWatchProgress({ position, duration: Number.isFinite(data.duration) ? data.duration : 0 });
+}
+
+function showPlayerStatus(message) {
+    const status = document.getElementById('playerStatus');
+    status.textContent = message || '';
+    status.classList.toggle('active', Boolean(message));
+}
+
+function renderPlayerServers() {
+    const player = state.player;
+    const container = document.getElementById('playerServers');
+    container.innerHTML = '';
+
+    getPlayableServerIndexes().forEach(idx => {
+        const server = player.servers[idx];
+        const btn = document.createElement('button');
+        btn.className = 'pagination-btn';
+        btn.textContent = server.label;
+        btn.classList.toggle('active', idx === player.serverIndex);
+        btn.classList.toggle('failed', server.failed);
+        btn.addEventListener('click', () => {
+            server.failed = false;
+            loadPlayerServer(idx);
+        });
+        container.appendChild(btn);
+    });
+}
+
+function renderPlayerEpisodeNav() {
+    const episode = state.player.episode;
+    const prevBtn = document.getElementById('playerPrev');
+    const nextBtn = document.getElementById('playerNext');
+
+    prevBtn.hidden = !episode?.prevEpisode;
+    nextBtn.hidden = !episode?.nextEpisode;
+}
+
+function renderPlayerQualities() {
+    const player = state.player;
+    const select = document.getElementById('playerQuality');
+
+    const qualities = new Set(['auto']);
+    player.servers.forEach(server => {
+        if (server.quality) qualities.add(server.quality);
+        (server.qualities || []).forEach(quality => qualities.add(quality));
+    });
+
+    // Pilihan kualitas disembunyikan jika tidak ada kualitas selain "auto" yang diketahui
+    select.closest('.player-quality').hidden = qualities.size <= 1;
+    select.innerHTML = '';
+    qualities.forEach(quality => {
+        const option = document.createElement('option');
+        option.value = quality;
+        option.textContent = quality === 'auto' ? t('player.auto') : quality;
+        option.selected = quality === player.quality;
+        select.appendChild(option);
+    });
+}
+
+function changePlayerQuality(quality) {
+    const player = state.player;
+    if (!player) return;
+
+    player.quality = quality;
+    player.servers.forEach(server => {
+        server.failed = false;
+    });
+
+    const playable = getPlayableServerIndexes();
+    const target = playable.includes(player.serverIndex) ? player.serverIndex : playable[0];
+    if (target === undefined) {
+        stopPlayer();
+        renderPlayerServers();
+        showPlayerStatus(t('player.noQuality'));
+        return;
+    }
+    loadPlayerServer(target);
+}
+
+function getPaginationPath(type, param, page) {
+    if (type === 'browse') return browsePath(param, page);
+
+    const base = {
+        genre: `/genre/${param}`,
+        search: `/search/${encodeURIComponent(param)}`,
+    }[type] || `/${type}`;
+    return page > 1 ? `${base}?page=${page}` : base;
 }
 
 function updatePagination(containerId, currentPage, hasNext, type = '', param = '') {
@@ -589,63 +1934,588 @@ function updatePagination(containerId, currentPage, hasNext, type = '', param =
     if (currentPage > 1) {
         const prevBtn = document.createElement('button');
         prevBtn.className = 'pagination-btn';
-        prevBtn.textContent = '← Sebelumnya';
+        prevBtn.textContent = t('pagination.prev');
         prevBtn.addEventListener('click', () => {
-            if (type === 'ongoing') loadOngoing(currentPage - 1);
-            else if (type === 'complete') loadComplete(currentPage - 1);
-            else if (type === 'genre') loadGenreAnime(param, currentPage - 1);
-            window.scrollTo(0, 0);
+            navigate(getPaginationPath(type, param, currentPage - 1));
         });
         container.appendChild(prevBtn);
     }
 
     const pageInfo = document.createElement('span');
     pageInfo.style.alignSelf = 'center';
-    pageInfo.textContent = `Halaman ${currentPage}`;
+    pageInfo.textContent = t('pagination.page', { page: currentPage });
     container.appendChild(pageInfo);
 
     if (hasNext) {
         const nextBtn = document.createElement('button');
         nextBtn.className = 'pagination-btn';
-        nextBtn.textContent = 'Selanjutnya →';
+        nextBtn.textContent = t('pagination.next');
         nextBtn.addEventListener('click', () => {
-            if (type === 'ongoing') loadOngoing(currentPage + 1);
-            else if (type === 'complete') loadComplete(currentPage + 1);
-            else if (type === 'genre') loadGenreAnime(param, currentPage + 1);
-            window.scrollTo(0, 0);
+            navigate(getPaginationPath(type, param, currentPage + 1));
         });
         container.appendChild(nextBtn);
     }
 }
 
+// ==================== SEARCH SUGGESTIONS ====================
+// Dropdown saran di kolom pencarian: judul dari /api/suggest (katalog + cache server,
+// tidak memakai kuota pencarian upstream) dan pencarian terakhir saat kolom masih kosong
+class SearchSuggest {
+    constructor(storageKey = `${CONFIG.STORAGE_PREFIX}:recent-searches`) {
+        this.storageKey = storageKey;
+        this.input = null;
+        this.list = null;
+        this.options = [];
+        this.active = -1;
+        this.timer = null;
+        this.requestId = 0;
+        // Hasil per query selama sesi, supaya menghapus huruf tidak memicu request ulang
+        this.results = new Map();
+    }
+
+    attach(input, list) {
+        this.input = input;
+        this.list = list;
+
+        input.addEventListener('input', () => this.schedule());
+        input.addEventListener('focus', () => this.schedule(0));
+        input.addEventListener('keydown', (e) => this.handleKey(e));
+        input.addEventListener('blur', () => this.close());
+        // mousedown di dropdown tidak boleh memindahkan fokus (blur menutup dropdown sebelum click)
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove]');
+            if (remove) {
+                this.forget(remove.dataset.remove);
+                this.update();
+                return;
+            }
+            const option = e.target.closest('[data-index]');
+            if (option) this.select(this.options[Number(option.dataset.index)]);
+        });
+    }
+
+    getRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    remember(query) {
+        const recent = this.getRecent().filter(item => item.toLowerCase() !== query.toLowerCase());
+        localStorage.setItem(this.storageKey, JSON.stringify([query, ...recent].slice(0, CONFIG.RECENT_SEARCHES)));
+    }
+
+    forget(query) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.getRecent().filter(item => item !== query)));
+    }
+
+    schedule(delay = CONFIG.SUGGEST_DEBOUNCE) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), delay);
+    }
+
+    async update() {
+        const query = this.input.value.trim();
+        const requestId = ++this.requestId;
+
+        if (query.length < 2) {
+            this.show(this.getRecent().map(recent => ({ kind: 'recent', query: recent })));
+            return;
+        }
+
+        const key = query.toLowerCase();
+        if (!this.results.has(key)) {
+            try {
+                const data = await apiClient.getSuggestions(query);
+                this.results.set(key, data.suggestions || []);
+            } catch (error) {
+                console.error('Error loading suggestions:', error);
+                return;
+            }
+        }
+        // Jawaban untuk ketikan yang sudah lewat diabaikan
+        if (requestId !== this.requestId || document.activeElement !== this.input) return;
+
+        this.show([
+            ...this.results.get(key).map(anime => ({ kind: 'anime', anime })),
+            { kind: 'search', query },
+        ]);
+    }
+
+    show(options) {
+        this.options = options;
+        this.active = -1;
+        this.render();
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.requestId++;
+        this.show([]);
+    }
+
+    move(step) {
+        if (this.options.length === 0) return;
+        // -1 = kembali ke kolom input
+        const total = this.options.length + 1;
+        this.active = ((this.active + 1 + step + total) % total) - 1;
+        this.render();
+    }
+
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.options.length === 0) {
+                this.update();
+                return;
+            }
+            this.move(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const option = this.options[this.active];
+            this.select(option || { kind: 'search', query: this.input.value.trim() });
+        } else if (e.key === 'Escape' && this.options.length > 0) {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    select(option) {
+        if (!option) return;
+
+        this.close();
+        if (option.kind === 'anime') {
+            this.input.value = '';
+            this.input.blur();
+            navigate(`/anime/${option.anime.slug}`);
+            return;
+        }
+
+        const query = option.query.trim();
+        if (!query) return;
+        this.input.value = query;
+        this.input.blur();
+        navigate(`/search/${encodeURIComponent(query)}`);
+    }
+
+    renderOption(option, idx) {
+        const selected = idx === this.active;
+        const attrs = html`id="searchSuggest-${idx}" role="option" aria-selected="${String(selected)}" data-index="${idx}"`;
+
+        if (option.kind === 'anime') {
+            const { anime } = option;
+            return html`
+                <li class="search-suggest-item${selected ? ' active' : ''}" ${attrs}>
+                    <img src="${imageUrl(anime.image, 120) || POSTER_PLACEHOLDER}" data-fallback="${POSTER_PLACEHOLDER}"
+                         alt="" loading="lazy" decoding="async">
+                    <span class="search-suggest-text">
+                        <span class="search-suggest-title">${anime.title}</span>
+                        <span class="search-suggest-meta">${[anime.type, anime.episode].filter(Boolean).join(' · ')}</span>
+                    </span>
+                </li>
+            `;
+        }
+
+        if (option.kind === 'recent') {
+            return html`
+                <li class="search-suggest-item search-suggest-recent${selected ? ' active' : ''}" ${attrs}>
+                    <span class="search-suggest-icon">🕘</span>
+                    <span class="search-suggest-text search-suggest-title">${option.query}</span>
+                    <button type="button" class="search-suggest-remove" data-remove="${option.query}"
+                            aria-label="${t('suggest.removeRecent')}" tabindex="-1">✕</button>
+                </li>
+            `;
+        }
+
+        return html`
+            <li class="search-suggest-item search-suggest-all${selected ? ' active' : ''}" ${attrs}>
+                <span class="search-suggest-icon">🔍</span>
+                <span class="search-suggest-text">${t('suggest.searchFor', { query: option.query })}</span>
+            </li>
+        `;
+    }
+
+    render() {
+        const open = this.options.length > 0;
+        this.list.hidden = !open;
+        this.input.setAttribute('aria-expanded', String(open));
+        if (this.active >= 0) {
+            this.input.setAttribute('aria-activedescendant', `searchSuggest-${this.active}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+
+        const recent = this.options[0]?.kind === 'recent';
+        setHtml(this.list, html`
+            ${recent && html`<li class="search-suggest-heading" role="presentation">${t('suggest.recent')}</li>`}
+            ${this.options.map((option, idx) => this.renderOption(option, idx))}
+        `);
+    }
+}
+
+const searchSuggest = new SearchSuggest();
+
+// ==================== INFINITE SCROLL ====================
+// Mode listing: 'infinite' (default) atau 'pages' (tombol sebelumnya/selanjutnya)
+const LIST_MODE_KEY = `${CONFIG.STORAGE_PREFIX}:list-mode`;
+
+function getListMode() {
+    return localStorage.getItem(LIST_MODE_KEY) === 'pages' ? 'pages' : 'infinite';
+}
+
+function setListMode(mode) {
+    localStorage.setItem(LIST_MODE_KEY, mode);
+    document.querySelectorAll('.list-mode-input').forEach(input => {
+        input.checked = mode === 'infinite';
+    });
+}
+
+/**
+ * Grid yang memuat halaman berikutnya saat status di bawah grid mendekati viewport,
+ * dan hanya merender baris kartu di sekitar viewport. Baris di luar itu diganti
+ * padding atas/bawah setinggi barisnya, jadi tinggi halaman (dan posisi scroll) tetap.
+ * `data` ({ items, nextPage, hasNext }) disimpan di state.listings supaya grid
+ * bisa dipulihkan tanpa request ulang saat kembali dari halaman detail.
+ */
+class InfiniteGrid {
+    constructor({ list, status, fetchPage, data, empty = null }) {
+        this.list = list;
+        this.status = status;
+        this.fetchPage = fetchPage;
+        this.data = data;
+        this.empty = empty;
+        this.loading = false;
+        this.pending = null;
+        this.failed = false;
+        this.forceUpdate = false;
+        this.destroyed = false;
+        this.metrics = null;
+        this.range = { start: 0, end: 0 };
+        this.rendered = new Map();
+        this.frame = null;
+
+        this.onScroll = () => this.scheduleUpdate();
+        this.onResize = () => {
+            this.metrics = null;
+            this.scheduleUpdate(true);
+        };
+        this.observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+        }, { rootMargin: `${CONFIG.INFINITE_PRELOAD}px` });
+    }
+
+    start() {
+        this.list.classList.add('virtual-grid');
+        this.list.innerHTML = '';
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onResize);
+        this.observer.observe(this.status);
+        this.update(true);
+        this.renderStatus();
+    }
+
+    destroy() {
+        this.destroyed = true;
+        cancelAnimationFrame(this.frame);
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onResize);
+        this.observer.disconnect();
+        this.list.classList.remove('virtual-grid');
+        this.list.style.paddingTop = '';
+        this.list.style.paddingBottom = '';
+    }
+
+    get pagesLoaded() {
+        return this.data.nextPage - this.data.startPage;
+    }
+
+    // Pemanggil yang bersamaan (observer, renderListing, tombol coba lagi) berbagi satu request
+    loadMore() {
+        if (this.destroyed || !this.data.hasNext) return Promise.resolve();
+
+        if (!this.pending) {
+            this.pending = this.fetchNext().finally(() => {
+                this.pending = null;
+                // Observer tidak terpicu lagi jika status masih terlihat setelah halaman ditambahkan
+                if (!this.destroyed && !this.failed && this.data.hasNext && this.isStatusNear()) {
+                    this.loadMore();
+                }
+            });
+        }
+        return this.pending;
+    }
+
+    async fetchNext() {
+        this.loading = true;
+        this.failed = false;
+        this.renderStatus();
+
+        try {
+            const { items, hasNext } = await this.fetchPage(this.data.nextPage);
+            if (this.destroyed) return;
+
+            this.data.items.push(...items);
+            this.data.hasNext = Boolean(hasNext) && items.length > 0;
+            this.data.nextPage += 1;
+            history.replaceState({ ...(history.state || {}), gridPages: this.pagesLoaded }, '');
+            this.update(true);
+        } catch (error) {
+            console.error('Error loading next page:', error);
+            this.failed = true;
+        } finally {
+            this.loading = false;
+        }
+
+        if (!this.destroyed) this.renderStatus();
+    }
+
+    isStatusNear() {
+        return this.status.getBoundingClientRect().top < window.innerHeight + CONFIG.INFINITE_PRELOAD;
+    }
+
+    scheduleUpdate(force = false) {
+        this.forceUpdate = this.forceUpdate || force;
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const forced = this.forceUpdate;
+            this.forceUpdate = false;
+            this.update(forced);
+        });
+    }
+
+    // Semua kartu dianggap setinggi kartu pertama (judul selalu 2 baris di .virtual-grid)
+    measure() {
+        const card = this.list.querySelector('.anime-card');
+        if (!card || card.offsetHeight === 0) return null;
+
+        const style = getComputedStyle(this.list);
+        return {
+            columns: Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length),
+            rowHeight: card.getBoundingClientRect().height + (parseFloat(style.rowGap) || 0),
+        };
+    }
+
+    update(force = false) {
+        if (this.destroyed) return;
+
+        const { items } = this.data;
+        if (items.length === 0) {
+            this.rendered.clear();
+            this.list.style.paddingTop = '';
+            this.list.style.paddingBottom = '';
+            if (!this.data.hasNext && this.empty) {
+                setHtml(this.list, this.empty);
+            } else {
+                this.list.innerHTML = '';
+            }
+            return;
+        }
+
+        // Ukuran kartu baru diketahui setelah beberapa kartu dirender
+        if (!this.metrics) {
+            if (this.rendered.size === 0) this.renderRange(0, Math.min(items.length, CONFIG.INFINITE_INITIAL_CARDS), 0, 0);
+            this.metrics = this.measure();
+            if (!this.metrics) return;
+            force = true;
+        }
+
+        const { columns, rowHeight } = this.metrics;
+        const listTop = this.list.getBoundingClientRect().top + window.scrollY;
+        const totalRows = Math.ceil(items.length / columns);
+        const buffer = CONFIG.VIRTUAL_BUFFER_ROWS;
+        const firstRow = Math.min(totalRows, Math.max(0, Math.floor((window.scrollY - listTop) / rowHeight) - buffer));
+        const lastRow = Math.min(totalRows, Math.max(firstRow, Math.ceil((window.scrollY + window.innerHeight - listTop) / rowHeight) + buffer));
+        const start = firstRow * columns;
+        const end = Math.min(items.length, lastRow * columns);
+
+        if (!force && start === this.range.start && end === this.range.end) return;
+        this.renderRange(start, end, firstRow * rowHeight, (totalRows - lastRow) * rowHeight);
+    }
+
+    renderRange(start, end, paddingTop, paddingBottom) {
+        const rendered = new Map();
+        const nodes = [];
+        for (let idx = start; idx < end; idx++) {
+            const card = this.rendered.get(idx) || createAnimeCard(this.data.items[idx]);
+            rendered.set(idx, card);
+            nodes.push(card);
+        }
+
+        this.range = { start, end };
+        this.rendered = rendered;
+        this.list.style.paddingTop = `${paddingTop}px`;
+        this.list.style.paddingBottom = `${paddingBottom}px`;
+        this.list.replaceChildren(...nodes);
+    }
+
+    renderStatus() {
+        this.status.innerHTML = '';
+
+        if (this.failed) {
+            const retry = document.createElement('button');
+            retry.className = 'pagination-btn';
+            retry.textContent = t('list.retry');
+            retry.addEventListener('click', () => this.loadMore());
+            this.status.appendChild(retry);
+            return;
+        }
+
+        const info = document.createElement('span');
+        info.className = 'infinite-status';
+        if (this.loading) {
+            info.textContent = t('list.loading');
+        } else if (!this.data.hasNext && this.data.items.length > 0) {
+            info.textContent = t('list.allShown', { count: this.data.items.length });
+        }
+        this.status.appendChild(info);
+    }
+}
+
+function closeListing() {
+    state.listing?.destroy();
+    state.listing = null;
+}
+
+/**
+ * Render listing ongoing/complete/browse/genre/search sesuai mode.
+ * fetchPage(page) mengembalikan { items, hasNext }. Mode infinite memulihkan grid
+ * terakhir untuk key yang sama saat kembali lewat back/forward (entry history sudah punya state),
+ * atau memuat ulang jumlah halaman yang sama setelah reload.
+ */
+async function renderListing({ key, listId, paginationId, page, type, param, fetchPage, empty }) {
+    const list = document.getElementById(listId);
+    const pagination = document.getElementById(paginationId);
+    closeListing();
+
+    if (getListMode() === 'pages') {
+        const { items, hasNext } = await fetchPage(page);
+        list.innerHTML = '';
+        items.forEach(anime => list.appendChild(createAnimeCard(anime)));
+        if (items.length === 0 && empty) setHtml(list, empty);
+        updatePagination(paginationId, page, hasNext, type, param);
+        return;
+    }
+
+    const returning = Boolean(history.state);
+    let data = returning ? state.listings.get(key) : null;
+    if (!data || data.startPage !== page) {
+        data = { startPage: page, nextPage: page, items: [], hasNext: true };
+    }
+    state.listings.delete(key);
+    state.listings.set(key, data);
+    if (state.listings.size > CONFIG.LISTING_SNAPSHOTS) {
+        state.listings.delete(state.listings.keys().next().value);
+    }
+
+    const grid = new InfiniteGrid({ list, status: pagination, fetchPage, data, empty });
+    state.listing = grid;
+    grid.start();
+
+    // Halaman pertama, atau sebanyak halaman yang terbuka sebelum reload
+    const pages = returning ? Math.max(1, history.state.gridPages || 1) : 1;
+    while (state.listing === grid && data.hasNext && grid.pagesLoaded < pages) {
+        await grid.loadMore();
+        if (grid.failed) break;
+    }
+}
+
+// ==================== ROUTER ====================
+function toPageNumber(value) {
+    const page = parseInt(value, 10);
+    return Number.isInteger(page) && page > 0 ? page : 1;
+}
+
+// Route hash: #/anime/:slug, #/genre/:slug?page=2, #/search/:q, dst.
+const ROUTES = [
+    { path: /^\/$/, load: () => loadHome() },
+    { path: /^\/ongoing$/, load: (params, query) => loadOngoing(toPageNumber(query.get('page'))) },
+    { path: /^\/complete$/, load: (params, query) => loadComplete(toPageNumber(query.get('page'))) },
+    { path: /^\/genres$/, load: () => loadGenres() },
+    { path: /^\/browse$/, load: (params, query) => loadBrowse(filtersFromQuery(query), toPageNumber(query.get('page'))) },
+    { path: /^\/genre\/([a-z0-9-]+)$/, load: ([slug], query) => loadGenreAnime(slug, toPageNumber(query.get('page'))) },
+    { path: /^\/schedule$/, load: () => loadSchedule() },
+    { path: /^\/library$/, load: (params, query) => loadLibrary(query.get('status') || 'all') },
+    { path: /^\/search\/(.+)$/, load: ([q], query) => searchAnime(q, toPageNumber(query.get('page'))) },
+    { path: /^\/anime\/([a-z0-9-]+)$/, load: ([slug]) => loadAnimeDetail(slug) },
+    { path: /^\/episode\/([a-z0-9-]+)$/, load: ([slug]) => playEpisodeBySlug(slug) },
+];
+
+function parseHash() {
+    const hash = window.location.hash.replace(/^#/, '') || '/';
+    const [rawPath, rawQuery = ''] = hash.split('?');
+    return { path: rawPath || '/', query: new URLSearchParams(rawQuery) };
+}
+
+function navigate(path, { replace = false } = {}) {
+    const hash = `#${path}`;
+    if (window.location.hash === hash) {
+        handleRoute();
+    } else if (replace) {
+        window.location.replace(hash);
+    } else {
+        window.location.hash = hash;
+    }
+}
+
+async function handleRoute() {
+    const { path, query } = parseHash();
+
+    for (const route of ROUTES) {
+        const match = path.match(route.path);
+        if (!match) continue;
+
+        let params;
+        try {
+            params = match.slice(1).map(decodeURIComponent);
+        } catch (error) {
+            // Hash dengan escape % yang rusak (misal "#/search/100%") dianggap route tidak dikenal
+            break;
+        }
+        await route.load(params, query);
+
+        // Entry baru mulai dari atas; back/forward kembali ke posisi scroll terakhir
+        window.scrollTo(0, history.state?.scrollY || 0);
+        return;
+    }
+
+    navigate('/', { replace: true });
+}
+
+// Simpan posisi scroll di entry history yang sedang aktif
+let scrollSaveTimer = null;
+function saveScrollPosition() {
+    clearTimeout(scrollSaveTimer);
+    scrollSaveTimer = setTimeout(() => {
+        history.replaceState({ ...(history.state || {}), scrollY: window.scrollY }, '');
+    }, 200);
+}
+
 // ==================== EVENT LISTENERS ====================
 document.addEventListener('DOMContentLoaded', () => {
-    // Navigation
-    document.querySelectorAll('[data-page]').forEach(link => {
+    applyTranslations();
+
+    // Navigation: link memakai href hash, klik ulang link aktif memuat ulang halaman
+    document.querySelectorAll('a[href^="#/"]').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            const page = link.dataset.page;
-
-            switch (page) {
-                case 'home':
-                    loadHome();
-                    break;
-                case 'ongoing':
-                    loadOngoing();
-                    break;
-                case 'complete':
-                    loadComplete();
-                    break;
-                case 'genres':
-                    loadGenres();
-                    break;
-                case 'schedule':
-                    loadSchedule();
-                    break;
-            }
+            navigate(link.getAttribute('href').slice(1));
         });
     });
 
+    window.addEventListener('hashchange', handleRoute);
+    window.addEventListener('scroll', saveScrollPosition, { passive: true });
+    // Event error gambar tidak bubble, jadi ditangkap di fase capture
+    document.addEventListener('error', handleImageError, true);
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
     // Search
     const searchInput = document.getElementById('searchInput');
     const searchBtn = document.querySelector('.search-btn');
@@ -653,19 +2523,121 @@ document.addEventListener('DOMContentLoaded', () => {
     searchBtn?.addEventListener('click', () => {
         const query = searchInput.value.trim();
         if (query) {
-            searchAnime(query);
+            navigate(`/search/${encodeURIComponent(query)}`);
         }
     });
 
-    searchInput?.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            const query = searchInput.value.trim();
-            if (query) {
-                searchAnime(query);
-            }
+    // Enter, panah atas/bawah dan Escape ditangani dropdown saran
+    if (searchInput) {
+        searchSuggest.attach(searchInput, document.getElementById('searchSuggest'));
+    }
+
+    // Video Player
+    document.getElementById('playerBack')?.addEventListener('click', () => {
+        const animeSlug = state.player?.anime?.slug || state.currentAnime?.slug;
+        navigate(animeSlug ? `/anime/${animeSlug}` : '/');
+    });
+
+    document.getElementById('playerQuality')?.addEventListener('change', (e) => {
+        changePlayerQuality(e.target.value);
+    });
+
+    document.getElementById('playerPrev')?.addEventListener('click', () => {
+        const prev = state.player?.episode?.prevEpisode;
+        if (prev) navigate(`/episode/${prev}`);
+    });
+
+    document.getElementById('playerNext')?.addEventListener('click', () => {
+        const next = state.player?.episode?.nextEpisode;
+        if (!next) return;
+
+        if (canTrackProgress()) {
+            watchHistory.updateProgress(state.player.anime, state.player.episode, { completed: true });
         }
+        navigate(`/episode/${next}`);
+    });
+
+    document.getElementById('playerComplete')?.addEventListener('click', markEpisodeCompleted);
+
+    window.addEventListener('message', handlePlayerMessage);
+
+    // Library tabs
+    document.querySelectorAll('#libraryTabs [data-status]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            const status = tab.dataset.status;
+            navigate(status === 'all' ? '/library' : `/library?status=${status}`);
+        });
     });
 
+    // Mode listing: infinite scroll atau halaman; listing yang sedang terbuka dimuat ulang dari atas
+    setListMode(getListMode());
+    document.querySelectorAll('.list-mode-input').forEach(input => {
+        input.addEventListener('change', () => {
+            setListMode(input.checked ? 'infinite' : 'pages');
+            history.replaceState(null, '');
+            handleRoute();
+        });
+    });
+
+    // Filter panel
+    document.getElementById('filterPanel')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        navigate(browsePath(readFilterPanel()));
+    });
+
+    document.getElementById('filterReset')?.addEventListener('click', () => {
+        state.browseFilters = null;
+        navigate('/complete');
+    });
+
+    // Kalender jadwal: webcal:// supaya aplikasi kalender berlangganan, bukan sekali unduh.
+    // Aplikasi kalender membuka webcal:// lewat https, jadi di server http dipakai URL http biasa.
+    const calendarScheme = window.location.protocol === 'https:' ? 'webcal:' : window.location.protocol;
+    const calendarBase = `${calendarScheme}//${window.location.host}${CONFIG.API_BASE}/schedule.ics`;
+    document.getElementById('scheduleIcsAll')?.setAttribute('href', calendarBase);
+    document.getElementById('scheduleIcsFollowed')?.setAttribute('href', `${calendarBase}?followed=true`);
+
+    // Bahasa: teks statis diganti di tempat, halaman aktif dirender ulang (kecuali player supaya video tidak restart)
+    document.getElementById('languageSelect')?.addEventListener('change', (e) => {
+        setLocale(e.target.value);
+        notificationCenter.render();
+        searchSuggest.close();
+        if (state.currentPage !== 'player') handleRoute();
+    });
+
+    // Watch History
+    document.getElementById('historySyncToggle')?.addEventListener('change', (e) => {
+        watchHistory.setSyncEnabled(e.target.checked);
+    });
+
+    // PWA: service worker + indikator offline
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+
+    updateOnlineStatus();
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+
+    // Notification center
+    document.getElementById('notificationToggle')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleNotificationPanel();
+    });
+
+    document.getElementById('notificationReadAll')?.addEventListener('click', () => {
+        notificationCenter.markRead();
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.notification-center')) toggleNotificationPanel(false);
+    });
+
+    notificationCenter.load();
+    notificationCenter.connect();
+
     // Mobile Menu Toggle
     const menuToggle = document.getElementById('menuToggle');
     const mobileMenuOverlay = document.getElementById('mobileMenuOverlay');
@@ -674,33 +2646,11 @@ document.addEventListener('DOMContentLoaded', () => {
         mobileMenuOverlay.classList.toggle('active');
     });
 
-    document.querySelectorAll('.mobile-nav-link').forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            const page = link.dataset.page;
-
-            switch (page) {
-                case 'home':
-                    loadHome();
-                    break;
-                case 'ongoing':
-                    loadOngoing();
-                    break;
-                case 'complete':
-                    loadComplete();
-                    break;
-                case 'genres':
-                    loadGenres();
-                    break;
-                case 'schedule':
-                    loadSchedule();
-                    break;
-            }
+    // Muat halaman sesuai URL saat startup
+    handleRoute();
 
-            closeMobileMenu();
-        });
+    // Ambil riwayat dari server jika sinkronisasi aktif
+    watchHistory.pull().then(() => {
+        if (state.currentPage === 'home') renderContinueWatching();
     });
-
-    // Load home on startup
-    loadHome();
 });
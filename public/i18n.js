@@ -0,0 +1,316 @@
+// ==================== MESSAGE CATALOGS ====================
+// Teks UI per bahasa, dipakai lewat t('kunci', { param }) di app.js dan atribut data-i18n di index.html.
+// Placeholder: {nama}. Nilai berupa object dipilih dengan Intl.PluralRules berdasarkan params.count.
+// Bahasa baru cukup ditambahkan di sini dan di pilihan #languageSelect.
+const MESSAGES = {
+    id: {
+        'app.title': 'AnimeStream - Streaming Anime Premium',
+        'feed.ongoingRss': 'AnimeStream - Anime Berlanjut (RSS)',
+        'feed.ongoingAtom': 'AnimeStream - Anime Berlanjut (Atom)',
+        'language.label': 'Bahasa',
+        'menu.toggle': 'Menu',
+
+        'nav.home': 'Home',
+        'nav.ongoing': 'Berlanjut',
+        'nav.complete': 'Lengkap',
+        'nav.genres': 'Genre',
+        'nav.schedule': 'Jadwal',
+        'nav.library': 'Daftarku',
+
+        'common.loading': 'Loading...',
+        'common.unknown': 'Unknown',
+        'common.episode': 'Episode {number}',
+
+        'toast.offline': 'Kamu sedang offline. Halaman ini belum tersimpan untuk dibuka offline.',
+        // Kode error dari service worker (sw.js), bukan dari server
+        OFFLINE: 'Offline dan data belum tersimpan',
+        'toast.timeout': 'Request timeout. Silahkan coba lagi.',
+        'toast.error': 'Error: {message}',
+        'offline.banner': '📴 Kamu sedang offline. Menampilkan data yang tersimpan, beberapa halaman mungkin tidak tersedia.',
+
+        'notifications.label': 'Notifikasi',
+        'notifications.title': 'Episode Baru',
+        'notifications.readAll': 'Tandai semua dibaca',
+        'notifications.empty': 'Belum ada episode baru. Tambahkan anime ke Daftarku (Sedang/Rencana Ditonton) untuk diikuti.',
+        'notifications.newEpisode': 'Episode baru',
+        'notifications.toast': 'Episode baru: {title} - {episode}',
+
+        'search.placeholder': 'Cari anime...',
+        'search.button': 'Cari',
+        'search.title': 'Hasil Pencarian',
+        'search.showingFor': 'Menampilkan hasil untuk:',
+        'search.tooShort': 'Minimal 2 karakter untuk pencarian',
+        'search.found': 'Ditemukan {count} hasil',
+        'search.empty': 'Tidak ada hasil yang ditemukan',
+        'suggest.label': 'Saran pencarian',
+        'suggest.recent': 'Pencarian terakhir',
+        'suggest.removeRecent': 'Hapus dari pencarian terakhir',
+        'suggest.searchFor': 'Cari "{query}"',
+
+        'home.featuredSubtitle': 'Anime terbaru yang paling ditunggu',
+        'home.watchNow': 'Tonton Sekarang',
+        'home.continue': 'Lanjutkan Menonton',
+        'home.continueCard': 'Lanjutkan',
+        'home.sync': 'Sinkron ke server',
+        'home.trending': 'Trending Sekarang',
+        'home.seeAll': 'Lihat Semua',
+        'home.latest': 'Update Terbaru',
+        'home.loaded': 'Berhasil memuat home',
+
+        'list.infinite': 'Scroll tanpa batas',
+        'list.retry': 'Gagal memuat, coba lagi',
+        'list.loading': 'Memuat...',
+        'list.allShown': 'Semua {count} anime sudah ditampilkan',
+        'pagination.prev': '← Sebelumnya',
+        'pagination.next': 'Selanjutnya →',
+        'pagination.page': 'Halaman {page}',
+
+        'ongoing.title': 'Anime Berlanjut',
+        'ongoing.subtitle': 'Anime yang masih memiliki episode baru setiap minggu',
+        'complete.title': 'Anime Lengkap',
+        'complete.subtitle': 'Semua episode tersedia untuk ditonton kapan saja',
+        'browse.title': 'Hasil Filter',
+        'browse.subtitle': 'Anime dari katalog yang cocok dengan semua filter',
+        'browse.empty': 'Tidak ada anime yang cocok dengan filter ini',
+        'genre.title': 'Genre: {name}',
+        'genre.subtitle': 'Tambah filter lain lalu klik Terapkan untuk mempersempit hasil',
+        'genres.title': 'Genre',
+        'genres.subtitle': 'Pilih genre favorit Anda',
+
+        'filter.status': 'Status',
+        'filter.allStatuses': 'Semua Status',
+        'filter.ongoing': 'Ongoing',
+        'filter.complete': 'Tamat',
+        'filter.type': 'Tipe',
+        'filter.allTypes': 'Semua Tipe',
+        'filter.year': 'Tahun',
+        'filter.allYears': 'Semua Tahun',
+        'filter.season': 'Musim',
+        'filter.allSeasons': 'Semua Musim',
+        'filter.winter': 'Dingin',
+        'filter.spring': 'Semi',
+        'filter.summer': 'Panas',
+        'filter.fall': 'Gugur',
+        'filter.studio': 'Studio',
+        'filter.sort': 'Urutkan',
+        'filter.sortLatest': 'Update Terbaru',
+        'filter.sortRating': 'Rating Tertinggi',
+        'filter.sortTitle': 'Judul A-Z',
+        'filter.apply': 'Terapkan',
+        'filter.reset': 'Reset',
+
+        'schedule.title': 'Jadwal Rilis',
+        'schedule.subtitle': 'Cek jadwal anime yang akan tayang',
+        'schedule.subscribeAll': '📆 Langganan Kalender',
+        'schedule.subscribeFollowed': '📆 Kalender Anime Diikuti',
+        'schedule.timezone': 'Jam tayang ditampilkan dalam zona waktu kamu ({timeZone})',
+        'schedule.today': 'Hari ini',
+        'schedule.airing': '🔴 Sedang tayang',
+        'schedule.inDays': '⏳ {days} hari {hours} jam lagi',
+        'schedule.inHours': '⏳ {hours} jam {minutes} menit lagi',
+        'schedule.inMinutes': '⏳ {minutes} menit lagi',
+        'schedule.day.senin': 'Senin',
+        'schedule.day.selasa': 'Selasa',
+        'schedule.day.rabu': 'Rabu',
+        'schedule.day.kamis': 'Kamis',
+        'schedule.day.jumat': 'Jumat',
+        'schedule.day.sabtu': 'Sabtu',
+        'schedule.day.minggu': 'Minggu',
+
+        'library.title': 'Daftarku',
+        'library.subtitle': 'Anime yang sedang, akan, dan sudah kamu tonton',
+        'library.all': 'Semua',
+        'library.watching': 'Sedang Ditonton',
+        'library.plan_to_watch': 'Rencana Ditonton',
+        'library.completed': 'Selesai',
+        'library.dropped': 'Dihentikan',
+        'library.empty': 'Belum ada anime di daftar ini',
+        'library.statusLabel': 'Status daftar',
+        'library.add': '+ Tambah ke Daftar',
+        'library.remove': '✕ Hapus dari Daftar',
+        'library.followHint': '🔔 Notifikasi episode baru aktif',
+        'library.added': 'Ditambahkan ke {status}',
+        'library.removed': 'Dihapus dari daftar',
+
+        'detail.type': 'Tipe',
+        'detail.status': 'Status',
+        'detail.rating': 'Rating',
+        'detail.year': 'Tahun',
+        'detail.episodes': 'Episodes',
+        'detail.watched': '✓ Sudah ditonton',
+        'detail.lastWatched': 'Terakhir ditonton {time}',
+        'detail.rssTitle': 'Feed RSS episode anime ini',
+
+        'player.back': '← Kembali',
+        'player.frameTitle': 'Video player',
+        'player.prev': '← Episode Sebelumnya',
+        'player.markWatched': '✓ Tandai Selesai',
+        'player.next': 'Episode Selanjutnya →',
+        'player.quality': 'Kualitas',
+        'player.auto': 'Auto',
+        'player.server': 'Server {number}',
+        'player.noServer': 'Server untuk episode ini tidak ditemukan',
+        'player.noQuality': 'Tidak ada server untuk kualitas ini',
+        'player.loadingServer': 'Memuat {server}...',
+        'player.loadingVideo': 'Memuat video...',
+        'player.serverFailed': '{failed} gagal dimuat, mencoba {next}',
+        'player.allFailed': 'Semua server gagal dimuat. Silahkan coba lagi nanti.',
+        'player.resume': 'Lanjutkan dari {time}',
+        'player.marked': 'Episode ditandai sudah ditonton',
+    },
+    en: {
+        'app.title': 'AnimeStream - Premium Anime Streaming',
+        'feed.ongoingRss': 'AnimeStream - Ongoing Anime (RSS)',
+        'feed.ongoingAtom': 'AnimeStream - Ongoing Anime (Atom)',
+        'language.label': 'Language',
+        'menu.toggle': 'Menu',
+
+        'nav.home': 'Home',
+        'nav.ongoing': 'Ongoing',
+        'nav.complete': 'Completed',
+        'nav.genres': 'Genres',
+        'nav.schedule': 'Schedule',
+        'nav.library': 'My List',
+
+        'common.loading': 'Loading...',
+        'common.unknown': 'Unknown',
+        'common.episode': 'Episode {number}',
+
+        'toast.offline': 'You are offline. This page has not been saved for offline use yet.',
+        // Kode error dari service worker (sw.js), bukan dari server
+        OFFLINE: 'Offline and not saved yet',
+        'toast.timeout': 'Request timed out. Please try again.',
+        'toast.error': 'Error: {message}',
+        'offline.banner': '📴 You are offline. Showing saved data, some pages may be unavailable.',
+
+        'notifications.label': 'Notifications',
+        'notifications.title': 'New Episodes',
+        'notifications.readAll': 'Mark all as read',
+        'notifications.empty': 'No new episodes yet. Add anime to My List (Watching/Plan to Watch) to follow them.',
+        'notifications.newEpisode': 'New episode',
+        'notifications.toast': 'New episode: {title} - {episode}',
+
+        'search.placeholder': 'Search anime...',
+        'search.button': 'Search',
+        'search.title': 'Search Results',
+        'search.showingFor': 'Showing results for:',
+        'search.tooShort': 'Enter at least 2 characters to search',
+        'search.found': { one: 'Found {count} result', other: 'Found {count} results' },
+        'search.empty': 'No results found',
+        'suggest.label': 'Search suggestions',
+        'suggest.recent': 'Recent searches',
+        'suggest.removeRecent': 'Remove from recent searches',
+        'suggest.searchFor': 'Search for "{query}"',
+
+        'home.featuredSubtitle': 'The most anticipated new anime',
+        'home.watchNow': 'Watch Now',
+        'home.continue': 'Continue Watching',
+        'home.continueCard': 'Continue',
+        'home.sync': 'Sync to server',
+        'home.trending': 'Trending Now',
+        'home.seeAll': 'See All',
+        'home.latest': 'Latest Updates',
+        'home.loaded': 'Home loaded',
+
+        'list.infinite': 'Infinite scroll',
+        'list.retry': 'Failed to load, try again',
+        'list.loading': 'Loading...',
+        'list.allShown': 'All {count} anime are shown',
+        'pagination.prev': '← Previous',
+        'pagination.next': 'Next →',
+        'pagination.page': 'Page {page}',
+
+        'ongoing.title': 'Ongoing Anime',
+        'ongoing.subtitle': 'Anime that still get new episodes every week',
+        'complete.title': 'Completed Anime',
+        'complete.subtitle': 'Every episode is available to watch anytime',
+        'browse.title': 'Filter Results',
+        'browse.subtitle': 'Catalog anime matching all filters',
+        'browse.empty': 'No anime match these filters',
+        'genre.title': 'Genre: {name}',
+        'genre.subtitle': 'Add more filters and click Apply to narrow the results',
+        'genres.title': 'Genres',
+        'genres.subtitle': 'Pick your favorite genre',
+
+        'filter.status': 'Status',
+        'filter.allStatuses': 'All Statuses',
+        'filter.ongoing': 'Ongoing',
+        'filter.complete': 'Completed',
+        'filter.type': 'Type',
+        'filter.allTypes': 'All Types',
+        'filter.year': 'Year',
+        'filter.allYears': 'All Years',
+        'filter.season': 'Season',
+        'filter.allSeasons': 'All Seasons',
+        'filter.winter': 'Winter',
+        'filter.spring': 'Spring',
+        'filter.summer': 'Summer',
+        'filter.fall': 'Fall',
+        'filter.studio': 'Studio',
+        'filter.sort': 'Sort',
+        'filter.sortLatest': 'Latest Update',
+        'filter.sortRating': 'Highest Rated',
+        'filter.sortTitle': 'Title A-Z',
+        'filter.apply': 'Apply',
+        'filter.reset': 'Reset',
+
+        'schedule.title': 'Release Schedule',
+        'schedule.subtitle': 'See when upcoming anime air',
+        'schedule.subscribeAll': '📆 Subscribe to Calendar',
+        'schedule.subscribeFollowed': '📆 Followed Anime Calendar',
+        'schedule.timezone': 'Air times are shown in your time zone ({timeZone})',
+        'schedule.today': 'Today',
+        'schedule.airing': '🔴 Airing now',
+        'schedule.inDays': '⏳ in {days}d {hours}h',
+        'schedule.inHours': '⏳ in {hours}h {minutes}m',
+        'schedule.inMinutes': '⏳ in {minutes} min',
+        'schedule.day.senin': 'Monday',
+        'schedule.day.selasa': 'Tuesday',
+        'schedule.day.rabu': 'Wednesday',
+        'schedule.day.kamis': 'Thursday',
+        'schedule.day.jumat': 'Friday',
+        'schedule.day.sabtu': 'Saturday',
+        'schedule.day.minggu': 'Sunday',
+
+        'library.title': 'My List',
+        'library.subtitle': 'Anime you are watching, plan to watch, and have watched',
+        'library.all': 'All',
+        'library.watching': 'Watching',
+        'library.plan_to_watch': 'Plan to Watch',
+        'library.completed': 'Completed',
+        'library.dropped': 'Dropped',
+        'library.empty': 'No anime in this list yet',
+        'library.statusLabel': 'List status',
+        'library.add': '+ Add to List',
+        'library.remove': '✕ Remove from List',
+        'library.followHint': '🔔 New episode notifications on',
+        'library.added': 'Added to {status}',
+        'library.removed': 'Removed from list',
+
+        'detail.type': 'Type',
+        'detail.status': 'Status',
+        'detail.rating': 'Rating',
+        'detail.year': 'Year',
+        'detail.episodes': 'Episodes',
+        'detail.watched': '✓ Watched',
+        'detail.lastWatched': 'Last watched at {time}',
+        'detail.rssTitle': 'RSS feed for this anime\'s episodes',
+
+        'player.back': '← Back',
+        'player.frameTitle': 'Video player',
+        'player.prev': '← Previous Episode',
+        'player.markWatched': '✓ Mark as Watched',
+        'player.next': 'Next Episode →',
+        'player.quality': 'Quality',
+        'player.auto': 'Auto',
+        'player.server': 'Server {number}',
+        'player.noServer': 'No server found for this episode',
+        'player.noQuality': 'No server available for this quality',
+        'player.loadingServer': 'Loading {server}...',
+        'player.loadingVideo': 'Loading video...',
+        'player.serverFailed': '{failed} failed to load, trying {next}',
+        'player.allFailed': 'All servers failed to load. Please try again later.',
+        'player.resume': 'Resuming from {time}',
+        'player.marked': 'Episode marked as watched',
+    },
+};
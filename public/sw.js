@@ -0,0 +1,144 @@
+// ==================== SERVICE WORKER ====================
+// Naikkan CACHE_VERSION setiap kali daftar SHELL_FILES berubah; cache lama dihapus saat activate
+const CACHE_VERSION = 'v2';
+const CACHES = {
+    shell: `animestream-shell-${CACHE_VERSION}`,
+    api: `animestream-api-${CACHE_VERSION}`,
+    images: `animestream-images-${CACHE_VERSION}`,
+};
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/i18n.js',
+    '/app.js',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-maskable.svg',
+];
+
+// Batas entry per cache runtime, entry paling lama dibuang lebih dulu
+const MAX_ENTRIES = {
+    [CACHES.api]: 150,
+    [CACHES.images]: 300,
+};
+
+// Endpoint yang tidak boleh di-cache: stream SSE, admin, data yang diubah user,
+// dan saran pencarian (satu entry per ketikan akan mendesak data halaman keluar dari cache)
+const API_BYPASS = [
+    /^\/api\/suggest/,
+    /^\/api\/notifications\/stream/,
+    /^\/api\/admin\//,
+    /^\/api\/history/,
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.shell)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('animestream-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function trimCache(cacheName) {
+    const max = MAX_ENTRIES[cacheName];
+    if (!max) return;
+
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+async function putInCache(cacheName, request, response) {
+    // Response opaque (gambar cross-origin tanpa CORS) punya status 0 tapi tetap bisa dipakai
+    if (!response || (!response.ok && response.type !== 'opaque')) return;
+
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    await trimCache(cacheName);
+}
+
+// Network-first: data terbaru jika online, salinan terakhir jika offline
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        await putInCache(cacheName, request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        // Bentuknya sama dengan error API ({ error, code }); app.js menerjemahkan kode OFFLINE
+        return new Response(JSON.stringify({ error: 'Offline dan data belum tersimpan', code: 'OFFLINE' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+}
+
+// Stale-while-revalidate: langsung dari cache, diperbarui di background
+async function staleWhileRevalidate(request, cacheName) {
+    const cached = await caches.match(request);
+    const update = fetch(request)
+        .then(async response => {
+            await putInCache(cacheName, request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || update;
+}
+
+// Route frontend ada di hash, jadi navigasi ke shell hanya lewat / atau /index.html
+async function appShell(request) {
+    try {
+        const response = await fetch(request);
+        await putInCache(CACHES.shell, '/index.html', response.clone());
+        return response;
+    } catch (error) {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate' && sameOrigin && ['/', '/index.html'].includes(url.pathname)) {
+        event.respondWith(appShell(request));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, CACHES.images));
+        return;
+    }
+
+    if (sameOrigin && url.pathname.startsWith('/api/')) {
+        if (API_BYPASS.some(pattern => pattern.test(url.pathname))) return;
+        event.respondWith(networkFirst(request, CACHES.api));
+        return;
+    }
+
+    // File shell dan font Google
+    if ((sameOrigin && SHELL_FILES.includes(url.pathname)) || /(^|\.)fonts\.(googleapis|gstatic)\.com$/.test(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, CACHES.shell));
+    }
+});
@@ -1,572 +1,606 @@
+const path = require('path');
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
-const NodeCache = require('node-cache');
-const cheerio = require('cheerio');
+const { loadConfig } = require('./lib/config');
+const { createCache, createCacheBackend } = require('./lib/cache');
+const { createCatalog } = require('./lib/catalog');
+const { SOURCE_TIMEZONE, toICalendar, withAirTimes } = require('./lib/schedule');
+const { createSourceManager, createSources } = require('./lib/sources');
+const { configureUpstream, fetchImage, getUpstreamStats, slugFromLink } = require('./lib/utils');
+const { createJsonStore } = require('./lib/json-store');
+const { createHistoryRouter } = require('./lib/routes/history');
+const { createLibraryRouter, followedItems } = require('./lib/routes/library');
+const { createNotificationsRouter } = require('./lib/routes/notifications');
+const { createEpisodeWatcher } = require('./lib/episode-watcher');
+const { createAdminRouter } = require('./lib/routes/admin');
+const { createFeedsRouter } = require('./lib/routes/feeds');
+const { createFeedDates } = require('./lib/feeds');
+const { createSecurityHeaders } = require('./lib/security');
+const { createImageProxy } = require('./lib/image-proxy');
+const { createImageRouter } = require('./lib/routes/image');
+const { createSuggester } = require('./lib/suggest');
+const { sendError, translate, localeFor } = require('./lib/i18n');
+const { OPENAPI_SPEC } = require('./lib/openapi');
+const { createApiValidator } = require('./lib/api-validator');
+
+// Konfigurasi dari env + .env / .env.<NODE_ENV>, berhenti jika ada nilai tidak valid
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  if (require.main === module) process.exit(1);
+  throw error;
+}
 
 const app = express();
-const cache = new NodeCache({ stdTTL: 600, checkperiod: 120 }); // Cache 10 menit
+configureUpstream(config.upstream);
+
+// Cache response upstream (memory atau file di DATA_DIR/cache)
+const cache = createCache({
+  backend: createCacheBackend(config.cache.backend, { dir: config.cache.dir }),
+  staleTtl: config.cache.staleTtl,
+  maxEntries: config.cache.maxEntries,
+  sweepInterval: config.cache.sweepInterval
+});
+
+// TTL per route dalam detik, bisa diubah saat runtime lewat admin API
+const CACHE_TTLS = config.cache.ttls;
+
+// Tandai response yang diambil dari salinan cache lama
+const sendCached = (res, { value, stale }) => res.json(stale ? { ...value, stale: true } : value);
 
 // Middleware
-app.use(cors());
+app.use(createSecurityHeaders());
+app.use(cors({ origin: config.cors.origins.length > 0 ? config.cors.origins : '*' }));
 app.use(express.json());
 app.use(express.static('public'));
 
+// Halaman listing yang dimuat bertahap oleh infinite scroll (path relatif terhadap /api)
+const LISTING_PATH = /^\/(ongoing|complete|unlimited|browse|genre\/[^/]+|search\/[^/]+)\/?$/i;
+
 // Rate Limiter - untuk API requests
 const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 menit
-  max: 30, // 30 requests per windowMs
-  message: 'Terlalu banyak request dari IP ini, silahkan coba lagi nanti',
+  windowMs: config.rateLimit.windowMs, // default 15 menit
+  max: config.rateLimit.max, // default 30 requests per windowMs
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'RATE_LIMITED'),
   standardHeaders: true,
   legacyHeaders: false,
+  // Satu halaman memuat puluhan poster, saran pencarian dipanggil per ketikan dan
+  // infinite scroll memuat listing per halaman; semuanya punya limiter sendiri.
+  // Stream notifikasi (SSE) tersambung ulang otomatis dan tidak boleh memakan kuota.
+  skip: (req) => ['/image', '/suggest', '/notifications/stream'].includes(req.path) || LISTING_PATH.test(req.path),
+});
+
+// Rate Limiter - untuk halaman listing (infinite scroll), batas per menit lebih longgar
+const listingLimiter = rateLimit({
+  windowMs: config.listingRateLimit.windowMs, // default 1 menit
+  max: config.listingRateLimit.max, // default 120 requests per menit
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'LISTING_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !LISTING_PATH.test(req.path),
 });
 
 // Rate Limiter - untuk search (lebih ketat)
 const searchLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 menit
-  max: 10, // 10 requests per menit
-  message: 'Terlalu banyak pencarian, silahkan coba lagi nanti',
+  windowMs: config.searchRateLimit.windowMs, // default 1 menit
+  max: config.searchRateLimit.max, // default 10 requests per menit
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'SEARCH_RATE_LIMITED'),
   skipSuccessfulRequests: false,
 });
 
-// Terapkan limiter
-app.use('/api/', apiLimiter);
-app.use('/api/search', searchLimiter);
+// Rate Limiter - untuk saran pencarian (hanya data lokal, tidak memakai kuota searchLimiter)
+const suggestLimiter = rateLimit({
+  windowMs: config.suggestRateLimit.windowMs, // default 1 menit
+  max: config.suggestRateLimit.max, // default 120 requests per menit
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'SUGGEST_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-// API Base
-const API_BASE = 'https://www.sankavollerei.com';
-const TIMEOUT = 8000;
+// Rate Limiter - untuk proxy gambar (miss cache memicu request ke host poster)
+const imageLimiter = rateLimit({
+  windowMs: config.imageRateLimit.windowMs, // default 1 menit
+  max: config.imageRateLimit.max, // default 300 requests per menit
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'IMAGE_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-// Helper function untuk fetch dengan timeout
-const fetchWithTimeout = async (url) => {
-  try {
-    const response = await axios.get(url, {
-      timeout: TIMEOUT,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching ${url}:`, error.message);
-    throw error;
+// Rate Limiter - untuk feed RSS/Atom di /feeds (di luar /api, tapi tetap memicu request upstream)
+const feedLimiter = rateLimit({
+  windowMs: config.feedRateLimit.windowMs, // default 15 menit
+  max: config.feedRateLimit.max, // default 60 requests per windowMs
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'FEED_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Terapkan limiter (searchLimiter dipasang di route search, hanya untuk request ke upstream)
+app.use('/api/', apiLimiter, listingLimiter);
+
+// Parameter path/query semua route /api/* divalidasi dan diberi tipe sesuai lib/openapi.js;
+// route membaca req.query yang sudah bersih (page, limit, dst. sudah berupa angka)
+app.use('/api', createApiValidator(OPENAPI_SPEC, {
+  validateResponses: config.validateResponses,
+  onInvalidResponse: ({ operationId, problems }) => {
+    console.error(`Response ${operationId} tidak sesuai OpenAPI:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
   }
-};
+}));
 
-// Helper function untuk parse HTML
-const parseHTML = (html) => cheerio.load(html);
+// Upstream sources (urutan = prioritas failover)
+const sources = createSourceManager(createSources(config.upstream.sources, {
+  sankavollerei: { baseUrl: config.upstream.baseUrl, timeout: config.upstream.timeout }
+}));
 
 // ==================== HOME PAGE ====================
 app.get('/api/home', async (req, res) => {
   try {
-    const cacheKey = 'home_data';
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return res.json(cached);
-    }
-
-    const html = await fetchWithTimeout(`${API_BASE}/anime/home`);
-    const $ = parseHTML(html);
-    
-    const featuredAnime = [];
-    const trendingAnime = [];
-    
-    // Parse featured anime
-    $('.featured-section, .hero-section').each((idx, el) => {
-      if (idx < 5) {
-        const title = $(el).find('h2, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const rating = $(el).find('.rating, .score').text().trim();
-        
-        if (title && image) {
-          featuredAnime.push({ title, image, link, rating });
-        }
-      }
-    });
-
-    // Parse trending
-    $('.trending, .popular-section, .grid > .card').each((idx, el) => {
-      if (idx < 12) {
-        const title = $(el).find('h3, .anime-title, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const type = $(el).find('.type, .badge').text().trim();
-        const status = $(el).find('.status').text().trim();
-        
-        if (title && image) {
-          trendingAnime.push({ 
-            title, 
-            image, 
-            link, 
-            type,
-            status,
-            slug: link?.split('/').pop()
-          });
-        }
-      }
+    const result = await cache.wrap('home', CACHE_TTLS.home, async () => {
+      const { featured, trending } = await sources.run('home');
+
+      return {
+        featured,
+        trending,
+        timestamp: new Date()
+      };
     });
 
-    const result = {
-      featured: featuredAnime.slice(0, 5),
-      trending: trendingAnime.slice(0, 12),
-      timestamp: new Date()
-    };
-
-    cache.set(cacheKey, result);
-    res.json(result);
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/home:', error);
-    res.status(500).json({ error: 'Gagal mengambil data home' });
+    sendError(res, 500, 'HOME_FAILED');
   }
 });
 
 // ==================== SCHEDULE ====================
+const getSchedule = () => cache.wrap('schedule', CACHE_TTLS.schedule, async () => {
+  const { schedule } = await sources.run('schedule');
+  return { schedule, timestamp: new Date() };
+});
+
+// airsAt dihitung per request (bukan di cache) supaya selalu menunjuk tayangan berikutnya
 app.get('/api/schedule', async (req, res) => {
   try {
-    const cacheKey = 'schedule_data';
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return res.json(cached);
-    }
+    const { value, stale } = await getSchedule();
 
-    const html = await fetchWithTimeout(`${API_BASE}/anime/schedule`);
-    const $ = parseHTML(html);
-    
-    const schedule = {
-      senin: [],
-      selasa: [],
-      rabu: [],
-      kamis: [],
-      jumat: [],
-      sabtu: [],
-      minggu: []
-    };
-
-    const days = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
-    
-    days.forEach((day, idx) => {
-      $(`.schedule-${day}, [data-day="${day}"], .${day}-anime`).each((i, el) => {
-        if (i < 10) {
-          const title = $(el).find('h4, .title').text().trim();
-          const time = $(el).find('.time').text().trim();
-          const image = $(el).find('img').attr('src');
-          const link = $(el).find('a').attr('href');
-          
-          if (title) {
-            schedule[day].push({ title, time, image, link });
-          }
-        }
-      });
+    sendCached(res, {
+      value: { ...value, schedule: withAirTimes(value.schedule), timezone: SOURCE_TIMEZONE },
+      stale
     });
-
-    const result = { schedule, timestamp: new Date() };
-    cache.set(cacheKey, result);
-    res.json(result);
   } catch (error) {
     console.error('Error in /api/schedule:', error);
-    res.status(500).json({ error: 'Gagal mengambil jadwal' });
+    sendError(res, 500, 'SCHEDULE_FAILED');
   }
 });
 
 // ==================== GENRE LIST ====================
 app.get('/api/genres', async (req, res) => {
   try {
-    const cacheKey = 'genres_list';
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return res.json(cached);
-    }
-
-    const html = await fetchWithTimeout(`${API_BASE}/anime/genre`);
-    const $ = parseHTML(html);
-    
-    const genres = [];
-    $('.genre-list a, .genre-item, .genre-tag').each((idx, el) => {
-      const name = $(el).text().trim();
-      const link = $(el).attr('href');
-      const slug = link?.split('/').pop();
-      
-      if (name && link && idx < 30) {
-        genres.push({ name, slug, link, count: 0 });
-      }
+    const result = await cache.wrap('genres', CACHE_TTLS.genres, async () => {
+      const { genres } = await sources.run('genres');
+      return { genres, timestamp: new Date() };
     });
 
-    const result = { genres, timestamp: new Date() };
-    cache.set(cacheKey, result);
-    res.json(result);
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/genres:', error);
-    res.status(500).json({ error: 'Gagal mengambil genre' });
+    sendError(res, 500, 'GENRES_FAILED');
   }
 });
 
 // ==================== ANIME BY GENRE ====================
+const getGenre = (slug, page) => cache.wrap(`genre-${slug}-${page}`, CACHE_TTLS.genre, async () => {
+  const { anime, hasNextPage } = await sources.run('genre', slug, page);
+
+  return {
+    genre: slug,
+    page,
+    anime,
+    hasNextPage,
+    timestamp: new Date()
+  };
+});
+
 app.get('/api/genre/:slug', async (req, res) => {
   try {
-    const { slug } = req.params;
-    const page = req.query.page || 1;
-    
-    if (!slug.match(/^[a-z0-9-]+$/)) {
-      return res.status(400).json({ error: 'Invalid genre slug' });
-    }
-
-    const url = `${API_BASE}/anime/genre/${slug}?page=${page}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const anime = [];
-    $('.grid > .card, .anime-grid .item, .anime-list .entry').each((idx, el) => {
-      if (idx < 20) {
-        const title = $(el).find('h3, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const type = $(el).find('.type, .badge').text().trim();
-        
-        if (title && image) {
-          anime.push({ title, image, link, type, slug: link?.split('/').pop() });
-        }
-      }
-    });
-
-    const hasNextPage = $('.next, .pagination .next').length > 0;
-    
-    res.json({
-      genre: slug,
-      page: parseInt(page),
-      anime,
-      hasNextPage,
-      timestamp: new Date()
-    });
+    sendCached(res, await getGenre(req.params.slug, req.query.page));
   } catch (error) {
     console.error('Error in /api/genre/:slug:', error);
-    res.status(500).json({ error: 'Gagal mengambil anime berdasarkan genre' });
+    sendError(res, 500, 'GENRE_ANIME_FAILED');
   }
 });
 
 // ==================== COMPLETE ANIME ====================
 app.get('/api/complete', async (req, res) => {
   try {
-    const page = req.query.page || 1;
-    
-    const url = `${API_BASE}/anime/complete-anime?page=${page}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const anime = [];
-    $('.grid > .card, .anime-grid .item').each((idx, el) => {
-      if (idx < 20) {
-        const title = $(el).find('h3, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const rating = $(el).find('.rating, .score').text().trim();
-        
-        if (title && image) {
-          anime.push({ title, image, link, rating, slug: link?.split('/').pop() });
-        }
-      }
+    const { page } = req.query;
+
+    const result = await cache.wrap(`complete-${page}`, CACHE_TTLS.complete, async () => {
+      const { anime, hasNextPage } = await sources.run('complete', page);
+
+      return {
+        type: 'complete',
+        page,
+        anime,
+        hasNextPage,
+        timestamp: new Date()
+      };
     });
 
-    res.json({
-      type: 'complete',
-      page: parseInt(page),
-      anime,
-      timestamp: new Date()
-    });
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/complete:', error);
-    res.status(500).json({ error: 'Gagal mengambil anime lengkap' });
+    sendError(res, 500, 'COMPLETE_FAILED');
   }
 });
 
 // ==================== ONGOING ANIME ====================
+const getOngoing = (page) => cache.wrap(`ongoing-${page}`, CACHE_TTLS.ongoing, async () => {
+  const { anime, hasNextPage } = await sources.run('ongoing', page);
+
+  return {
+    type: 'ongoing',
+    page,
+    anime,
+    hasNextPage,
+    timestamp: new Date()
+  };
+});
+
 app.get('/api/ongoing', async (req, res) => {
   try {
-    const page = req.query.page || 1;
-    
-    const url = `${API_BASE}/anime/ongoing-anime?page=${page}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const anime = [];
-    $('.grid > .card, .anime-grid .item').each((idx, el) => {
-      if (idx < 20) {
-        const title = $(el).find('h3, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const episode = $(el).find('.episode, .ep-count').text().trim();
-        
-        if (title && image) {
-          anime.push({ title, image, link, episode, slug: link?.split('/').pop() });
-        }
-      }
-    });
-
-    res.json({
-      type: 'ongoing',
-      page: parseInt(page),
-      anime,
-      timestamp: new Date()
-    });
+    sendCached(res, await getOngoing(req.query.page));
   } catch (error) {
     console.error('Error in /api/ongoing:', error);
-    res.status(500).json({ error: 'Gagal mengambil anime berlanjut' });
+    sendError(res, 500, 'ONGOING_FAILED');
   }
 });
 
+// ==================== CATALOG ====================
+// Katalog lokal hasil crawl listing upstream, dipakai untuk search
+// Ditulis di background karena addDetail dipanggil di setiap request detail anime;
+// sisa perubahan di-flush saat shutdown (lihat bagian Start server)
+const catalogStore = createJsonStore(path.join(config.dataDir, 'catalog.json'), {
+  defaults: { items: {}, crawledAt: null },
+  saveDelay: 2000
+});
+const catalog = createCatalog({
+  store: catalogStore,
+  sources,
+  maxPages: config.catalog.maxPages,
+  genrePages: config.catalog.genrePages,
+  detailLimit: config.catalog.detailLimit
+});
+
 // ==================== SEARCH ====================
-app.get('/api/search/:query', async (req, res) => {
+// Cari di katalog lokal dulu; lanjut ke upstream hanya jika tidak ada hasil
+const searchCatalog = (req, res, next) => {
+  const { query } = req.params;
+
   try {
-    const { query } = req.params;
-    
-    if (query.length < 2) {
-      return res.status(400).json({ error: 'Query minimal 2 karakter' });
-    }
+    const { page, limit } = req.query;
+    const found = catalog.search(query.substring(0, 100), { page, limit });
 
-    const sanitizedQuery = encodeURIComponent(query.substring(0, 50));
-    const url = `${API_BASE}/anime/search/${sanitizedQuery}`;
-    
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const results = [];
-    $('.grid > .card, .anime-grid .item, .search-result').each((idx, el) => {
-      if (idx < 15) {
-        const title = $(el).find('h3, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        const type = $(el).find('.type').text().trim();
-        
-        if (title && image) {
-          results.push({ title, image, link, type, slug: link?.split('/').pop() });
-        }
-      }
-    });
+    if (found.total === 0) {
+      return next();
+    }
 
     res.json({
       query,
-      results,
-      count: results.length,
+      results: found.results,
+      count: found.total,
+      page,
+      totalPages: found.totalPages,
+      hasNextPage: page < found.totalPages,
+      source: 'catalog',
       timestamp: new Date()
     });
+  } catch (error) {
+    console.error('Error in catalog search:', error);
+    next();
+  }
+};
+
+app.get('/api/search/:query', searchCatalog, searchLimiter, async (req, res) => {
+  try {
+    const { query } = req.params;
+
+    const term = query.substring(0, 50);
+    const result = await cache.wrap(`search-${term}`, CACHE_TTLS.search, async () => {
+      const { results } = await sources.run('search', term);
+      catalog.add(results);
+
+      return {
+        query,
+        results,
+        count: results.length,
+        page: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        source: 'upstream',
+        timestamp: new Date()
+      };
+    });
+
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/search:', error);
-    res.status(500).json({ error: 'Gagal mencari anime' });
+    sendError(res, 500, 'SEARCH_FAILED');
   }
 });
 
-// ==================== ANIME DETAIL ====================
-app.get('/api/anime/:slug', async (req, res) => {
+// ==================== SEARCH SUGGESTIONS ====================
+// Saran judul untuk dropdown pencarian dari katalog dan cache, tanpa request ke upstream
+const suggest = createSuggester({ catalog, cache });
+
+app.get('/api/suggest', suggestLimiter, (req, res) => {
   try {
-    const { slug } = req.params;
-    
-    if (!slug.match(/^[a-z0-9-]+$/)) {
-      return res.status(400).json({ error: 'Invalid anime slug' });
-    }
+    const query = req.query.q.substring(0, 100);
+    const { limit } = req.query;
 
-    // Coba berbagai URL pattern
-    const urls = [
-      `${API_BASE}/anime/anime/${slug}`,
-      `${API_BASE}/anime/batch/${slug}`,
-    ];
-
-    let html;
-    for (const url of urls) {
-      try {
-        html = await fetchWithTimeout(url);
-        break;
-      } catch (e) {
-        continue;
-      }
-    }
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      query,
+      suggestions: suggest(query, { limit }),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error in /api/suggest:', error);
+    sendError(res, 500, 'SUGGEST_FAILED');
+  }
+});
 
-    if (!html) {
-      return res.status(404).json({ error: 'Anime tidak ditemukan' });
-    }
+// ==================== BROWSE ====================
+// Filter gabungan di atas katalog lokal, contoh: /api/browse?genres=action,comedy&type=tv&sort=rating
+app.get('/api/browse', (req, res) => {
+  try {
+    // Nilai dan batas setiap filter dicek oleh validator OpenAPI (genres sudah berupa array slug)
+    const { genres = [], status, type, year, season, studio, sort, page, limit } = req.query;
+    const filters = { genres, status, type, year, season, studio };
+    const result = catalog.browse(filters, { sort, page, limit });
 
-    const $ = parseHTML(html);
-    
-    const detail = {
-      title: $('h1, .anime-title').text().trim(),
-      image: $('img.poster, .anime-image img').attr('src'),
-      rating: $('.rating, .score').text().trim(),
-      type: $('.type, .badge').eq(0).text().trim(),
-      status: $('.status').text().trim(),
-      synopsis: $('.synopsis, .description, .plot').text().trim(),
-      year: $('.year').text().trim(),
-      season: $('.season').text().trim(),
-      studios: [],
-      genres: [],
-      episodes: [],
-      link: `${API_BASE}/anime/${slug}`
-    };
-
-    // Parse studios
-    $('.studio, [data-studio]').each((idx, el) => {
-      const studio = $(el).text().trim();
-      if (studio && idx < 3) {
-        detail.studios.push(studio);
-      }
+    res.json({
+      filters,
+      sort,
+      ...result,
+      hasNextPage: page < result.totalPages,
+      facets: catalog.facets(),
+      timestamp: new Date()
     });
+  } catch (error) {
+    console.error('Error in /api/browse:', error);
+    sendError(res, 500, 'BROWSE_FAILED');
+  }
+});
 
-    // Parse genres
-    $('.genre, .genre-tag, .tag-genre').each((idx, el) => {
-      const genre = $(el).text().trim();
-      if (genre && idx < 10) {
-        detail.genres.push(genre);
-      }
-    });
+// ==================== ANIME DETAIL ====================
+// null jika anime tidak ditemukan
+const getAnime = (slug) => cache.wrap(`anime-${slug}`, CACHE_TTLS.anime, async () => {
+  const detail = await sources.run('detail', slug);
+  catalog.addDetail(slug, detail);
+  return detail && { ...detail, timestamp: new Date() };
+});
 
-    // Parse episodes
-    $('.episode-list a, .ep-item, .episode-item').each((idx, el) => {
-      const epTitle = $(el).text().trim();
-      const epLink = $(el).attr('href');
-      if (epTitle && idx < 50) {
-        detail.episodes.push({ title: epTitle, link: epLink });
-      }
-    });
+app.get('/api/anime/:slug', async (req, res) => {
+  try {
+    const result = await getAnime(req.params.slug);
 
-    res.json(detail);
+    if (!result.value) {
+      return sendError(res, 404, 'ANIME_NOT_FOUND');
+    }
+
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/anime/:slug:', error);
-    res.status(500).json({ error: 'Gagal mengambil detail anime' });
+    sendError(res, 500, 'ANIME_FAILED');
   }
 });
 
 // ==================== BATCH ANIME ====================
 app.get('/api/batch/:slug', async (req, res) => {
   try {
-    const { slug } = req.params;
-    
-    const url = `${API_BASE}/anime/batch/${slug}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const batch = {
-      title: $('h1, .anime-title').text().trim(),
-      image: $('img.poster').attr('src'),
-      description: $('.description, .synopsis').text().trim(),
-      totalEpisodes: 0,
-      episodes: [],
-      downloadLinks: []
-    };
-
-    // Parse episodes
-    $('.episode-list .item, .episodes a').each((idx, el) => {
-      const ep = $(el).text().trim();
-      if (ep && idx < 100) {
-        batch.episodes.push(ep);
-      }
-    });
+    const batch = await sources.run('batch', req.params.slug);
 
-    batch.totalEpisodes = batch.episodes.length;
+    if (!batch) {
+      return sendError(res, 404, 'BATCH_NOT_FOUND');
+    }
 
-    res.json(batch);
+    res.json({ ...batch, timestamp: new Date() });
   } catch (error) {
     console.error('Error in /api/batch/:slug:', error);
-    res.status(500).json({ error: 'Gagal mengambil batch anime' });
+    sendError(res, 500, 'BATCH_FAILED');
+  }
+});
+
+// ==================== EPISODE ====================
+app.get('/api/episode/:slug', async (req, res) => {
+  try {
+    const episode = await sources.run('episode', req.params.slug);
+
+    if (!episode) {
+      return sendError(res, 404, 'EPISODE_NOT_FOUND');
+    }
+
+    res.json({ ...episode, timestamp: new Date() });
+  } catch (error) {
+    console.error('Error in /api/episode/:slug:', error);
+    sendError(res, 500, 'EPISODE_FAILED');
   }
 });
 
 // ==================== STREAMING SERVER ====================
 app.get('/api/stream/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    if (!id.match(/^[A-Z0-9-]+$/)) {
-      return res.status(400).json({ error: 'Invalid server ID' });
-    }
+    const stream = await sources.run('stream', req.params.id);
 
-    const url = `${API_BASE}/anime/server/${id}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const stream = {
-      id,
-      title: $('h1').text().trim(),
-      description: $('.description').text().trim(),
-      players: [],
-      quality: ['480p', '720p', '1080p']
-    };
-
-    // Parse player embeds
-    $('iframe, .player, .embed').each((idx, el) => {
-      const src = $(el).attr('src') || $(el).attr('data-src');
-      if (src && idx < 5) {
-        stream.players.push({ 
-          type: 'embed',
-          source: src,
-          quality: ['auto']
-        });
-      }
-    });
+    if (!stream) {
+      return sendError(res, 404, 'STREAM_NOT_FOUND');
+    }
 
-    res.json(stream);
+    res.json({ ...stream, timestamp: new Date() });
   } catch (error) {
     console.error('Error in /api/stream/:id:', error);
-    res.status(500).json({ error: 'Gagal mengambil stream' });
+    sendError(res, 500, 'STREAM_FAILED');
   }
 });
 
 // ==================== UNLIMITED CONTENT ====================
 app.get('/api/unlimited', async (req, res) => {
   try {
-    const page = req.query.page || 1;
-    
-    const url = `${API_BASE}/anime/unlimited?page=${page}`;
-    const html = await fetchWithTimeout(url);
-    const $ = parseHTML(html);
-    
-    const unlimited = [];
-    $('.grid > .card, .item').each((idx, el) => {
-      if (idx < 20) {
-        const title = $(el).find('h3, .title').text().trim();
-        const image = $(el).find('img').attr('src');
-        const link = $(el).find('a').attr('href');
-        
-        if (title && image) {
-          unlimited.push({ title, image, link, slug: link?.split('/').pop() });
-        }
-      }
-    });
+    const { page } = req.query;
+
+    const { anime } = await sources.run('unlimited', page);
 
     res.json({
       type: 'unlimited',
-      page: parseInt(page),
-      anime: unlimited,
+      page,
+      anime,
       timestamp: new Date()
     });
   } catch (error) {
     console.error('Error in /api/unlimited:', error);
-    res.status(500).json({ error: 'Gagal mengambil unlimited' });
+    sendError(res, 500, 'UNLIMITED_FAILED');
   }
 });
 
+// ==================== WATCH HISTORY ====================
+const historyStore = createJsonStore(path.join(config.dataDir, 'history.json'));
+app.use('/api/history', createHistoryRouter({ store: historyStore }));
+
+// ==================== LIBRARY / WATCHLIST ====================
+const libraryStore = createJsonStore(path.join(config.dataDir, 'library.json'));
+app.use('/api/library', createLibraryRouter({ store: libraryStore }));
+
+// ==================== EPISODE NOTIFICATIONS ====================
+// Cek berkala episode baru untuk anime yang diikuti (library watching/plan_to_watch)
+const episodeWatcher = createEpisodeWatcher({
+  store: createJsonStore(path.join(config.dataDir, 'notifications.json'), { defaults: { known: {}, notifications: [] } }),
+  sources,
+  getFollowed: () => followedItems(libraryStore)
+});
+app.use('/api/notifications', createNotificationsRouter({ watcher: episodeWatcher }));
+
+// ==================== SCHEDULE CALENDAR ====================
+app.get('/api/schedule.ics', async (req, res) => {
+  try {
+    const { followed } = req.query;
+    const { value } = await getSchedule();
+
+    let filter;
+    if (followed) {
+      const slugs = new Set(followedItems(libraryStore).map((item) => item.slug));
+      filter = (item) => slugs.has(slugFromLink(item.link));
+    }
+
+    res
+      .type('text/calendar; charset=utf-8')
+      .set('Content-Disposition', `inline; filename="${followed ? 'jadwal-diikuti' : 'jadwal-anime'}.ics"`)
+      .send(toICalendar(value.schedule, {
+        name: followed ? 'Jadwal Anime Diikuti' : 'Jadwal Anime',
+        filter
+      }));
+  } catch (error) {
+    console.error('Error in /api/schedule.ics:', error);
+    sendError(res, 500, 'CALENDAR_FAILED');
+  }
+});
+
+// ==================== RSS / ATOM FEEDS ====================
+app.use('/feeds', feedLimiter, createFeedsRouter({
+  getOngoing,
+  getGenre,
+  getAnime,
+  dates: createFeedDates({ store: createJsonStore(path.join(config.dataDir, 'feed-dates.json')) })
+}));
+
+// ==================== IMAGE PROXY ====================
+const imageProxy = createImageProxy({
+  dir: config.images.dir,
+  allowedHosts: config.images.allowedHosts,
+  fetchImage: (url, options) => fetchImage(url, {
+    ...options,
+    timeout: config.upstream.timeout,
+    // Hotlink protection upstream hanya menerima request dari situsnya sendiri
+    referer: `${config.upstream.baseUrl}/`
+  }),
+  ttl: config.images.ttl,
+  maxBytes: config.images.maxBytes
+});
+app.use('/api/image', imageLimiter, createImageRouter({ proxy: imageProxy, maxAge: config.images.ttl }));
+
 // ==================== CACHE STATS ====================
+// Daftar key hanya tersedia lewat /api/admin/cache
 app.get('/api/cache-stats', (req, res) => {
-  const keys = cache.keys();
   res.json({
-    cached_items: keys.length,
-    keys: keys,
-    stats: cache.getStats()
+    cached_items: cache.keys().length,
+    stats: cache.getStats(),
+    timestamp: new Date()
   });
 });
 
+// ==================== CACHE ADMIN ====================
+app.use('/api/admin', createAdminRouter({ cache, ttls: CACHE_TTLS, token: config.adminToken }));
+
 // ==================== HEALTH CHECK ====================
 app.get('/api/health', (req, res) => {
+  const upstream = getUpstreamStats();
+  const degraded = upstream.breakers.some((breaker) => breaker.state !== 'closed');
+
   res.json({ 
-    status: 'ok',
-    message: 'Server berjalan dengan baik',
+    status: degraded ? 'degraded' : 'ok',
+    message: translate(localeFor(req), degraded ? 'HEALTH_DEGRADED' : 'HEALTH_OK'),
+    sources: sources.sources.map((source) => ({
+      name: source.name,
+      rulesVersion: source.rules?.version
+    })),
+    upstream,
+    catalog: catalog.stats(),
+    notifications: episodeWatcher.stats(),
+    images: imageProxy.stats(),
     timestamp: new Date()
   });
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server berjalan di http://localhost:${PORT}`);
-  console.log(`API tersedia di http://localhost:${PORT}/api`);
-  console.log('Rate limiting aktif untuk mencegah spam');
+// ==================== API DOCS ====================
+// Dokumen OpenAPI 3 semua route /api/*, bisa dipakai untuk generate client
+app.get('/api/docs', (req, res) => {
+  res.json(OPENAPI_SPEC);
 });
+
+// Start server (tidak dijalankan saat di-require oleh test)
+if (require.main === module) {
+  const PORT = config.port;
+
+  if (config.catalog.crawl) {
+    catalog.start(config.catalog.interval * 1000);
+  }
+  if (config.notifications.check) {
+    episodeWatcher.start(config.notifications.interval * 1000);
+  }
+
+  const server = app.listen(PORT, () => {
+    console.log(`Server berjalan di http://localhost:${PORT} (profile ${config.profile})`);
+    console.log(`API tersedia di http://localhost:${PORT}/api`);
+    console.log('Rate limiting aktif untuk mencegah spam');
+  });
+
+  // SIGINT/SIGTERM (Ctrl-C, container stop) tidak memicu event 'exit',
+  // jadi job dihentikan dan perubahan katalog yang tertunda ditulis di sini
+  const shutdown = (signal) => {
+    console.log(`${signal} diterima, menghentikan server...`);
+    catalog.stop();
+    episodeWatcher.stop();
+    catalogStore.flush();
+    server.close(() => process.exit(0));
+    // Koneksi SSE yang masih terbuka menahan close(), jadi jangan tunggu terlalu lama
+    setTimeout(() => process.exit(0), 5000).unref();
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+module.exports = app;
   
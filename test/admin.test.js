@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const { createCache } = require('../lib/cache');
+const { createAdminRouter } = require('../lib/routes/admin');
+
+describe('/api/admin', () => {
+  const token = 'secret-token';
+  let cache;
+  let ttls;
+  let app;
+
+  const build = (adminToken = token) => {
+    const server = express();
+    server.use(express.json());
+    server.use('/api/admin', createAdminRouter({ cache, ttls, token: adminToken }));
+    return server;
+  };
+
+  beforeEach(async () => {
+    cache = createCache();
+    ttls = { home: 600, genre: 900 };
+    app = build();
+
+    await cache.wrap('home', 600, async () => ({ n: 1 }));
+    await cache.wrap('genre-action-1', 900, async () => ({ n: 2 }));
+    await cache.wrap('genre-action-2', 900, async () => ({ n: 3 }));
+  });
+
+  const admin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  test('is disabled without ADMIN_TOKEN and rejects wrong tokens', async () => {
+    await request(build('')).get('/api/admin/cache').set('Authorization', 'Bearer ').expect(503);
+    await request(app).get('/api/admin/cache').set('Authorization', 'Bearer nope').expect(401);
+    await request(app).get('/api/admin/cache').set('X-Admin-Token', token).expect(200);
+  });
+
+  test('lists keys with age and ttl', async () => {
+    const res = await admin('get', '/api/admin/cache?prefix=genre-').expect(200);
+
+    expect(res.body.count).toBe(2);
+    expect(res.body.entries[0]).toMatchObject({ key: 'genre-action-1', age: 0, ttl: 900, stale: false });
+    expect(res.body.ttls).toEqual(ttls);
+  });
+
+  test('purges by exact key or prefix', async () => {
+    let res = await admin('delete', '/api/admin/cache?key=home').expect(200);
+    expect(res.body.purged).toEqual(['home']);
+
+    res = await admin('delete', '/api/admin/cache?prefix=genre-*').expect(200);
+    expect(res.body.purged).toEqual(['genre-action-1', 'genre-action-2']);
+    expect(cache.keys()).toEqual([]);
+
+    await admin('delete', '/api/admin/cache').expect(400);
+  });
+
+  test('force-refreshes a key with its last loader', async () => {
+    const loader = jest.fn()
+      .mockResolvedValueOnce({ title: 'Old' })
+      .mockResolvedValueOnce({ title: 'Fixed' });
+    await cache.wrap('anime-x', 600, loader);
+
+    const res = await admin('post', '/api/admin/cache/refresh').send({ key: 'anime-x' }).expect(200);
+
+    expect(res.body).toMatchObject({ key: 'anime-x', refreshed: true, entry: { ttl: 600 } });
+    expect(cache.get('anime-x')).toEqual({ title: 'Fixed' });
+    await admin('post', '/api/admin/cache/refresh').send({ key: 'anime-unknown' }).expect(404);
+  });
+
+  test('changes ttls at runtime', async () => {
+    const res = await admin('put', '/api/admin/cache/ttls').send({ home: 60 }).expect(200);
+    expect(res.body.ttls).toEqual({ home: 60, genre: 900 });
+    expect(ttls.home).toBe(60);
+
+    await admin('put', '/api/admin/cache/ttls').send({ home: -1 }).expect(400);
+    await admin('put', '/api/admin/cache/ttls').send({ unknown: 10 }).expect(400);
+    // Properti bawaan Object bukan route
+    await admin('put', '/api/admin/cache/ttls').send({ constructor: 10 }).expect(400);
+    await admin('put', '/api/admin/cache/ttls').set('Content-Type', 'application/json').send('{"__proto__": 10}').expect(400);
+  });
+});
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.UPSTREAM_MODE = 'replay';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-data-'));
+process.env.CACHE_BACKEND = 'memory';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+// Suite ini mengirim lebih banyak request dari batas default per IP
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+// Cukup untuk test feed di bawah; test limiter feed menghabiskan sisanya
+process.env.FEED_RATE_LIMIT_MAX_REQUESTS = '8';
+
+const request = require('supertest');
+const app = require('../server');
+
+// Semua request dilayani dari test/fixtures/upstream, tanpa network
+describe('API routes (replay fixtures)', () => {
+  let errorSpy;
+  let warnSpy;
+
+  beforeAll(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  const animeItem = expect.objectContaining({
+    title: expect.any(String),
+    image: expect.stringMatching(/^https:\/\//),
+    link: expect.any(String),
+    slug: expect.stringMatching(/^[a-z0-9-]+$/)
+  });
+
+  test('GET /api/home', async () => {
+    const res = await request(app).get('/api/home').expect(200);
+
+    expect(res.body.featured).toHaveLength(2);
+    expect(res.body.featured[0]).toEqual({
+      title: 'One Piece',
+      image: 'https://cdn.sankavollerei.com/banner/one-piece.jpg',
+      link: 'https://www.sankavollerei.com/anime/one-piece',
+      rating: '8.9'
+    });
+    expect(res.body.trending).toHaveLength(3);
+    expect(res.body.trending).toEqual(expect.arrayContaining([animeItem]));
+    expect(res.body.trending[2]).toMatchObject({ type: 'Movie', status: 'Completed', slug: 'kimi-no-na-wa' });
+    expect(res.body.timestamp).toEqual(expect.any(String));
+  });
+
+  test('GET /api/schedule', async () => {
+    const res = await request(app).get('/api/schedule').expect(200);
+
+    expect(Object.keys(res.body.schedule)).toEqual(
+      ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu']
+    );
+    expect(res.body.schedule.senin).toHaveLength(2);
+    expect(res.body.timezone).toBe('Asia/Jakarta');
+    expect(res.body.schedule.senin[0]).toEqual({
+      title: 'Dandadan',
+      time: '22:30',
+      image: 'https://cdn.sankavollerei.com/poster/dandadan.jpg',
+      link: 'https://www.sankavollerei.com/anime/dandadan',
+      slug: 'dandadan',
+      airsAt: expect.stringMatching(/T15:30:00\.000Z$/)
+    });
+    expect(res.body.schedule.rabu[0].title).toBe('One Piece');
+    expect(res.body.schedule.minggu[0]).toMatchObject({ title: 'Jujutsu Kaisen', time: '', airsAt: null });
+    expect(res.body.schedule.selasa).toEqual([]);
+  });
+
+  test('GET /api/schedule.ics', async () => {
+    const res = await request(app).get('/api/schedule.ics').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(4);
+    expect(res.text).toContain('SUMMARY:One Piece');
+  });
+
+  test('GET /api/schedule.ics?followed=true only includes library titles', async () => {
+    await request(app).put('/api/library/one-piece').send({ status: 'watching', title: 'One Piece' }).expect(201);
+    await request(app).put('/api/library/dandadan').send({ status: 'completed' }).expect(201);
+
+    const res = await request(app).get('/api/schedule.ics?followed=true').expect(200);
+
+    expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(res.text).toContain('UID:one-piece-rabu@animestream');
+
+    await request(app).delete('/api/library/one-piece').expect(200);
+    await request(app).delete('/api/library/dandadan').expect(200);
+  });
+
+  test('GET /api/genres', async () => {
+    const res = await request(app).get('/api/genres').expect(200);
+
+    expect(res.body.genres).toHaveLength(4);
+    expect(res.body.genres[3]).toEqual({
+      name: 'Slice of Life',
+      slug: 'slice-of-life',
+      link: 'https://www.sankavollerei.com/anime/genre/slice-of-life',
+      count: 0
+    });
+  });
+
+  test('GET /api/genre/:slug', async () => {
+    const res = await request(app).get('/api/genre/action?page=1').expect(200);
+
+    expect(res.body).toMatchObject({ genre: 'action', page: 1, hasNextPage: true });
+    expect(res.body.anime).toHaveLength(3);
+    expect(res.body.anime).toEqual(expect.arrayContaining([animeItem]));
+    expect(res.body.anime[2].type).toBe('Movie');
+  });
+
+  test('GET /api/genre/:slug rejects invalid slugs', async () => {
+    const res = await request(app).get('/api/genre/Action!').expect(400);
+    expect(res.body.error).toBe('Slug genre tidak valid');
+  });
+
+  test('GET /api/complete', async () => {
+    const res = await request(app).get('/api/complete').expect(200);
+
+    expect(res.body).toMatchObject({ type: 'complete', page: 1, hasNextPage: false });
+    expect(res.body.anime.map((anime) => anime.rating)).toEqual(['9.3', '8.8', '9.1']);
+    expect(res.body.anime[0].altTitles).toEqual(["Frieren: Beyond Journey's End"]);
+  });
+
+  test('GET /api/ongoing', async () => {
+    const res = await request(app).get('/api/ongoing').expect(200);
+
+    expect(res.body).toMatchObject({ type: 'ongoing', page: 1, hasNextPage: false });
+    expect(res.body.anime[0]).toMatchObject({ title: 'One Piece', episode: 'Episode 1120', slug: 'one-piece' });
+    expect(res.body.anime[1].episode).toBe('Episode 8');
+  });
+
+  test('GET /api/search/:query', async () => {
+    const res = await request(app).get('/api/search/naruto').expect(200);
+
+    expect(res.body).toMatchObject({ query: 'naruto', count: 3, source: 'upstream' });
+    expect(res.body.results).toEqual(expect.arrayContaining([animeItem]));
+  });
+
+  test('GET /api/search/:query answers from the local catalog after an upstream hit', async () => {
+    const res = await request(app).get('/api/search/naruto%20shipuden').expect(200);
+
+    expect(res.body).toMatchObject({ source: 'catalog', page: 1, hasNextPage: false });
+    expect(res.body.results[0]).toMatchObject({ slug: 'naruto-shippuden', title: 'Naruto Shippuden' });
+  });
+
+  test('GET /api/search/:query requires 2 characters', async () => {
+    const res = await request(app).get('/api/search/a').expect(400);
+    expect(res.body.error).toBe('Query minimal 2 karakter');
+  });
+
+  test('GET /api/suggest suggests titles from cached search results', async () => {
+    const res = await request(app).get('/api/suggest?q=naru').expect(200);
+
+    expect(res.headers['cache-control']).toBe('public, max-age=60');
+    expect(res.body.query).toBe('naru');
+    expect(res.body.suggestions.map((item) => item.slug)).toEqual(['naruto', 'naruto-shippuden', 'boruto-naruto-next-generations']);
+    expect(res.body.suggestions[0]).toEqual({
+      slug: 'naruto',
+      title: 'Naruto',
+      image: 'https://cdn.sankavollerei.com/poster/naruto.jpg',
+      type: 'TV'
+    });
+  });
+
+  test('GET /api/suggest requires 2 characters', async () => {
+    const res = await request(app).get('/api/suggest?q=a').expect(400);
+    expect(res.body.error).toBe('Query minimal 2 karakter');
+  });
+
+  test('GET /api/anime/:slug', async () => {
+    const res = await request(app).get('/api/anime/one-piece').expect(200);
+
+    expect(res.body).toEqual({
+      title: 'One Piece',
+      image: 'https://cdn.sankavollerei.com/poster/one-piece.jpg',
+      rating: '8.9',
+      type: 'TV',
+      status: 'Ongoing',
+      synopsis: expect.stringContaining('Monkey D. Luffy'),
+      year: '1999',
+      season: 'Fall 1999',
+      studios: ['Toei Animation'],
+      genres: ['Action', 'Adventure', 'Fantasy'],
+      episodes: [
+        { title: 'Episode 1', link: 'https://www.sankavollerei.com/anime/episode/one-piece-episode-1' },
+        { title: 'Episode 2', link: 'https://www.sankavollerei.com/anime/episode/one-piece-episode-2' },
+        { title: 'Episode 3', link: 'https://www.sankavollerei.com/anime/episode/one-piece-episode-3' }
+      ],
+      link: 'https://www.sankavollerei.com/anime/one-piece',
+      timestamp: expect.any(String)
+    });
+  });
+
+  test('GET /api/browse filters the catalog with details from /api/anime/:slug', async () => {
+    const res = await request(app).get('/api/browse?genres=action,adventure&type=TV&season=fall&year=1999&sort=rating').expect(200);
+
+    expect(res.body).toMatchObject({ total: 1, page: 1, hasNextPage: false, sort: 'rating' });
+    expect(res.body.anime[0]).toMatchObject({ slug: 'one-piece', studios: ['Toei Animation'] });
+    expect(res.body.facets.types).toEqual(expect.arrayContaining([expect.objectContaining({ value: 'tv' })]));
+
+    await request(app).get('/api/browse?genres=action&year=2001').expect(200)
+      .then(({ body }) => expect(body.total).toBe(0));
+    await request(app).get('/api/browse?sort=views').expect(400);
+    await request(app).get('/api/browse?type=manga').expect(400);
+  });
+
+  test('GET /api/anime/:slug returns 404 when upstream has no page', async () => {
+    const res = await request(app).get('/api/anime/does-not-exist').expect(404);
+    expect(res.body.error).toBe('Anime tidak ditemukan');
+  });
+
+  test('localizes error messages from Accept-Language and keeps the code stable', async () => {
+    const res = await request(app).get('/api/anime/does-not-exist').set('Accept-Language', 'en-US,en;q=0.9').expect(404);
+
+    expect(res.body).toEqual({ error: 'Anime not found', code: 'ANIME_NOT_FOUND' });
+    expect(res.headers.vary).toContain('Accept-Language');
+
+    const invalid = await request(app).get('/api/browse?sort=views').set('Accept-Language', 'en').expect(400);
+    expect(invalid.body).toEqual({ error: 'sort must be one of: latest, rating, title', code: 'INVALID_OPTION' });
+  });
+
+  test('GET /api/batch/:slug has the same shape as /api/anime/:slug', async () => {
+    const res = await request(app).get('/api/batch/one-piece').expect(200);
+
+    expect(res.body).toEqual({
+      title: 'One Piece Batch',
+      image: 'https://cdn.sankavollerei.com/poster/one-piece.jpg',
+      synopsis: 'Download One Piece episode 1-3 sekaligus.',
+      episodes: [1, 2, 3].map((n) => ({ title: `Episode ${n}`, link: '#' })),
+      link: 'https://www.sankavollerei.com/anime/one-piece',
+      timestamp: expect.any(String)
+    });
+
+    await request(app).get('/api/batch/One_Piece').expect(400);
+  });
+
+  test('GET /api/episode/:slug', async () => {
+    const res = await request(app).get('/api/episode/one-piece-episode-2').expect(200);
+
+    expect(res.body).toMatchObject({
+      slug: 'one-piece-episode-2',
+      number: 2,
+      title: 'One Piece Episode 2 Subtitle Indonesia',
+      animeSlug: 'one-piece',
+      prevEpisode: 'one-piece-episode-1',
+      nextEpisode: 'one-piece-episode-3'
+    });
+    expect(res.body.servers).toEqual([
+      { quality: '480p', servers: [{ name: 'Desustream', id: 'SRV-01' }, { name: 'Mega', id: 'SRV-02' }] },
+      { quality: '720p', servers: [{ name: 'Desustream', id: 'SRV-03' }] }
+    ]);
+    expect(res.body.downloads).toEqual([
+      {
+        quality: 'MP4 480p',
+        size: '45 MB',
+        links: [
+          { name: 'Zippyshare', url: 'https://files.example.com/op-2-480.mp4' },
+          { name: 'Mega', url: 'https://mega.example.com/op-2-480' }
+        ]
+      },
+      { quality: 'MP4 720p', size: '90 MB', links: [{ name: 'Mega', url: 'https://mega.example.com/op-2-720' }] }
+    ]);
+  });
+
+  test('GET /api/episode/:slug has no previous episode for the first one', async () => {
+    const res = await request(app).get('/api/episode/one-piece-episode-1').expect(200);
+    expect(res.body).toMatchObject({ number: 1, prevEpisode: null, nextEpisode: 'one-piece-episode-2' });
+  });
+
+  test('GET /api/episode/:slug returns 404 for unknown episodes', async () => {
+    const res = await request(app).get('/api/episode/one-piece-episode-999').expect(404);
+    expect(res.body.error).toBe('Episode tidak ditemukan');
+  });
+
+  test('GET /api/episode/:slug rejects invalid slugs', async () => {
+    await request(app).get('/api/episode/One_Piece').expect(400);
+  });
+
+  test('GET /api/stream/:id', async () => {
+    const res = await request(app).get('/api/stream/SRV-01').expect(200);
+
+    expect(res.body).toMatchObject({ id: 'SRV-01', title: 'One Piece Episode 1' });
+    expect(res.body.players).toEqual([
+      { type: 'embed', source: 'https://player.sankavollerei.com/embed/srv-01-480p', quality: ['auto'] },
+      { type: 'embed', source: 'https://player.sankavollerei.com/embed/srv-01-720p', quality: ['auto'] }
+    ]);
+    // Rules hanya menyebut "auto", jadi tidak ada kualitas yang bisa dipilih
+    expect(res.body.quality).toEqual([]);
+  });
+
+  test('GET /api/batch/:slug and /api/stream/:id return 404 when upstream has no page', async () => {
+    const batch = await request(app).get('/api/batch/nope').expect(404);
+    expect(batch.body).toEqual({ error: 'Batch anime tidak ditemukan', code: 'BATCH_NOT_FOUND' });
+
+    const stream = await request(app).get('/api/stream/NOPE').expect(404);
+    expect(stream.body).toEqual({ error: 'Server stream tidak ditemukan', code: 'STREAM_NOT_FOUND' });
+  });
+
+  test('GET /api/stream/:id rejects invalid ids', async () => {
+    await request(app).get('/api/stream/srv-01').expect(400);
+  });
+
+  test('GET /api/unlimited', async () => {
+    const res = await request(app).get('/api/unlimited').expect(200);
+
+    expect(res.body).toMatchObject({ type: 'unlimited', page: 1 });
+    expect(res.body.anime).toHaveLength(2);
+    expect(res.body.anime).toEqual(expect.arrayContaining([animeItem]));
+  });
+
+  test('listing pages use their own rate limit instead of the general API quota', async () => {
+    const before = await request(app).get('/api/home').expect(200);
+    const listing = await request(app).get('/api/ongoing?page=2');
+    const after = await request(app).get('/api/home').expect(200);
+
+    expect(listing.headers['ratelimit-limit']).toBe('120');
+    expect(Number(after.headers['ratelimit-remaining'])).toBe(Number(before.headers['ratelimit-remaining']) - 1);
+  });
+
+  test('returns 500 when upstream fails', async () => {
+    const res = await request(app).get('/api/complete?page=99').expect(500);
+    expect(res.body.error).toBe('Gagal mengambil anime lengkap');
+  });
+
+  test('serves the PWA manifest and service worker', async () => {
+    const manifest = await request(app).get('/manifest.webmanifest').expect(200);
+    expect(manifest.headers['content-type']).toMatch(/^application\/manifest\+json/);
+    expect(JSON.parse(manifest.text)).toMatchObject({ short_name: 'AnimeStream', display: 'standalone', start_url: '/#/' });
+
+    const sw = await request(app).get('/sw.js').expect(200);
+    expect(sw.text).toContain("'/app.js'");
+  });
+
+  test('serves the frontend with a strict Content-Security-Policy', async () => {
+    const res = await request(app).get('/').expect(200);
+    const csp = res.headers['content-security-policy'];
+
+    expect(csp).toContain("script-src 'self'");
+    expect(csp).toContain("object-src 'none'");
+    expect(csp).not.toContain('unsafe-inline');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    // Markup statis tidak boleh bergantung pada script/handler/style inline
+    expect(res.text).not.toMatch(/<script>|\son[a-z]+=|\sstyle=/i);
+  });
+
+  test('GET /api/image validates the url before touching upstream', async () => {
+    const denied = await request(app).get('/api/image').query({ url: 'https://evil.test/a.jpg' }).expect(403);
+    expect(denied.body.error).toContain('evil.test');
+
+    await request(app).get('/api/image').query({ url: 'javascript:alert(1)' }).expect(400);
+    await request(app).get('/api/image').query({ url: 'https://cdn.sankavollerei.com/a.jpg', w: '999' }).expect(400);
+    // Mode replay tidak mengambil gambar dari network
+    await request(app).get('/api/image').query({ url: 'https://cdn.sankavollerei.com/a.jpg' }).expect(502);
+  });
+
+  test('GET /api/health', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+    expect(res.body).toMatchObject({ status: 'ok', sources: [{ name: 'sankavollerei', rulesVersion: 4 }] });
+    expect(res.body.upstream).toMatchObject({ active: 0, queued: 0, inflight: 0, breakers: [] });
+  });
+
+  test('GET /feeds/ongoing.xml', async () => {
+    const res = await request(app).get('/feeds/ongoing.xml').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^application\/rss\+xml/);
+    expect(res.text).toContain('<guid isPermaLink="false">urn:animestream:ongoing:one-piece:episode-1120</guid>');
+    expect(res.text).toContain('<enclosure url="https://cdn.sankavollerei.com/poster/one-piece.jpg" type="image/jpeg" length="0"/>');
+  });
+
+  test('GET /feeds/genre/:slug.xml?format=atom', async () => {
+    const res = await request(app).get('/feeds/genre/action.xml?format=atom').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^application\/atom\+xml/);
+    expect(res.text.match(/<entry>/g)).toHaveLength(3);
+    expect(res.text).toContain('<id>urn:animestream:genre:action:jujutsu-kaisen</id>');
+  });
+
+  test('GET /feeds/anime/:slug.xml lists newest episodes first', async () => {
+    const res = await request(app).get('/feeds/anime/one-piece.xml').expect(200);
+
+    const guids = [...res.text.matchAll(/<guid isPermaLink="false">([^<]+)<\/guid>/g)].map(([, guid]) => guid);
+    expect(guids).toEqual([3, 2, 1].map((n) => `urn:animestream:episode:one-piece-episode-${n}`));
+
+    await request(app).get('/feeds/anime/one-piece.xml?format=json').expect(400);
+    await request(app).get('/feeds/anime/Bad!.xml').expect(400);
+  });
+
+  test('/feeds has its own rate limit', async () => {
+    let res;
+    for (let i = 0; i < 8 && res?.status !== 429; i++) {
+      res = await request(app).get('/feeds/anime/Bad!.xml');
+    }
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('FEED_RATE_LIMITED');
+    expect(res.headers['ratelimit-limit']).toBe('8');
+  });
+
+  test('GET /api/notifications', async () => {
+    const res = await request(app).get('/api/notifications').expect(200);
+    expect(res.body).toMatchObject({ notifications: [], unread: 0, total: 0 });
+
+    const read = await request(app).post('/api/notifications/read').send({ ids: 'all' }).expect(400);
+    expect(read.body.error).toBe('ids harus array string');
+    await request(app).post('/api/notifications/read').send({}).expect(200, { unread: 0 });
+  });
+
+  test('GET /api/notifications/stream sends server-sent events', async () => {
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    const firstChunk = await new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${port}/api/notifications/stream`, (res) => {
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        // Sambungan ulang EventSource tidak dihitung ke limiter API
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.includes('event: read')) {
+            req.destroy();
+            resolve(body);
+          }
+        });
+      });
+      req.on('error', reject);
+    });
+
+    expect(firstChunk).toContain('event: read\ndata: {"unread":0}');
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('GET /api/cache-stats', async () => {
+    const res = await request(app).get('/api/cache-stats').expect(200);
+    expect(res.body.keys).toBeUndefined();
+    expect(res.body.stats).toMatchObject({ backend: 'memory', misses: expect.any(Number) });
+  });
+
+  test('GET /api/docs serves the OpenAPI document', async () => {
+    const res = await request(app).get('/api/docs').expect(200);
+
+    expect(res.body.openapi).toBe('3.0.3');
+    expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining(['/api/anime/{slug}', '/api/batch/{slug}', '/api/docs']));
+    expect(res.body.paths['/api/batch/{slug}'].get.responses[200]).toEqual(res.body.paths['/api/anime/{slug}'].get.responses[200]);
+  });
+
+  test('validates query parameters against the OpenAPI document', async () => {
+    const page = await request(app).get('/api/complete?page=abc').set('Accept-Language', 'en').expect(400);
+    expect(page.body).toEqual({ error: 'Invalid parameter page', code: 'INVALID_PARAM' });
+
+    await request(app).get('/api/unlimited?page=0').expect(400);
+    await request(app).get('/api/search/naruto?limit=500').expect(400);
+    await request(app).get('/api/browse?year=1999abc').expect(400, { error: 'year tidak valid', code: 'INVALID_YEAR' });
+    await request(app).get('/api/schedule.ics?followed=maybe').expect(400);
+    await request(app).get('/api/search/%E0%A4%A').expect(400, { error: 'Parameter query tidak valid', code: 'INVALID_PARAM' });
+
+    const empty = await request(app).get('/api/complete?page=').expect(200);
+    expect(empty.body.page).toBe(1);
+  });
+
+  test('GET /api/admin/cache lists cached routes for admins only', async () => {
+    await request(app).get('/api/admin/cache').expect(401);
+
+    const res = await request(app)
+      .get('/api/admin/cache')
+      .set('Authorization', 'Bearer test-admin-token')
+      .expect(200);
+    expect(res.body.entries.map((entry) => entry.key))
+      .toEqual(expect.arrayContaining(['home', 'schedule', 'genres', 'genre-action-1', 'anime-one-piece']));
+  });
+
+  // VALIDATE_RESPONSES aktif di profile test: setiap response di atas sudah dicek terhadap lib/openapi.js
+  test('every response above matched its OpenAPI schema', () => {
+    const problems = errorSpy.mock.calls.filter(([message]) => String(message).includes('tidak sesuai OpenAPI'));
+    expect(problems).toEqual([]);
+  });
+});
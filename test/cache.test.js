@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache, createFileBackend } = require('../lib/cache');
+
+describe('cache with stale-while-revalidate', () => {
+  let clock;
+  let cache;
+  let errorSpy;
+
+  const now = () => clock;
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    cache = createCache({ staleTtl: 60, sweepInterval: 0, now });
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('serves fresh entries without calling the loader again', async () => {
+    const loader = jest.fn().mockResolvedValue({ n: 1 });
+
+    expect(await cache.wrap('home', 10, loader)).toEqual({ value: { n: 1 }, stale: false });
+    clock += 5000;
+    expect(await cache.wrap('home', 10, loader)).toEqual({ value: { n: 1 }, stale: false });
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns stale data and revalidates in the background', async () => {
+    await cache.wrap('home', 10, async () => ({ n: 1 }));
+    clock += 20 * 1000;
+
+    const loader = jest.fn().mockResolvedValue({ n: 2 });
+    expect(await cache.wrap('home', 10, loader)).toEqual({ value: { n: 1 }, stale: true });
+    await flush();
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(await cache.wrap('home', 10, loader)).toEqual({ value: { n: 2 }, stale: false });
+  });
+
+  test('keeps serving the last good copy when upstream fails', async () => {
+    await cache.wrap('anime-x', 10, async () => ({ title: 'X' }));
+    clock += 3600 * 1000;
+
+    const result = await cache.wrap('anime-x', 10, () => Promise.reject(new Error('down')));
+
+    expect(result).toEqual({ value: { title: 'X' }, stale: true });
+    expect(cache.getStats()).toMatchObject({ errors: 1, misses: 2 });
+  });
+
+  test('throws when upstream fails and nothing is cached', async () => {
+    await expect(cache.wrap('home', 10, () => Promise.reject(new Error('down')))).rejects.toThrow('down');
+  });
+
+  test('does not cache null results', async () => {
+    await cache.wrap('anime-missing', 10, async () => null);
+    expect(cache.keys()).toEqual([]);
+  });
+
+  test('sweep removes entries past the stale window together with their loaders', async () => {
+    await cache.wrap('home', 10, async () => ({ n: 1 }));
+    await cache.wrap('anime-missing', 10, async () => null);
+    clock += 30 * 1000;
+    await cache.wrap('schedule', 10, async () => ({ n: 2 }));
+    clock += 50 * 1000;
+
+    expect(cache.sweep()).toBe(1);
+    expect(cache.keys()).toEqual(['schedule']);
+    expect(await cache.refresh('home')).toBeUndefined();
+    expect(await cache.refresh('anime-missing')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ evicted: 1, keys: 1 });
+  });
+
+  test('evicts the oldest entries beyond maxEntries', async () => {
+    const small = createCache({ maxEntries: 2, sweepInterval: 0, now });
+    for (const key of ['a', 'b', 'c']) {
+      await small.wrap(key, 10, async () => key);
+      clock += 1000;
+    }
+
+    expect(small.keys().sort()).toEqual(['b', 'c']);
+    expect(await small.refresh('a')).toBeUndefined();
+  });
+
+  test('file backend survives a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    try {
+      await createCache({ backend: createFileBackend(dir), now }).wrap('home', 10, async () => ({ n: 1 }));
+
+      const restarted = createCache({ backend: createFileBackend(dir), now });
+      const loader = jest.fn();
+      expect(await restarted.wrap('home', 10, loader)).toEqual({ value: { n: 1 }, stale: false });
+      expect(loader).not.toHaveBeenCalled();
+
+      restarted.delete('home');
+      expect(fs.readdirSync(dir)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
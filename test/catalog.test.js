@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { browseItems, collectFacets } = require('../lib/browse');
+const { createCatalog } = require('../lib/catalog');
+const { editDistance, scoreToken, tokenize } = require('../lib/fuzzy');
+const { createJsonStore } = require('../lib/json-store');
+
+const anime = (title, extra = {}) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return { title, slug, image: `https://cdn.example.com/${slug}.jpg`, link: `https://example.com/anime/${slug}`, ...extra };
+};
+
+describe('fuzzy matching', () => {
+  test('folds romaji spellings and strips diacritics', () => {
+    expect(tokenize('Naruto: Shippūden')).toEqual(['naruto', 'shippuden']);
+    expect(tokenize('Naruto Shippuuden')).toEqual(['naruto', 'shippuden']);
+    expect(tokenize('Kimi wo Aishiteru')).toEqual(tokenize('Kimi o Aishiteru'));
+  });
+
+  test('scores exact, prefix and typo matches', () => {
+    expect(scoreToken('naruto', 'naruto')).toBe(1);
+    expect(scoreToken('shing', 'shingeki')).toBe(0.8);
+    expect(scoreToken('narto', 'naruto')).toBe(0.6);
+    expect(scoreToken('abc', 'abd')).toBe(0);
+    expect(editDistance('kiajin', 'kaijin')).toBe(1);
+  });
+});
+
+describe('catalog', () => {
+  let dir;
+  let store;
+  let logSpy;
+  let errorSpy;
+
+  // Source manager palsu: listing[operation][page] dan genre[slug][page]
+  const fakeSources = (listings, genres = {}) => ({
+    run: jest.fn(async (operation, ...args) => {
+      if (operation === 'genres') {
+        return { genres: Object.keys(genres).map((slug) => ({ name: slug.toUpperCase(), slug })) };
+      }
+      if (operation === 'genre') {
+        const [slug, page] = args;
+        return { anime: genres[slug]?.[page - 1] || [], hasNextPage: false };
+      }
+      const [page] = args;
+      const pages = listings[operation] || [];
+      if (pages[page - 1] instanceof Error) throw pages[page - 1];
+      return { anime: pages[page - 1] || [] };
+    })
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+    store = createJsonStore(path.join(dir, 'catalog.json'), { defaults: { items: {}, crawledAt: null } });
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('crawls every listing page and merges genres', async () => {
+    const sources = fakeSources({
+      ongoing: [[anime('One Piece')], [anime('Dandadan')]],
+      complete: [[anime('Sousou no Frieren', { altTitles: ["Frieren: Beyond Journey's End"] })], new Error('timeout')],
+      unlimited: [[anime('Haikyuu!!')], [anime('Haikyuu!!')]]
+    }, {
+      action: [[anime('One Piece'), anime('Jujutsu Kaisen')]]
+    });
+
+    const catalog = createCatalog({ store, sources, maxPages: 5 });
+    await expect(catalog.crawl()).resolves.toEqual({ found: 6, total: 5 });
+
+    const { items, crawledAt } = store.read();
+    expect(crawledAt).toEqual(expect.any(String));
+    expect(items['one-piece']).toMatchObject({ genres: ['ACTION'], listings: ['ongoing'] });
+    // Halaman yang berulang menghentikan crawl listing tersebut
+    expect(sources.run).toHaveBeenCalledWith('unlimited', 2);
+    expect(sources.run).not.toHaveBeenCalledWith('unlimited', 3);
+  });
+
+  test('enriches items with detail pages and tracks the latest episode update', async () => {
+    let clock = 1000;
+    const sources = fakeSources({ ongoing: [[anime('One Piece', { episode: 'Episode 1' }), anime('Dandadan', { episode: 'Episode 5' })]] });
+    sources.run.mockImplementation(async (operation, ...args) => {
+      if (operation === 'detail') {
+        return args[0] === 'one-piece' ? { title: 'One Piece', year: '1999', season: 'Fall 1999', studios: ['Toei Animation'], genres: ['Action'] } : null;
+      }
+      return fakeSources({ ongoing: [[anime('One Piece', { episode: `Episode ${clock}` }), anime('Dandadan', { episode: 'Episode 5' })]] }).run(operation, ...args);
+    });
+
+    const catalog = createCatalog({ store, sources, now: () => clock });
+    const update = jest.spyOn(store, 'update');
+    await catalog.crawl();
+
+    // Satu tulis untuk hasil listing dan satu untuk semua detail
+    expect(update).toHaveBeenCalledTimes(2);
+    const { items } = store.read();
+    expect(items['one-piece']).toMatchObject({ year: 1999, studios: ['Toei Animation'], genres: ['Action'], detailFetchedAt: 1000 });
+    expect(items.dandadan.detailFetchedAt).toBe(1000);
+    expect(items['one-piece'].updatedAt).toBeGreaterThan(items.dandadan.updatedAt);
+
+    // Dandadan tidak berubah episode, jadi updatedAt-nya tetap
+    clock = 5000;
+    const before = items.dandadan.updatedAt;
+    await catalog.crawl();
+    expect(store.read().items.dandadan.updatedAt).toBe(before);
+    expect(store.read().items['one-piece'].updatedAt).toBe(5000);
+    expect(sources.run.mock.calls.filter(([operation]) => operation === 'detail')).toHaveLength(2);
+  });
+
+  test('concurrent crawls share one run', async () => {
+    const catalog = createCatalog({ store, sources: fakeSources({ ongoing: [[anime('One Piece')]] }) });
+    const [first, second] = [catalog.crawl(), catalog.crawl()];
+
+    expect(first).toBe(second);
+    await first;
+  });
+
+  describe('search', () => {
+    let catalog;
+
+    beforeEach(async () => {
+      const titles = ['Naruto', 'Naruto Shippuden', 'Boruto: Naruto Next Generations', 'Shingeki no Kyojin', 'One Punch Man'];
+      catalog = createCatalog({
+        store,
+        sources: fakeSources({
+          ongoing: [titles.map((title) => anime(title))],
+          complete: [[anime('Sousou no Frieren', { altTitles: ["Frieren: Beyond Journey's End"] })]]
+        })
+      });
+      await catalog.crawl();
+    });
+
+    const titlesFor = (query, options) => catalog.search(query, options).results.map((item) => item.title);
+
+    test('ranks exact and prefix matches first', () => {
+      expect(titlesFor('naruto')).toEqual(['Naruto', 'Naruto Shippuden', 'Boruto: Naruto Next Generations']);
+    });
+
+    test('tolerates typos and romaji variants', () => {
+      expect(titlesFor('naruot shipuuden')[0]).toBe('Naruto Shippuden');
+      expect(titlesFor('shingeky kyojin')).toEqual(['Shingeki no Kyojin']);
+    });
+
+    test('matches alternative titles and slugs', () => {
+      expect(titlesFor('beyond journey')).toEqual(['Sousou no Frieren']);
+      expect(titlesFor('one punch')).toEqual(['One Punch Man']);
+    });
+
+    test('paginates results', () => {
+      const page = catalog.search('naruto', { page: 2, limit: 2 });
+      expect(page).toMatchObject({ total: 3, page: 2, totalPages: 2 });
+      expect(page.results.map((item) => item.title)).toEqual(['Boruto: Naruto Next Generations']);
+    });
+
+    test('returns nothing on a miss', () => {
+      expect(catalog.search('evangelion').total).toBe(0);
+    });
+
+    test('learns items from upstream search results', () => {
+      catalog.add([anime('Neon Genesis Evangelion')]);
+      expect(titlesFor('evangelion')).toEqual(['Neon Genesis Evangelion']);
+    });
+  });
+});
+
+describe('browse', () => {
+  const items = [
+    { slug: 'one-piece', title: 'One Piece', type: 'TV', rating: '8.9', year: 1999, season: 'Fall 1999', studios: ['Toei Animation'], genres: ['Action', 'Adventure'], listings: ['ongoing'], updatedAt: 30 },
+    { slug: 'frieren', title: 'Sousou no Frieren', type: 'TV', rating: '9.3', year: 2023, season: 'Musim Gugur 2023', studios: ['Madhouse'], genres: ['Adventure', 'Fantasy'], listings: ['complete'], updatedAt: 10 },
+    { slug: 'your-name', title: 'Kimi no Na wa', type: 'Movie', rating: '9.0', year: 2016, studios: ['CoMix Wave Films'], genres: ['Romance', 'Slice of Life'], status: 'Completed', updatedAt: 20 }
+  ];
+  const slugs = (result) => result.anime.map((item) => item.slug);
+
+  test('combines filters and requires every genre', () => {
+    expect(slugs(browseItems(items, { genres: ['adventure'] }))).toEqual(['one-piece', 'frieren']);
+    expect(slugs(browseItems(items, { genres: ['adventure', 'fantasy'] }))).toEqual(['frieren']);
+    expect(slugs(browseItems(items, { genres: ['slice-of-life'], type: 'movie' }))).toEqual(['your-name']);
+    expect(slugs(browseItems(items, { status: 'complete' }))).toEqual(['your-name', 'frieren']);
+    expect(slugs(browseItems(items, { season: 'fall' }))).toEqual(['one-piece', 'frieren']);
+    expect(slugs(browseItems(items, { year: 2016, studio: 'comix' }))).toEqual(['your-name']);
+  });
+
+  test('sorts by latest update, rating or title and paginates', () => {
+    expect(slugs(browseItems(items))).toEqual(['one-piece', 'your-name', 'frieren']);
+    expect(slugs(browseItems(items, {}, { sort: 'rating' }))).toEqual(['frieren', 'your-name', 'one-piece']);
+    expect(slugs(browseItems(items, {}, { sort: 'title', page: 2, limit: 2 }))).toEqual(['frieren']);
+  });
+
+  test('collects facets for the filter panel', () => {
+    const facets = collectFacets(items);
+
+    expect(facets.genres[0]).toEqual({ value: 'adventure', count: 2 });
+    expect(facets.types).toEqual([{ value: 'tv', count: 2 }, { value: 'movie', count: 1 }]);
+    expect(facets.seasons).toEqual([{ value: 'fall', count: 2 }]);
+    expect(facets.years.map((entry) => entry.value)).toEqual([1999, 2016, 2023]);
+  });
+});
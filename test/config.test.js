@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig } = require('../lib/config');
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (env = {}) => loadConfig({ env, dir });
+
+  test('uses defaults when nothing is set', () => {
+    const config = load();
+
+    expect(config.profile).toBe('development');
+    expect(config.port).toBe(3000);
+    expect(config.upstream).toMatchObject({ baseUrl: 'https://www.sankavollerei.com', timeout: 8000, sources: ['sankavollerei'] });
+    expect(config.cache).toMatchObject({ backend: 'file', dir: path.join(config.dataDir, 'cache'), maxEntries: 1000, sweepInterval: 300 });
+    expect(config.cache.ttls).toMatchObject({ home: 600, ongoing: 600, genres: 86400 });
+    expect(config.rateLimit).toEqual({ windowMs: 900000, max: 30 });
+    expect(config.suggestRateLimit).toEqual({ windowMs: 60000, max: 120 });
+    expect(config.listingRateLimit).toEqual({ windowMs: 60000, max: 120 });
+    expect(config.feedRateLimit).toEqual({ windowMs: 900000, max: 60 });
+    expect(config.imageRateLimit).toEqual({ windowMs: 60000, max: 300 });
+    expect(config.validateResponses).toBe(true);
+    expect(config.cors.origins).toEqual([]);
+    expect(config.images).toMatchObject({ allowedHosts: ['sankavollerei.com'], ttl: 604800, maxBytes: 200 * 1024 * 1024 });
+  });
+
+  test('parses and types values from env', () => {
+    const config = load({
+      API_TIMEOUT: '15000',
+      API_BASE_URL: 'https://mirror.example.com/',
+      CACHE_TTL: '120',
+      CACHE_TTL_SEARCH: '30',
+      SEARCH_RATE_LIMIT_MAX_REQUESTS: '5',
+      FRONTEND_URL: 'https://anime.example.com, http://localhost:3000',
+      UPSTREAM_RETRIES: '0',
+      CATALOG_CRAWL: 'no',
+      IMAGE_ALLOWED_HOSTS: 'CDN.example.com, img.example.net'
+    });
+
+    expect(config.upstream).toMatchObject({ timeout: 15000, baseUrl: 'https://mirror.example.com', retries: 0 });
+    expect(config.cache.ttls).toMatchObject({ home: 120, search: 30, anime: 1800 });
+    expect(config.searchRateLimit.max).toBe(5);
+    expect(config.cors.origins).toEqual(['https://anime.example.com', 'http://localhost:3000']);
+    expect(config.catalog.crawl).toBe(false);
+    expect(config.images.allowedHosts).toEqual(['cdn.example.com', 'img.example.net']);
+  });
+
+  test('reports every invalid value at once', () => {
+    let error;
+    try {
+      load({ API_TIMEOUT: 'abc', PORT: '70000', CACHE_BACKEND: 'redis', API_BASE_URL: 'ftp://x' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors).toHaveLength(4);
+    expect(error.message).toContain('API_TIMEOUT harus bilangan bulat (didapat "abc")');
+    expect(error.message).toContain('CACHE_BACKEND harus salah satu dari: memory, file');
+  });
+
+  test('loads .env files with the profile file taking precedence', () => {
+    fs.writeFileSync(path.join(dir, '.env'), 'NODE_ENV=production\nAPI_TIMEOUT=9000\nPORT=4000\n');
+    fs.writeFileSync(path.join(dir, '.env.production'), 'PORT=8080\nFRONTEND_URL=https://anime.example.com\n');
+    const env = { API_TIMEOUT: '10000' };
+
+    const config = load(env);
+
+    expect(config.profile).toBe('production');
+    expect(config.port).toBe(8080);
+    expect(config.upstream.timeout).toBe(10000);
+    expect(env.FRONTEND_URL).toBe('https://anime.example.com');
+    expect(config.validateResponses).toBe(false);
+  });
+
+  test('production requires FRONTEND_URL', () => {
+    expect(() => load({ NODE_ENV: 'production' })).toThrow('FRONTEND_URL wajib diisi untuk profile production');
+  });
+
+  test('test profile ignores .env files and uses the memory cache', () => {
+    fs.writeFileSync(path.join(dir, '.env'), 'PORT=4000\n');
+
+    const config = load({ NODE_ENV: 'test' });
+
+    expect(config.port).toBe(3000);
+    expect(config.cache.backend).toBe('memory');
+    expect(config.catalog.crawl).toBe(false);
+    expect(config.notifications.check).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEpisodeWatcher } = require('../lib/episode-watcher');
+const { createJsonStore } = require('../lib/json-store');
+
+const episodeList = (slug, count) => Array.from({ length: count }, (_, idx) => ({
+  title: `Episode ${idx + 1}`,
+  link: `https://example.com/anime/episode/${slug}-episode-${idx + 1}`
+}));
+
+describe('episode watcher', () => {
+  let dir;
+  let store;
+  let clock;
+  let upstream;
+  let logSpy;
+
+  // upstream.ongoing: label episode per slug, upstream.episodes: jumlah episode di halaman detail
+  const sources = {
+    run: jest.fn(async (operation, ...args) => {
+      if (operation === 'ongoing') {
+        return {
+          anime: Object.entries(upstream.ongoing).map(([slug, episode]) => ({
+            title: slug,
+            link: `https://example.com/anime/${slug}`,
+            episode
+          }))
+        };
+      }
+      if (operation === 'detail') {
+        const [slug] = args;
+        return { title: slug.toUpperCase(), image: `https://cdn.example.com/${slug}.jpg`, episodes: episodeList(slug, upstream.episodes[slug]) };
+      }
+      throw new Error(`unexpected ${operation}`);
+    })
+  };
+
+  const createWatcher = (followed = ['one-piece', 'dandadan']) => createEpisodeWatcher({
+    store,
+    sources,
+    getFollowed: () => followed.map((slug) => ({ slug, title: slug })),
+    now: () => clock
+  });
+
+  const detailCalls = () => sources.run.mock.calls.filter(([operation]) => operation === 'detail').map(([, slug]) => slug);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+    store = createJsonStore(path.join(dir, 'notifications.json'), { defaults: { known: {}, notifications: [] } });
+    clock = 1000;
+    upstream = {
+      ongoing: { 'one-piece': 'Episode 2', dandadan: 'Episode 1' },
+      episodes: { 'one-piece': 2, dandadan: 1 }
+    };
+    sources.run.mockClear();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records a baseline without notifying, then notifies new episodes', async () => {
+    const watcher = createWatcher();
+    const listener = jest.fn();
+    watcher.on('episode', listener);
+
+    await expect(watcher.check()).resolves.toEqual({ checked: 2, created: [] });
+    expect(store.read().known['one-piece']).toMatchObject({ latest: 'Episode 2', checkedAt: 1000 });
+
+    upstream.ongoing['one-piece'] = 'Episode 4';
+    upstream.episodes['one-piece'] = 4;
+    clock = 2000;
+    const { created } = await watcher.check();
+
+    expect(created.map((item) => item.episodeSlug)).toEqual(['one-piece-episode-3', 'one-piece-episode-4']);
+    expect(created[0]).toMatchObject({ id: 'one-piece:one-piece-episode-3', title: 'ONE-PIECE', read: false, createdAt: 2000 });
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(watcher.list().unread).toBe(2);
+    // Dandadan tidak berubah di ongoing dan masih baru dicek, jadi detailnya tidak diambil ulang
+    expect(detailCalls()).toEqual(['one-piece', 'dandadan', 'one-piece']);
+  });
+
+  test('rechecks detail pages that are not on the ongoing listing after a while', async () => {
+    const watcher = createWatcher();
+    await watcher.check();
+
+    delete upstream.ongoing.dandadan;
+    upstream.episodes.dandadan = 2;
+    clock += 6 * 60 * 60 * 1000;
+    const { created } = await watcher.check();
+
+    expect(created.map((item) => item.id)).toEqual(['dandadan:dandadan-episode-2']);
+  });
+
+  test('marks notifications as read and emits the unread count', async () => {
+    const watcher = createWatcher(['one-piece']);
+    await watcher.check();
+    upstream.ongoing['one-piece'] = 'Episode 4';
+    upstream.episodes['one-piece'] = 4;
+    await watcher.check();
+
+    const onRead = jest.fn();
+    watcher.on('read', onRead);
+
+    expect(watcher.markRead(['one-piece:one-piece-episode-3'])).toBe(1);
+    expect(onRead).toHaveBeenLastCalledWith({ unread: 1 });
+    expect(watcher.markRead()).toBe(0);
+    expect(store.read().notifications.every((item) => item.read)).toBe(true);
+  });
+
+  test('skips the upstream entirely when nothing is followed', async () => {
+    const watcher = createWatcher([]);
+    await expect(watcher.check()).resolves.toEqual({ checked: 0, created: [] });
+    expect(sources.run).not.toHaveBeenCalled();
+  });
+});
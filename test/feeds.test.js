@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedDates, escapeXml, toAtom, toRss } = require('../lib/feeds');
+const { createJsonStore } = require('../lib/json-store');
+
+const feed = {
+  id: 'urn:animestream:feed:test',
+  title: 'Feed <Test>',
+  description: 'Episode & rilis',
+  link: 'https://example.com/#/ongoing',
+  selfUrl: 'https://example.com/feeds/ongoing.xml',
+  updatedAt: Date.parse('2025-01-01T00:00:00Z'),
+  items: [{
+    guid: 'urn:animestream:episode:one-piece-episode-2',
+    title: 'One Piece - Episode 2',
+    link: 'https://example.com/#/episode/one-piece-episode-2',
+    summary: 'Episode 2',
+    image: 'https://cdn.example.com/one-piece.webp',
+    date: Date.parse('2025-01-06T15:30:00Z')
+  }]
+};
+
+describe('feed rendering', () => {
+  test('escapes XML special characters', () => {
+    expect(escapeXml(`Tom & "Jerry" <'s>`)).toBe('Tom &amp; &quot;Jerry&quot; &lt;&apos;s&gt;');
+  });
+
+  test('renders RSS 2.0 with guid, pubDate and poster enclosure', () => {
+    const rss = toRss(feed);
+
+    expect(rss).toContain('<rss version="2.0"');
+    expect(rss).toContain('<title>Feed &lt;Test&gt;</title>');
+    expect(rss).toContain('<guid isPermaLink="false">urn:animestream:episode:one-piece-episode-2</guid>');
+    expect(rss).toContain('<pubDate>Mon, 06 Jan 2025 15:30:00 GMT</pubDate>');
+    expect(rss).toContain('<lastBuildDate>Mon, 06 Jan 2025 15:30:00 GMT</lastBuildDate>');
+    expect(rss).toContain('<enclosure url="https://cdn.example.com/one-piece.webp" type="image/webp" length="0"/>');
+  });
+
+  test('renders Atom with entry ids and updated dates', () => {
+    const atom = toAtom(feed);
+
+    expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom"');
+    expect(atom).toContain('<id>urn:animestream:episode:one-piece-episode-2</id>');
+    expect(atom).toContain('<updated>2025-01-06T15:30:00.000Z</updated>');
+    expect(atom).toContain('<link rel="enclosure" type="image/webp" href="https://cdn.example.com/one-piece.webp"/>');
+    // Feed kosong memakai waktu data diambil
+    expect(toAtom({ ...feed, items: [] })).toContain('<updated>2025-01-01T00:00:00.000Z</updated>');
+  });
+});
+
+describe('feed dates', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the first-seen date of every guid across restarts', () => {
+    let clock = 1000;
+    const file = path.join(dir, 'feed-dates.json');
+    const dates = createFeedDates({ store: createJsonStore(file), now: () => clock });
+
+    expect(dates(['a', 'b'])).toEqual({ a: 1000, b: 1000 });
+    clock = 2000;
+    expect(dates(['b', 'c'])).toEqual({ b: 1000, c: 2000 });
+
+    const reloaded = createFeedDates({ store: createJsonStore(file), now: () => 3000 });
+    expect(reloaded(['a', 'c'])).toEqual({ a: 1000, c: 2000 });
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+const { fixturePath } = require('../lib/fixtures');
+const { configureUpstream, fetchWithTimeout } = require('../lib/utils');
+
+describe('upstream fixtures', () => {
+  const originalEnv = { ...process.env };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    process.env.FIXTURES_DIR = dir;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    configureUpstream({ mode: 'live' });
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('fixturePath maps URLs to readable file names', () => {
+    expect(fixturePath('https://www.sankavollerei.com/anime/genre/action?page=2'))
+      .toBe(path.join(dir, 'www.sankavollerei.com', 'anime__genre__action--page=2.html'));
+    expect(fixturePath('https://example.com/'))
+      .toBe(path.join(dir, 'example.com', 'index.html'));
+  });
+
+  test('record mode saves upstream responses and replay mode serves them', async () => {
+    const url = 'https://www.sankavollerei.com/anime/home';
+    axios.get.mockResolvedValue({ data: '<h1>Home</h1>' });
+
+    configureUpstream({ mode: 'record' });
+    await expect(fetchWithTimeout(url)).resolves.toBe('<h1>Home</h1>');
+    expect(fs.readFileSync(fixturePath(url), 'utf8')).toBe('<h1>Home</h1>');
+
+    axios.get.mockReset();
+    configureUpstream({ mode: 'replay' });
+    await expect(fetchWithTimeout(url)).resolves.toBe('<h1>Home</h1>');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('replay mode fails like a 404 when the fixture is missing', async () => {
+    configureUpstream({ mode: 'replay' });
+    await expect(fetchWithTimeout('https://www.sankavollerei.com/anime/missing'))
+      .rejects.toMatchObject({ code: 'ENOFIXTURE', response: { status: 404 } });
+  });
+});
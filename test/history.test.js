@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createJsonStore } = require('../lib/json-store');
+const { createHistoryRouter } = require('../lib/routes/history');
+
+describe('/api/history', () => {
+  const clientId = 'client-1234';
+  let dir;
+  let app;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    store = createJsonStore(path.join(dir, 'history.json'));
+    app = express();
+    app.use(express.json());
+    app.use('/api/history', createHistoryRouter({ store }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const put = (slug, body, id = clientId) =>
+    request(app).put(`/api/history/${slug}`).set('X-Client-Id', id).send(body);
+
+  test('requires a valid client id', async () => {
+    await request(app).get('/api/history').expect(400);
+    await request(app).get('/api/history').set('X-Client-Id', 'bad id!').expect(400);
+  });
+
+  test('stores progress per anime and episode', async () => {
+    const res = await put('one-piece', {
+      title: 'One Piece',
+      image: 'https://cdn.example.com/op.jpg',
+      lastEpisode: 'one-piece-episode-2',
+      updatedAt: 1000,
+      episodes: {
+        'one-piece-episode-1': { number: 1, position: 1400, duration: 1420, completed: true, updatedAt: 900 },
+        'one-piece-episode-2': { number: 2, position: 300, updatedAt: 1000 }
+      }
+    }).expect(200);
+
+    expect(res.body).toMatchObject({
+      slug: 'one-piece',
+      lastEpisode: 'one-piece-episode-2',
+      episodes: {
+        'one-piece-episode-1': { completed: true, position: 1400 },
+        'one-piece-episode-2': { completed: false, position: 300, duration: 0 }
+      }
+    });
+
+    const list = await request(app).get('/api/history').set('X-Client-Id', clientId).expect(200);
+    expect(list.body.count).toBe(1);
+    expect(list.body.history[0].title).toBe('One Piece');
+
+    // Tersimpan ke file
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'history.json'), 'utf8'));
+    expect(saved[clientId]['one-piece'].episodes['one-piece-episode-2'].position).toBe(300);
+  });
+
+  test('merges updates with newest episode progress winning', async () => {
+    await put('one-piece', {
+      updatedAt: 2000,
+      lastEpisode: 'one-piece-episode-2',
+      episodes: { 'one-piece-episode-2': { position: 600, updatedAt: 2000 } }
+    });
+    const res = await put('one-piece', {
+      updatedAt: 1500,
+      lastEpisode: 'one-piece-episode-1',
+      episodes: {
+        'one-piece-episode-1': { completed: true, updatedAt: 1500 },
+        'one-piece-episode-2': { position: 100, updatedAt: 1200 }
+      }
+    }).expect(200);
+
+    expect(res.body.lastEpisode).toBe('one-piece-episode-2');
+    expect(res.body.updatedAt).toBe(2000);
+    expect(res.body.episodes['one-piece-episode-2'].position).toBe(600);
+    expect(res.body.episodes['one-piece-episode-1'].completed).toBe(true);
+  });
+
+  test('keeps history separate per client', async () => {
+    await put('one-piece', { title: 'One Piece' });
+
+    const other = await request(app).get('/api/history').set('X-Client-Id', 'client-5678').expect(200);
+    expect(other.body.history).toEqual([]);
+  });
+
+  test('rejects invalid slugs', async () => {
+    await put('One_Piece', {}).expect(400);
+    await request(app).delete('/api/history/One_Piece').set('X-Client-Id', clientId).expect(400);
+  });
+
+  test('does not treat Object.prototype keys as history entries', async () => {
+    await request(app).delete('/api/history/constructor').set('X-Client-Id', clientId).expect(404);
+
+    // Client ID "constructor" juga lolos pattern dan harus mendapat riwayat kosong sendiri
+    const list = await request(app).get('/api/history').set('X-Client-Id', 'constructor').expect(200);
+    expect(list.body.history).toEqual([]);
+    await request(app).put('/api/history/one-piece').set('X-Client-Id', 'constructor').send({ title: 'One Piece' }).expect(200);
+    expect(Object.prototype.hasOwnProperty.call(Object, 'one-piece')).toBe(false);
+  });
+
+  test('deletes one entry or everything', async () => {
+    await put('one-piece', { title: 'One Piece' });
+    await put('dandadan', { title: 'Dandadan' });
+
+    await request(app).delete('/api/history/one-piece').set('X-Client-Id', clientId).expect(200);
+    await request(app).delete('/api/history/one-piece').set('X-Client-Id', clientId).expect(404);
+
+    let list = await request(app).get('/api/history').set('X-Client-Id', clientId);
+    expect(list.body.history.map((entry) => entry.slug)).toEqual(['dandadan']);
+
+    await request(app).delete('/api/history').set('X-Client-Id', clientId).expect(200);
+    list = await request(app).get('/api/history').set('X-Client-Id', clientId);
+    expect(list.body.history).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+const express = require('express');
+const request = require('supertest');
+const { MESSAGES, sendError, translate } = require('../lib/i18n');
+
+describe('i18n', () => {
+  test('every locale translates the same error codes', () => {
+    const codes = Object.keys(MESSAGES.id).sort();
+    Object.values(MESSAGES).forEach((messages) => {
+      expect(Object.keys(messages).sort()).toEqual(codes);
+    });
+  });
+
+  test('fills placeholders and falls back to the default locale', () => {
+    expect(translate('en', 'IMAGE_HOST_NOT_ALLOWED', { host: 'evil.test' })).toBe('Image host is not allowed: evil.test');
+    expect(translate('fr', 'ANIME_NOT_FOUND')).toBe('Anime tidak ditemukan');
+    expect(translate('en', 'UNKNOWN_CODE')).toBe('UNKNOWN_CODE');
+  });
+
+  test('sendError picks the language from Accept-Language', async () => {
+    const app = express();
+    app.get('/missing', (req, res) => sendError(res, 404, 'EPISODE_NOT_FOUND'));
+
+    const english = await request(app).get('/missing').set('Accept-Language', 'fr;q=1, en;q=0.8').expect(404);
+    expect(english.body).toEqual({ error: 'Episode not found', code: 'EPISODE_NOT_FOUND' });
+
+    const fallback = await request(app).get('/missing').set('Accept-Language', 'fr').expect(404);
+    expect(fallback.body.error).toBe('Episode tidak ditemukan');
+
+    const none = await request(app).get('/missing').expect(404);
+    expect(none.body.error).toBe('Episode tidak ditemukan');
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createImageProxy, detectImageType } = require('../lib/image-proxy');
+const { createImageRouter } = require('../lib/routes/image');
+
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(60, 1)]);
+const POSTER = 'https://cdn.example.com/poster/one-piece.jpg';
+
+describe('image proxy', () => {
+  let dir;
+  let clock;
+  let fetchImage;
+  let resize;
+  let errorSpy;
+
+  const createProxy = (options = {}) => createImageProxy({
+    dir,
+    allowedHosts: ['example.com'],
+    fetchImage,
+    resize,
+    ttl: 60,
+    now: () => clock,
+    ...options
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    clock = 1000;
+    fetchImage = jest.fn(async () => ({ data: JPEG, type: 'application/octet-stream' }));
+    resize = jest.fn(async (buffer, width) => ({ data: Buffer.from(`webp-${width}`), type: 'image/webp' }));
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('detects image types from their content', () => {
+    expect(detectImageType(JPEG)).toBe('image/jpeg');
+    expect(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+  });
+
+  test('validates url, host and width before fetching', async () => {
+    const proxy = createProxy();
+
+    await expect(proxy.get('not a url')).rejects.toMatchObject({ status: 400 });
+    await expect(proxy.get('file:///etc/passwd')).rejects.toMatchObject({ status: 400 });
+    await expect(proxy.get('https://evil.test/a.jpg')).rejects.toMatchObject({ status: 403, code: 'IMAGE_HOST_NOT_ALLOWED' });
+    await expect(proxy.get('https://notexample.com/a.jpg')).rejects.toMatchObject({ status: 403 });
+    await expect(proxy.get(POSTER, 333)).rejects.toMatchObject({ status: 400, code: 'IMAGE_INVALID_WIDTH' });
+    expect(fetchImage).not.toHaveBeenCalled();
+  });
+
+  test('rejects upstream responses that are not images', async () => {
+    fetchImage.mockResolvedValueOnce({ data: Buffer.from('<html>hotlink blocked</html>'), type: 'image/jpeg' });
+    await expect(createProxy().get(POSTER)).rejects.toMatchObject({ status: 502, code: 'IMAGE_UNSUPPORTED' });
+  });
+
+  test('follows redirects only to allowed hosts', async () => {
+    fetchImage.mockResolvedValueOnce({ redirect: 'https://img.example.com/one-piece.jpg' });
+    await expect(createProxy().get(POSTER)).resolves.toMatchObject({ type: 'image/jpeg' });
+    expect(fetchImage).toHaveBeenLastCalledWith('https://img.example.com/one-piece.jpg', expect.any(Object));
+
+    fetchImage.mockResolvedValueOnce({ redirect: 'http://169.254.169.254/latest/meta-data' });
+    await expect(createProxy().get('https://cdn.example.com/other.jpg'))
+      .rejects.toMatchObject({ status: 502, code: 'IMAGE_HOST_NOT_ALLOWED' });
+
+    fetchImage.mockResolvedValue({ redirect: POSTER });
+    await expect(createProxy().get('https://cdn.example.com/loop.jpg')).rejects.toMatchObject({ status: 502, code: 'IMAGE_FAILED' });
+    expect(fetchImage).toHaveBeenCalledTimes(7);
+  });
+
+  test('resizes to preset widths and caches the result on disk', async () => {
+    const image = await createProxy().get(POSTER, 240);
+    expect(image).toMatchObject({ type: 'image/webp', width: 240 });
+    expect(image.data.toString()).toBe('webp-240');
+    expect(image.etag).toMatch(/^"[0-9a-f]+"$/);
+
+    // Instance baru membaca file yang sama dari disk
+    const cached = await createProxy().get(POSTER, 240);
+    expect(cached.etag).toBe(image.etag);
+    expect(fetchImage).toHaveBeenCalledTimes(1);
+    expect(resize).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves the original size when no resizer is available', async () => {
+    const proxy = createProxy({ resize: null });
+    const image = await proxy.get(POSTER, 120);
+    await proxy.get(POSTER, 480);
+
+    expect(image).toMatchObject({ type: 'image/jpeg', width: null });
+    expect(fetchImage).toHaveBeenCalledTimes(1);
+  });
+
+  test('refetches after the ttl and falls back to the stale copy on failure', async () => {
+    const proxy = createProxy();
+    await proxy.get(POSTER);
+
+    clock += 61 * 1000;
+    fetchImage.mockRejectedValueOnce(new Error('timeout'));
+    const stale = await proxy.get(POSTER);
+
+    expect(stale.type).toBe('image/jpeg');
+    expect(fetchImage).toHaveBeenCalledTimes(2);
+    expect(proxy.stats()).toMatchObject({ hits: 0, misses: 2, stale: 1, errors: 1, resize: true });
+  });
+
+  test('prunes the oldest files when the cache grows past maxBytes', async () => {
+    await createProxy({ resize: null }).get('https://cdn.example.com/a.jpg');
+    const [first] = fs.readdirSync(dir).filter((file) => file.endsWith('.bin'));
+
+    // Isi direktori hanya dibaca sekali saat start, bukan di setiap simpan
+    const proxy = createProxy({ maxBytes: 100, resize: null });
+    const readdirSpy = jest.spyOn(fs, 'readdirSync');
+    try {
+      await proxy.get('https://cdn.example.com/b.jpg');
+      await proxy.get('https://cdn.example.com/c.jpg');
+      expect(readdirSpy).toHaveBeenCalledTimes(1);
+    } finally {
+      readdirSpy.mockRestore();
+    }
+
+    expect(fs.readdirSync(dir).filter((file) => file.endsWith('.bin'))).toHaveLength(1);
+    expect(fs.existsSync(path.join(dir, first))).toBe(false);
+    expect(proxy.stats().bytes).toBe(JPEG.length);
+  });
+
+  test('route sends cache headers and answers conditional requests with 304', async () => {
+    const app = express();
+    app.use('/api/image', createImageRouter({ proxy: createProxy(), maxAge: 60 }));
+
+    const res = await request(app).get('/api/image').query({ url: POSTER, w: 120 }).expect(200);
+    expect(res.headers).toMatchObject({ 'content-type': 'image/webp', 'cache-control': 'public, max-age=60, stale-while-revalidate=60' });
+
+    await request(app).get('/api/image').query({ url: POSTER, w: 120 }).set('If-None-Match', res.headers.etag).expect(304);
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/json-store');
+
+describe('json store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    file = path.join(dir, 'data.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  test('writes synchronously on every update by default', () => {
+    const store = createJsonStore(file, { defaults: { n: 0 } });
+    store.update((data) => { data.n = 1; });
+
+    expect(onDisk()).toEqual({ n: 1 });
+  });
+
+  test('coalesces updates into one background write with saveDelay', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const store = createJsonStore(file, { defaults: { n: 0 }, saveDelay: 1000 });
+    const writeSpy = jest.spyOn(fs.promises, 'writeFile');
+
+    try {
+      [1, 2, 3].forEach((n) => store.update((data) => { data.n = n; }));
+      jest.advanceTimersByTime(999);
+      expect(fs.existsSync(file)).toBe(false);
+
+      jest.advanceTimersByTime(1);
+      await store.idle();
+      expect(onDisk()).toEqual({ n: 3 });
+      expect(writeSpy).toHaveBeenCalledTimes(1);
+    } finally {
+      writeSpy.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+
+  test('flush writes pending changes immediately', () => {
+    const store = createJsonStore(file, { saveDelay: 60 * 1000 });
+    store.update((data) => { data.n = 1; });
+    store.flush();
+
+    expect(onDisk()).toEqual({ n: 1 });
+    expect(fs.readdirSync(dir)).toEqual(['data.json']);
+  });
+});
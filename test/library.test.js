@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createJsonStore } = require('../lib/json-store');
+const { createLibraryRouter } = require('../lib/routes/library');
+
+describe('/api/library', () => {
+  let dir;
+  let app;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+    app = express();
+    app.use(express.json());
+    app.use('/api/library', createLibraryRouter({ store: createJsonStore(path.join(dir, 'library.json')) }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const put = (slug, body) => request(app).put(`/api/library/${slug}`).send(body);
+
+  test('adds, updates and reads an anime', async () => {
+    const created = await put('one-piece', {
+      status: 'plan_to_watch',
+      title: 'One Piece',
+      image: 'https://cdn.example.com/op.jpg',
+      type: 'TV'
+    }).expect(201);
+
+    expect(created.body).toMatchObject({ slug: 'one-piece', status: 'plan_to_watch', title: 'One Piece', type: 'TV' });
+
+    const updated = await put('one-piece', { status: 'watching' }).expect(200);
+    expect(updated.body).toMatchObject({ status: 'watching', title: 'One Piece', addedAt: created.body.addedAt });
+
+    const item = await request(app).get('/api/library/one-piece').expect(200);
+    expect(item.body.status).toBe('watching');
+  });
+
+  test('lists items with counts and status filter', async () => {
+    await put('one-piece', { status: 'watching', title: 'One Piece' });
+    await put('dandadan', { status: 'watching', title: 'Dandadan' });
+    await put('frieren', { status: 'completed', title: 'Frieren' });
+
+    const all = await request(app).get('/api/library').expect(200);
+    expect(all.body.total).toBe(3);
+    expect(all.body.counts).toEqual({ watching: 2, plan_to_watch: 0, completed: 1, dropped: 0 });
+
+    const completed = await request(app).get('/api/library?status=completed').expect(200);
+    expect(completed.body.items.map((item) => item.slug)).toEqual(['frieren']);
+  });
+
+  test('persists to the JSON file', async () => {
+    await put('one-piece', { status: 'dropped' });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'library.json'), 'utf8'));
+    expect(saved['one-piece'].status).toBe('dropped');
+  });
+
+  test('validates status and slug', async () => {
+    await put('one-piece', { status: 'favorite' }).expect(400);
+    await put('One_Piece', { status: 'watching' }).expect(400);
+    await request(app).get('/api/library?status=nope').expect(400);
+  });
+
+  test('removes an anime', async () => {
+    await put('one-piece', { status: 'watching' });
+
+    await request(app).delete('/api/library/one-piece').expect(200);
+    await request(app).delete('/api/library/one-piece').expect(404);
+    await request(app).get('/api/library/one-piece').expect(404);
+  });
+
+  test('does not treat Object.prototype keys as saved anime', async () => {
+    await request(app).get('/api/library/constructor').expect(404);
+    await request(app).delete('/api/library/constructor').expect(404);
+
+    const res = await put('constructor', { status: 'watching' }).expect(201);
+    expect(res.body).toMatchObject({ slug: 'constructor', title: 'constructor', addedAt: expect.any(Number) });
+  });
+});
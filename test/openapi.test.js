@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createApiValidator } = require('../lib/api-validator');
+const { OPENAPI_SPEC } = require('../lib/openapi');
+const { coerce, validate } = require('../lib/schema');
+
+describe('schema validator', () => {
+  const schemas = {
+    Item: { type: 'object', properties: { slug: { type: 'string', pattern: '^[a-z-]+$' }, year: { type: 'integer' } }, required: ['slug'] }
+  };
+
+  test('reports every problem with its path', () => {
+    const schema = { type: 'array', items: { $ref: '#/components/schemas/Item' } };
+
+    expect(validate(schema, [{ slug: 'one-piece', year: 1999 }], { schemas })).toEqual([]);
+    expect(validate(schema, [{ slug: 'One Piece' }, { year: '1999' }], { schemas })).toEqual([
+      '$[0].slug: tidak cocok dengan pola ^[a-z-]+$',
+      '$[1].slug: wajib ada',
+      '$[1].year: harus integer (didapat "1999")'
+    ]);
+  });
+
+  test('supports nullable references and enums', () => {
+    const entry = { allOf: [{ $ref: '#/components/schemas/Item' }], nullable: true };
+
+    expect(validate(entry, null, { schemas })).toEqual([]);
+    expect(validate({ $ref: '#/components/schemas/Item' }, null, { schemas })).toEqual(['$: tidak boleh null']);
+    expect(validate({ type: 'string', enum: ['a', 'b'] }, 'c')).toEqual(['$: harus salah satu dari a, b (didapat "c")']);
+  });
+
+  test('coerces raw query strings to the parameter type', () => {
+    expect(coerce({ type: 'integer' }, ' 2 ')).toBe(2);
+    expect(coerce({ type: 'integer' }, '2abc')).toBe('2abc');
+    expect(coerce({ type: 'boolean' }, '1')).toBe(true);
+    expect(coerce({ type: 'array', items: { type: 'string' }, 'x-case-insensitive': true }, 'Action, ,Comedy')).toEqual(['action', 'comedy']);
+  });
+});
+
+describe('OpenAPI request and response validation', () => {
+  const spec = {
+    paths: {
+      '/api/items': {
+        get: {
+          operationId: 'listItems',
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+            { name: 'sort', in: 'query', schema: { type: 'string', enum: ['latest', 'title'] } }
+          ],
+          responses: { 200: { content: { 'application/json': { schema: { type: 'object', required: ['page'] } } } } }
+        }
+      },
+      '/api/items/{slug}': {
+        get: {
+          operationId: 'getItem',
+          parameters: [{ name: 'slug', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z-]+$' }, 'x-error-code': 'INVALID_SLUG' }],
+          responses: {
+            200: { content: { 'application/json': { schema: { type: 'object' } } } },
+            410: { $ref: '#/components/responses/Gone' }
+          }
+        }
+      }
+    },
+    components: {
+      responses: { Gone: { content: { 'application/json': { schema: { type: 'object', required: ['error'] } } } } }
+    }
+  };
+
+  const createApp = (options) => {
+    const app = express();
+    app.use('/api', createApiValidator(spec, options));
+    app.get('/api/items', (req, res) => res.json(req.query.sort === 'title' ? { broken: true } : req.query));
+    app.get('/api/items/:slug', (req, res) => {
+      const status = { gone: 404, old: 410 }[req.params.slug] || 200;
+      res.status(status).json({ slug: req.params.slug });
+    });
+    return app;
+  };
+
+  test('replaces the query with typed values and defaults', async () => {
+    const app = createApp();
+
+    await request(app).get('/api/items').expect(200, { page: 1 });
+    await request(app).get('/api/items?page=3&extra=x').expect(200, { page: 3, extra: 'x' });
+  });
+
+  test('rejects invalid parameters with a stable code', async () => {
+    const app = createApp();
+
+    await request(app).get('/api/items?page=0').expect(400, { error: 'Parameter page tidak valid', code: 'INVALID_PARAM' });
+    await request(app).get('/api/items?sort=views').expect(400, { error: 'sort harus salah satu dari: latest, title', code: 'INVALID_OPTION' });
+    await request(app).get('/api/items/Bad_Slug').expect(400, { error: 'Slug tidak valid', code: 'INVALID_SLUG' });
+    // Escape % yang tidak bisa di-decode selalu INVALID_PARAM, bukan x-error-code parameter
+    await request(app).get('/api/items/%E0%A4%A').expect(400, { error: 'Parameter slug tidak valid', code: 'INVALID_PARAM' });
+  });
+
+  test('reports responses that do not match the document', async () => {
+    const onInvalidResponse = jest.fn();
+    const app = createApp({ validateResponses: true, onInvalidResponse });
+
+    await request(app).get('/api/items').expect(200);
+    expect(onInvalidResponse).not.toHaveBeenCalled();
+
+    await request(app).get('/api/items?sort=title').expect(200, { broken: true });
+    await request(app).get('/api/items/gone').expect(404);
+    await request(app).get('/api/items/old').expect(410);
+    expect(onInvalidResponse.mock.calls.map(([report]) => report)).toEqual([
+      { operationId: 'listItems', status: 200, problems: ['GET /api/items 200: $.page: wajib ada'] },
+      { operationId: 'getItem', status: 404, problems: ['status 404 tidak terdokumentasi'] },
+      { operationId: 'getItem', status: 410, problems: ['GET /api/items/{slug} 410: $.error: wajib ada'] }
+    ]);
+  });
+});
+
+describe('OpenAPI document', () => {
+  let app;
+  let dataDir;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-data-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.UPSTREAM_MODE = 'replay';
+    app = require('../server');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Route Express ("/genre/:slug", termasuk router yang di-mount) -> path OpenAPI ("/genre/{slug}")
+  const collectRoutes = (stack, prefix = '') => stack.flatMap((layer) => {
+    if (layer.route) {
+      const routePath = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`.replace(/:(\w+)/g, '{$1}');
+      return Object.keys(layer.route.methods).map((method) => `${method} ${routePath}`);
+    }
+    if (layer.name === 'router') {
+      const mount = layer.regexp.source.replace(/^\^/, '').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/');
+      return collectRoutes(layer.handle.stack, `${prefix}${mount}`);
+    }
+    return [];
+  });
+
+  test('documents every /api route', () => {
+    const routes = collectRoutes(app._router.stack).filter((route) => route.includes(' /api/'));
+    const documented = Object.entries(OPENAPI_SPEC.paths)
+      .flatMap(([template, item]) => Object.keys(item).map((method) => `${method} ${template}`));
+
+    expect(routes.length).toBeGreaterThan(25);
+    expect(routes.filter((route) => !documented.includes(route))).toEqual([]);
+    expect(documented.filter((route) => !routes.includes(route))).toEqual([]);
+  });
+
+  test('documents a 429 response on every rate-limited operation', () => {
+    const operations = Object.entries(OPENAPI_SPEC.paths)
+      .filter(([template]) => template !== '/api/notifications/stream')
+      .flatMap(([template, item]) => Object.entries(item).map(([method, operation]) => ({ route: `${method} ${template}`, operation })));
+
+    expect(operations.filter(({ operation }) => !operation.responses[429]).map(({ route }) => route)).toEqual([]);
+    expect(OPENAPI_SPEC.paths['/api/home'].get.responses[429]).toEqual({ $ref: '#/components/responses/RateLimited' });
+    expect(OPENAPI_SPEC.components.responses.RateLimited.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+
+  test('only references schemas that exist', () => {
+    const refs = [...JSON.stringify(OPENAPI_SPEC).matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map(([, name]) => name);
+
+    expect(refs.length).toBeGreaterThan(0);
+    expect(refs.filter((name) => !OPENAPI_SPEC.components.schemas[name])).toEqual([]);
+  });
+});
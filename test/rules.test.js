@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { TRANSFORMS, createRulesStore, extractDocument, extractList, validateRules } = require('../lib/rules');
+
+const html = `
+  <div class="grid">
+    <div class="card"><a href="/anime/a-one"><img src="a.jpg"></a><h3> A One </h3><span class="ep">12</span></div>
+    <div class="card"><a href="/anime/b-two"></a><h3>B Two</h3></div>
+    <div class="card"><a href="/anime/c-three"><img data-src="c.jpg"></a><h3>C Three</h3></div>
+  </div>
+  <h1>Page</h1><span class="tag">x</span><span class="tag">y</span><span class="tag">z</span>
+  <a class="next" href="?page=2">next</a>
+`;
+
+describe('rules extraction', () => {
+  const $ = cheerio.load(html);
+
+  test('extractList applies selectors, attrs, transforms, required and limit', () => {
+    const rule = {
+      selector: '.card',
+      limit: 3,
+      required: ['title', 'image'],
+      fields: {
+        title: { selector: 'h3' },
+        image: { selector: 'img', attr: ['src', 'data-src'] },
+        episode: { selector: '.ep', transform: ['int'] },
+        slug: { selector: 'a', attr: 'href', transform: ['slug'] },
+        kind: { value: 'tv' }
+      }
+    };
+
+    expect(extractList($, rule)).toEqual([
+      { title: 'A One', image: 'a.jpg', episode: 12, slug: 'a-one', kind: 'tv' },
+      { title: 'C Three', image: 'c.jpg', episode: null, slug: 'c-three', kind: 'tv' }
+    ]);
+    expect(extractList($, { ...rule, limit: 2 })).toHaveLength(1);
+  });
+
+  test('extractList interpolates selector variables', () => {
+    const rule = { selector: '.{name}', fields: { text: {} } };
+    expect(extractList($, rule, { name: 'tag' }).map((item) => item.text)).toEqual(['x', 'y', 'z']);
+  });
+
+  test('extractDocument reads root fields, multiple values and nested lists', () => {
+    const rule = {
+      fields: {
+        title: { selector: 'h1' },
+        tags: { selector: '.tag', multiple: true, limit: 2 },
+        hasNextPage: { selector: '.next', exists: true },
+        hasPrevPage: { selector: '.prev', exists: true }
+      },
+      lists: {
+        cards: { selector: '.card', fields: { title: { selector: 'h3' } } }
+      }
+    };
+
+    expect(extractDocument($, rule)).toEqual({
+      title: 'Page',
+      tags: ['x', 'y'],
+      hasNextPage: true,
+      hasPrevPage: false,
+      cards: [{ title: 'A One' }, { title: 'B Two' }, { title: 'C Three' }]
+    });
+  });
+
+  test('list fields extract nested lists relative to the item', () => {
+    const nested = cheerio.load(`
+      <div class="group" data-q="480p"><a data-id="A">a</a><a data-id="B">b</a></div>
+      <div class="group" data-q="720p"><a data-id="C">c</a><a>no id</a></div>
+    `);
+    const rule = {
+      selector: '.group',
+      fields: {
+        quality: { attr: 'data-q' },
+        servers: { list: { selector: 'a', required: ['id'], fields: { name: {}, id: { attr: 'data-id' } } } }
+      }
+    };
+
+    expect(extractList(nested, rule)).toEqual([
+      { quality: '480p', servers: [{ name: 'a', id: 'A' }, { name: 'b', id: 'B' }] },
+      { quality: '720p', servers: [{ name: 'c', id: 'C' }] }
+    ]);
+  });
+
+  test('episodeNumber transform reads the episode number from a title', () => {
+    expect(TRANSFORMS.episodeNumber('Mob Psycho 100 Episode 3 Sub Indo')).toBe(3);
+    expect(TRANSFORMS.episodeNumber('Naruto Eps. 12')).toBe(12);
+    expect(TRANSFORMS.episodeNumber('Kimi no Na wa')).toBeNull();
+  });
+
+  test('scraped text and URLs are sanitized before transforms', () => {
+    const $evil = cheerio.load(`
+      <div class="card">
+        <a href="javascript:alert(1)" data-src="/anime/safe-one"><img src=" java	script:alert(1)" data-src="https://cdn.example.com/a.jpg"></a>
+        <h3>&lt;img src=x onerror=alert(1)&gt;Safe&#8203; One &lt;script&gt;alert(1)&lt;/script&gt;</h3>
+        <p>&lt;Oshi no Ko&gt;</p>
+      </div>
+    `);
+    const rule = {
+      selector: '.card',
+      fields: {
+        title: { selector: 'h3' },
+        note: { selector: 'p' },
+        image: { selector: 'img', attr: ['src', 'data-src'] },
+        slug: { selector: 'a', attr: ['href', 'data-src'], transform: ['slug'] }
+      }
+    };
+
+    expect(extractList($evil, rule)).toEqual([{
+      title: 'Safe One',
+      note: '<Oshi no Ko>',
+      image: 'https://cdn.example.com/a.jpg',
+      slug: 'safe-one'
+    }]);
+  });
+
+  test('validateRules rejects malformed rules', () => {
+    expect(() => validateRules({})).toThrow('version');
+    expect(() => validateRules({ version: 1, lists: { x: { fields: {} } } })).toThrow('lists.x: selector wajib diisi');
+    expect(() => validateRules({
+      version: 1,
+      lists: { x: { selector: 'a', fields: { t: { transform: ['nope'] } } } }
+    })).toThrow('transform "nope" tidak dikenal');
+  });
+
+  test('bundled rules file is valid', () => {
+    const file = path.join(__dirname, '..', 'rules', 'sankavollerei.json');
+    expect(() => validateRules(JSON.parse(fs.readFileSync(file, 'utf8')))).not.toThrow();
+  });
+});
+
+describe('rules store', () => {
+  let dir;
+  let file;
+  let errorSpy;
+  let logSpy;
+
+  const writeRules = (rules) => fs.writeFileSync(file, JSON.stringify(rules));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    file = path.join(dir, 'rules.json');
+    writeRules({ version: 1, lists: { items: { selector: '.a', fields: { t: {} } } } });
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  test('reload picks up a new version', () => {
+    const store = createRulesStore(file, { watch: false });
+    writeRules({ version: 2, lists: { items: { selector: '.b', fields: { t: {} } } } });
+
+    store.reload();
+
+    expect(store.version).toBe(2);
+    expect(store.list('items').selector).toBe('.b');
+  });
+
+  test('reload keeps the last valid rules when the file is broken', () => {
+    const store = createRulesStore(file, { watch: false });
+    fs.writeFileSync(file, '{ not json');
+
+    store.reload();
+
+    expect(store.version).toBe(1);
+    expect(errorSpy).toHaveBeenCalled();
+  });
+
+  test('watches the file for changes', async () => {
+    const store = createRulesStore(file, { interval: 20 });
+    try {
+      const later = new Date(Date.now() + 5000);
+      writeRules({ version: 3, lists: { items: { selector: '.c', fields: { t: {} } } } });
+      fs.utimesSync(file, later, later);
+
+      for (let i = 0; i < 50 && store.version !== 3; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(store.version).toBe(3);
+    } finally {
+      store.close();
+    }
+  });
+
+  test('list throws a clear error for unknown rules', () => {
+    const store = createRulesStore(file, { watch: false });
+    expect(() => store.list('missing')).toThrow('Rule list "missing" tidak ada');
+  });
+});
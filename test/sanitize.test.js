@@ -0,0 +1,23 @@
+const { sanitizeText, sanitizeUrl } = require('../lib/sanitize');
+
+describe('sanitize', () => {
+  test('sanitizeText strips markup, invisible characters and extra whitespace', () => {
+    expect(sanitizeText('  <b>One</b>\u00A0 Piece\u202E ')).toBe('One Piece');
+    expect(sanitizeText('a<script>alert(1)</script>b<style>x{}</style>')).toBe('ab');
+    expect(sanitizeText('Paragraf 1\n \n\n  Paragraf 2')).toBe('Paragraf 1\n\nParagraf 2');
+    expect(sanitizeText('<Oshi no Ko> & 5 < 6')).toBe('<Oshi no Ko> & 5 < 6');
+    expect(sanitizeText(undefined)).toBeUndefined();
+  });
+
+  test('sanitizeUrl keeps http(s) and relative URLs only', () => {
+    expect(sanitizeUrl('https://example.com/a.jpg')).toBe('https://example.com/a.jpg');
+    expect(sanitizeUrl(' /anime/one-piece ')).toBe('/anime/one-piece');
+    expect(sanitizeUrl('//cdn.example.com/a.jpg')).toBe('//cdn.example.com/a.jpg');
+    expect(sanitizeUrl('?page=2')).toBe('?page=2');
+    expect(sanitizeUrl('javascript:alert(1)')).toBeUndefined();
+    expect(sanitizeUrl('\u0001 JavaScript:alert(1)')).toBeUndefined();
+    expect(sanitizeUrl('java\nscript:alert(1)')).toBeUndefined();
+    expect(sanitizeUrl('data:text/html,<script>')).toBeUndefined();
+    expect(sanitizeUrl('')).toBeUndefined();
+  });
+});
@@ -0,0 +1,69 @@
+const { foldLine, nextAiring, parseTime, toICalendar, withAirTimes } = require('../lib/schedule');
+
+// Senin, 6 Jan 2025 20:00 WIB
+const MONDAY_EVENING = Date.parse('2025-01-06T13:00:00Z');
+
+describe('schedule times', () => {
+  test('parses free-text times with optional timezone', () => {
+    expect(parseTime('22:30')).toEqual({ hour: 22, minute: 30, offset: 420 });
+    expect(parseTime('Pukul 9.05 WITA')).toEqual({ hour: 9, minute: 5, offset: 480 });
+    expect(parseTime('00:00 JST')).toEqual({ hour: 0, minute: 0, offset: 540 });
+    expect(parseTime('')).toBeNull();
+    expect(parseTime('25:00')).toBeNull();
+  });
+
+  test('finds the next weekly airing in UTC', () => {
+    const at = (day, time, now = MONDAY_EVENING) => new Date(nextAiring(day, parseTime(time), now)).toISOString();
+
+    expect(at('senin', '22:30')).toBe('2025-01-06T15:30:00.000Z');
+    expect(at('rabu', '08:30')).toBe('2025-01-08T01:30:00.000Z');
+    // Sudah lewat minggu ini -> minggu depan
+    expect(at('senin', '12:00')).toBe('2025-01-13T05:00:00.000Z');
+    // Masih dalam durasi episode -> dianggap sedang tayang
+    expect(at('senin', '19:45')).toBe('2025-01-06T12:45:00.000Z');
+    // Minggu 23:30 JST = Minggu 21:30 WIB
+    expect(at('minggu', '23:30 JST')).toBe('2025-01-12T14:30:00.000Z');
+  });
+
+  test('adds slug and airsAt to schedule items', () => {
+    const schedule = withAirTimes({
+      senin: [{ title: 'Dandadan', time: '22:30', link: 'https://example.com/anime/dandadan' }],
+      minggu: [{ title: 'Jujutsu Kaisen', time: '' }]
+    }, MONDAY_EVENING);
+
+    expect(schedule.senin[0]).toMatchObject({ slug: 'dandadan', airsAt: '2025-01-06T15:30:00.000Z' });
+    expect(schedule.minggu[0].airsAt).toBeNull();
+    expect(schedule.selasa).toEqual([]);
+  });
+});
+
+describe('iCalendar export', () => {
+  const schedule = {
+    senin: [{ title: 'Dandadan, Season 2', time: '22:30', link: 'https://example.com/anime/dandadan' }],
+    minggu: [{ title: 'Jujutsu Kaisen', time: '', link: 'https://example.com/anime/jujutsu-kaisen' }]
+  };
+
+  test('emits weekly recurring events', () => {
+    const ics = toICalendar(schedule, { now: MONDAY_EVENING });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('UID:dandadan-senin@animestream');
+    expect(ics).toContain('DTSTART:20250106T153000Z');
+    expect(ics).toContain('SUMMARY:Dandadan\\, Season 2');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250112\r\nDTEND;VALUE=DATE:20250113');
+    expect(ics.match(/RRULE:FREQ=WEEKLY/g)).toHaveLength(2);
+  });
+
+  test('filters events and folds long lines', () => {
+    const ics = toICalendar(schedule, { now: MONDAY_EVENING, filter: (item) => item.title === 'Jujutsu Kaisen' });
+    expect(ics).not.toContain('Dandadan');
+    expect(ics).toContain('SUMMARY:Jujutsu Kaisen');
+
+    const folded = foldLine(`SUMMARY:${'あ'.repeat(40)}`);
+    folded.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'あ'.repeat(40)}`);
+  });
+});
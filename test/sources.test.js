@@ -0,0 +1,68 @@
+const { createSourceManager, isEmptyResult } = require('../lib/sources');
+
+describe('source manager failover', () => {
+  let errorSpy;
+  let warnSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('returns the first non-empty result', async () => {
+    const primary = { name: 'primary', ongoing: jest.fn().mockResolvedValue({ anime: [{ title: 'A' }] }) };
+    const backup = { name: 'backup', ongoing: jest.fn() };
+
+    const data = await createSourceManager([primary, backup]).run('ongoing', 2);
+
+    expect(data.anime).toEqual([{ title: 'A' }]);
+    expect(primary.ongoing).toHaveBeenCalledWith(2);
+    expect(backup.ongoing).not.toHaveBeenCalled();
+  });
+
+  test('falls back when a source throws or returns empty data', async () => {
+    const failing = { name: 'failing', search: jest.fn().mockRejectedValue(new Error('timeout')) };
+    const empty = { name: 'empty', search: jest.fn().mockResolvedValue({ results: [] }) };
+    const backup = { name: 'backup', search: jest.fn().mockResolvedValue({ results: [{ title: 'Naruto' }] }) };
+
+    const data = await createSourceManager([failing, empty, backup]).run('search', 'naruto');
+
+    expect(data.results).toEqual([{ title: 'Naruto' }]);
+    expect(failing.search).toHaveBeenCalled();
+    expect(empty.search).toHaveBeenCalled();
+  });
+
+  test('skips sources that do not implement the operation', async () => {
+    const partial = { name: 'partial' };
+    const full = { name: 'full', genres: jest.fn().mockResolvedValue({ genres: [{ name: 'Action' }] }) };
+
+    const data = await createSourceManager([partial, full]).run('genres');
+    expect(data.genres).toHaveLength(1);
+  });
+
+  test('returns the last empty result when every source is empty', async () => {
+    const a = { name: 'a', detail: jest.fn().mockRejectedValue(new Error('boom')) };
+    const b = { name: 'b', detail: jest.fn().mockResolvedValue(null) };
+
+    await expect(createSourceManager([a, b]).run('detail', 'x')).resolves.toBeNull();
+  });
+
+  test('throws the last error when every source fails', async () => {
+    const a = { name: 'a', home: jest.fn().mockRejectedValue(new Error('first')) };
+    const b = { name: 'b', home: jest.fn().mockRejectedValue(new Error('second')) };
+
+    await expect(createSourceManager([a, b]).run('home')).rejects.toThrow('second');
+  });
+
+  test('isEmptyResult understands each operation shape', () => {
+    expect(isEmptyResult('home', { featured: [], trending: [] })).toBe(true);
+    expect(isEmptyResult('schedule', { schedule: { senin: [], selasa: [{}] } })).toBe(false);
+    expect(isEmptyResult('stream', { players: [] })).toBe(true);
+    expect(isEmptyResult('detail', { title: 'One Piece' })).toBe(false);
+  });
+});
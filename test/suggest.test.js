@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache } = require('../lib/cache');
+const { createCatalog } = require('../lib/catalog');
+const { createJsonStore } = require('../lib/json-store');
+const { createSuggester } = require('../lib/suggest');
+
+const anime = (title, extra = {}) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return { title, slug, image: `https://cdn.example.com/${slug}.jpg`, link: `https://example.com/anime/${slug}`, ...extra };
+};
+
+describe('search suggestions', () => {
+  let dir;
+  let catalog;
+  let cache;
+  let suggest;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suggest-'));
+    const store = createJsonStore(path.join(dir, 'catalog.json'), { defaults: { items: {} } });
+    catalog = createCatalog({ store, sources: { run: jest.fn() } });
+    cache = createCache({ staleTtl: 60 });
+    suggest = createSuggester({ catalog, cache });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('matches titles from the catalog and cached listings', async () => {
+    catalog.add([anime('Naruto Shippuden', { type: 'TV', rating: '8.6' })]);
+    await cache.wrap('ongoing-1', 60, async () => ({ anime: [anime('Naruto', { episode: 'Episode 220' }), anime('One Piece')] }));
+    await cache.wrap('search-boruto', 60, async () => ({ results: [anime('Boruto: Naruto Next Generations')] }));
+
+    const results = suggest('naru');
+
+    expect(results.map((item) => item.slug)).toEqual(['naruto', 'naruto-shippuden', 'boruto-naruto-next-generations']);
+    expect(results[0]).toEqual({
+      slug: 'naruto',
+      title: 'Naruto',
+      image: 'https://cdn.example.com/naruto.jpg',
+      type: undefined,
+      episode: 'Episode 220'
+    });
+    expect(results[1]).not.toHaveProperty('rating');
+  });
+
+  test('merges the same anime from several sources', async () => {
+    catalog.add([anime('Frieren', { image: undefined, type: 'TV' })]);
+    await cache.wrap('complete-1', 60, async () => ({ anime: [anime('Frieren', { episode: 'Episode 28' })] }));
+
+    expect(suggest('frieren')).toEqual([{
+      slug: 'frieren',
+      title: 'Frieren',
+      image: 'https://cdn.example.com/frieren.jpg',
+      type: 'TV',
+      episode: 'Episode 28'
+    }]);
+  });
+
+  test('ignores unrelated cache entries and respects the limit', async () => {
+    await cache.wrap('anime-one-piece', 60, async () => ({ title: 'One Piece', episodes: [] }));
+    await cache.wrap('home', 60, async () => ({ featured: [anime('One Punch Man')], trending: [anime('One Piece'), anime('Bleach')] }));
+
+    expect(suggest('one', { limit: 1 })).toHaveLength(1);
+    expect(suggest('one').map((item) => item.slug).sort()).toEqual(['one-piece', 'one-punch-man']);
+    expect(suggest('   ')).toEqual([]);
+  });
+});
@@ -0,0 +1,198 @@
+jest.mock('axios');
+const axios = require('axios');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+const { createLimiter } = require('../lib/limiter');
+const { isRetryableError, withRetry } = require('../lib/retry');
+const { configureUpstream, fetchWithTimeout, getUpstreamStats } = require('../lib/utils');
+
+configureUpstream({ concurrency: 2, retryDelay: 1, breakerThreshold: 2 });
+
+// Promise yang bisa di-resolve dari luar untuk menahan response upstream
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('upstream limiter', () => {
+  test('runs at most N tasks at once and drains the queue in order', async () => {
+    const limiter = createLimiter(2);
+    const gates = [deferred(), deferred(), deferred()];
+    const order = [];
+
+    const results = gates.map((gate, i) => limiter.run(async () => {
+      order.push(i);
+      await gate.promise;
+      return i;
+    }));
+    await flush();
+
+    expect(order).toEqual([0, 1]);
+    expect(limiter.stats()).toEqual({ concurrency: 2, active: 2, queued: 1 });
+
+    gates[0].resolve();
+    await flush();
+    expect(order).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+    expect(limiter.stats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('a failing task frees its slot', async () => {
+    const limiter = createLimiter(1);
+
+    await expect(limiter.run(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    await expect(limiter.run(async () => 'ok')).resolves.toBe('ok');
+  });
+});
+
+describe('retry with backoff', () => {
+  const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+  test('only timeouts, network errors and 5xx are retryable', () => {
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(new Error('parse error'))).toBe(false);
+  });
+
+  test('retries until the task succeeds with growing delays', async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue('ok');
+    const wait = jest.fn().mockResolvedValue();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    await expect(withRetry(task, { retries: 3, baseDelay: 100, wait })).resolves.toBe('ok');
+
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(wait.mock.calls).toEqual([[100], [200]]);
+    Math.random.mockRestore();
+  });
+
+  test('gives up on non-retryable errors and after the last attempt', async () => {
+    const wait = jest.fn().mockResolvedValue();
+
+    const notFound = jest.fn().mockRejectedValue(httpError(404));
+    await expect(withRetry(notFound, { retries: 3, wait })).rejects.toThrow('HTTP 404');
+    expect(notFound).toHaveBeenCalledTimes(1);
+
+    const down = jest.fn().mockRejectedValue(httpError(500));
+    await expect(withRetry(down, { retries: 2, wait })).rejects.toThrow('HTTP 500');
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('circuit breaker', () => {
+  let clock;
+  let breaker;
+  let warnSpy;
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = createCircuitBreaker({ name: 'host', failureThreshold: 2, resetTimeout: 1000, now: () => clock });
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  const fail = () => Promise.reject(new Error('down'));
+
+  test('opens after repeated failures and fails fast', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    expect(breaker.status()).toMatchObject({ state: 'open', failures: 2 });
+
+    const task = jest.fn();
+    await expect(breaker.exec(task)).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  test('lets one trial through after the reset timeout', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    clock += 1000;
+    expect(breaker.status().state).toBe('half_open');
+
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    expect(breaker.status().state).toBe('open');
+
+    clock += 1000;
+    await expect(breaker.exec(async () => 'ok')).resolves.toBe('ok');
+    expect(breaker.status()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
+
+describe('fetchWithTimeout', () => {
+  let errorSpy;
+  let warnSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+    jest.resetAllMocks();
+  });
+
+  test('merges identical in-flight requests into one upstream call', async () => {
+    const gate = deferred();
+    axios.get.mockReturnValue(gate.promise);
+
+    const url = 'https://www.sankavollerei.com/anime/home';
+    const requests = [fetchWithTimeout(url), fetchWithTimeout(url), fetchWithTimeout(url)];
+    await flush();
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(getUpstreamStats()).toMatchObject({ active: 1, inflight: 1 });
+
+    gate.resolve({ data: '<h1>Home</h1>' });
+    await expect(Promise.all(requests)).resolves.toEqual(Array(3).fill('<h1>Home</h1>'));
+    expect(getUpstreamStats()).toMatchObject({ active: 0, inflight: 0 });
+  });
+
+  test('queues distinct URLs beyond the concurrency limit', async () => {
+    const gates = [deferred(), deferred(), deferred()];
+    gates.forEach((gate) => axios.get.mockReturnValueOnce(gate.promise));
+
+    const requests = ['a', 'b', 'c'].map((slug) => fetchWithTimeout(`https://www.sankavollerei.com/anime/anime/${slug}`));
+    await flush();
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(getUpstreamStats()).toMatchObject({ active: 2, queued: 1, inflight: 3 });
+
+    gates.forEach((gate, i) => gate.resolve({ data: String(i) }));
+    await expect(Promise.all(requests)).resolves.toEqual(['0', '1', '2']);
+  });
+
+  test('retries 5xx responses and opens the host breaker when they persist', async () => {
+    const unavailable = Object.assign(new Error('HTTP 503'), { response: { status: 503 } });
+    axios.get
+      .mockRejectedValueOnce(unavailable)
+      .mockResolvedValueOnce({ data: 'recovered' });
+
+    await expect(fetchWithTimeout('https://down.example.com/a')).resolves.toBe('recovered');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    axios.get.mockRejectedValue(unavailable);
+    await expect(fetchWithTimeout('https://down.example.com/b')).rejects.toThrow('HTTP 503');
+    await expect(fetchWithTimeout('https://down.example.com/c')).rejects.toThrow('HTTP 503');
+    expect(axios.get).toHaveBeenCalledTimes(2 + 6);
+
+    await expect(fetchWithTimeout('https://down.example.com/d')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(axios.get).toHaveBeenCalledTimes(8);
+    expect(getUpstreamStats().breakers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'down.example.com', state: 'open' })
+    ]));
+  });
+});